@@ -8,14 +8,20 @@
  * @since 2024-06-10
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
+const readline = require('readline');
 
 // Import the main functionality
-const { migrate, detect, backup, cleanup, updateConfigurations, install, completeMigration } = require('../lib/migrator');
-const { extractAllDefinitions, convertDefinitionsToIrefs, processDefinitions } = require('../lib/splitter');
+const { migrate, detect, backup, restore, verifyBackup, createVerifiedBackup, cleanup, emptyTrash, restoreTrash, updateConfigurations, install, completeMigration, rollback } = require('../lib/migrator');
+const { extractAllDefinitions, convertDefinitionsToIrefs, convertReferencesToSpecUpT, processDefinitions } = require('../lib/splitter');
+const { assertCleanWorkingTree } = require('../lib/git');
+const { writeReport } = require('../lib/report');
+const { SCRIPTS_STRATEGIES } = require('../lib/updater');
+const { MULTI_SPEC_MODES } = require('../lib/multispec');
+const { splitProject, applyMultiSpecMode } = require('../lib/split-project');
 
 // Read version from package.json
 const packageJson = require('../package.json');
@@ -48,10 +54,368 @@ function formatBytes(bytes, si = false, dp = 1) {
   return bytes.toFixed(dp) + ' ' + units[u];
 }
 
+/**
+ * Parse the value of `--scripts-strategy`
+ * @param {string} value - Option value
+ * @returns {string} The strategy
+ * @throws {InvalidArgumentError} When the value is not one of the strategies
+ */
+function parseScriptsStrategy(value) {
+  if (!SCRIPTS_STRATEGIES.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of: ${SCRIPTS_STRATEGIES.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Parse the value of `--multi-spec`
+ * @param {string} value - Option value
+ * @returns {string} The mode
+ * @throws {InvalidArgumentError} When the value is not one of the modes
+ */
+function parseMultiSpecMode(value) {
+  if (!MULTI_SPEC_MODES.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of: ${MULTI_SPEC_MODES.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {string} question - Question text
+ * @returns {Promise<string>} The trimmed answer
+ */
+function ask(question) {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => prompt.question(question, (answer) => {
+    prompt.close();
+    resolve(answer.trim());
+  }));
+}
+
+/**
+ * Ask how to migrate a specs.json with several specs when `--multi-spec` was not given and someone can answer
+ * @param {string} directory - Project directory
+ * @param {string} [mode] - Value of `--multi-spec`
+ * @returns {Promise<string|undefined>} The chosen mode, or undefined to use the default (`in-place`)
+ */
+async function chooseMultiSpecMode(directory, mode) {
+  if (mode || isJsonMode() || !process.stdin.isTTY) {
+    return mode;
+  }
+  let specs;
+  try {
+    specs = JSON.parse(fs.readFileSync(path.join(directory, 'specs.json'), 'utf8')).specs;
+  } catch {
+    return undefined;
+  }
+  if (!Array.isArray(specs) || specs.length < 2) {
+    return undefined;
+  }
+
+  console.log(chalk.blue(`📚 specs.json describes ${specs.length} specs: ${specs.map((spec, index) => spec.title || `spec ${index + 1}`).join(', ')}`));
+  console.log(chalk.gray('  1) in-place - transform every spec and keep them all in this project'));
+  console.log(chalk.gray('  2) split    - keep the first spec here and move every other spec into its own project under projects/'));
+  const answer = await ask('How should they be migrated? [1] ');
+  console.log('');
+  return answer === '2' || answer === 'split' ? 'split' : 'in-place';
+}
+
+/**
+ * Whether the global `--json` flag was given
+ * @returns {boolean} True in JSON mode
+ */
+function isJsonMode() {
+  return Boolean(program.opts().json);
+}
+
+/**
+ * In `--json` mode, print a command result as JSON on stdout
+ * @param {Object} result - Result object returned by the library function
+ * @returns {boolean} Whether the result was printed, so the caller can skip its human-readable output
+ */
+function printJson(result) {
+  if (!isJsonMode()) {
+    return false;
+  }
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  return true;
+}
+
+/**
+ * Verify a backup snapshot and print the files that do not match the manifest
+ * @param {string} directory - Project directory
+ * @param {Object} options - Backup command options (`output`, `snapshot`)
+ * @returns {Promise<void>}
+ */
+async function runBackupVerification(directory, options) {
+  console.log(chalk.blue('🔐 Verifying backup integrity...'));
+
+  const result = await verifyBackup(directory, {
+    snapshot: options.snapshot,
+    backupDir: options.output
+  });
+  if (printJson(result)) {
+    process.exitCode = result.valid ? 0 : 1;
+    return;
+  }
+
+  console.log(chalk.gray(`Snapshot: ${result.snapshot}`));
+  console.log('');
+
+  result.files.filter(file => file.status !== 'ok').forEach(file => {
+    const sizes = file.actualSize === undefined ? '' : ` (${file.actualSize} of ${file.expectedSize} bytes)`;
+    console.log(chalk.red(`❌ ${file.status}: ${file.path}${sizes}`));
+  });
+
+  if (result.valid) {
+    console.log(chalk.green(`✅ All ${result.summary.total} backed up files match their checksums`));
+  } else {
+    const { missing, truncated, modified } = result.summary;
+    console.log('');
+    console.log(chalk.red(`❌ Backup is damaged: ${missing} missing, ${truncated} truncated, ${modified} modified`));
+    console.log(chalk.gray('Create a new backup before running cleanup'));
+    process.exit(1);
+  }
+}
+
+/**
+ * Permanently delete the cleanup trash of a project and print what was freed
+ * @param {string} directory - Project directory
+ * @param {Object} options - Command options
+ */
+async function runEmptyTrash(directory, options) {
+  const result = await emptyTrash(directory, { dryRun: options.dryRun });
+  if (printJson(result)) {
+    return;
+  }
+
+  if (result.summary.batches === 0) {
+    console.log(chalk.yellow('⚠️  The trash is already empty'));
+    return;
+  }
+
+  result.batches.forEach(batch => {
+    console.log(chalk.gray(`🗑️  ${batch.name}: ${batch.items.length} items`));
+  });
+  console.log('');
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`📋 Would permanently delete ${result.summary.items} items from ${result.summary.batches} trash batches`));
+  } else {
+    console.log(chalk.green(`✅ Trash emptied! Deleted ${result.summary.items} items (${formatBytes(result.summary.sizeFreed)})`));
+  }
+}
+
+/**
+ * Move the items of a trash batch back into the project and print the outcome
+ * @param {string} directory - Project directory
+ * @param {Object} options - Command options
+ */
+async function runRestoreTrash(directory, options) {
+  const batch = typeof options.restoreTrash === 'string' ? options.restoreTrash : undefined;
+  const result = await restoreTrash(directory, { batch, dryRun: options.dryRun });
+  if (printJson(result)) {
+    process.exitCode = result.summary.conflicts > 0 ? 1 : 0;
+    return;
+  }
+
+  console.log(chalk.gray(`Trash batch: ${result.batch}`));
+  console.log('');
+
+  result.items.forEach(item => {
+    if (item.error) {
+      console.log(chalk.red(`❌ Kept in trash: ${item.path}`));
+      console.log(chalk.gray(`   ${item.error}`));
+    } else {
+      console.log(item.restored ? chalk.green(`✅ Restored: ${item.path}`) : chalk.yellow(`📋 Would restore: ${item.path}`));
+    }
+  });
+
+  console.log('');
+  const action = options.dryRun ? 'Would restore' : 'Restored';
+  const count = options.dryRun ? result.summary.total - result.summary.conflicts : result.summary.restored;
+  console.log(chalk.green(`✅ ${action} ${count} of ${result.summary.total} items`));
+  if (result.summary.conflicts > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the unified diffs of a dry-run configuration update in colour
+ * @param {Array<Object>} updates - The `updates` of an updateConfigurations() result
+ */
+function printDiffs(updates) {
+  updates.filter(update => update.diff).forEach(update => {
+    console.log('');
+    update.diff.trimEnd().split('\n').forEach(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else {
+        console.log(chalk.gray(line));
+      }
+    });
+  });
+}
+
+/**
+ * Print the package.json scripts that differed from the Spec-Up-T scripts and how each was resolved
+ * @param {Array<Object>} updates - The `updates` of an updateConfigurations() result
+ */
+function printScriptConflicts(updates) {
+  const packageUpdate = updates.find(update => update.file === 'package.json');
+  if (!packageUpdate || !packageUpdate.scripts || packageUpdate.scripts.conflicts.length === 0) {
+    return;
+  }
+  console.log('');
+  console.log(chalk.yellow(`⚠️  Script conflicts (strategy: ${packageUpdate.scripts.strategy}):`));
+  packageUpdate.scripts.conflicts.forEach(conflict => {
+    console.log(chalk.gray(`  ${conflict.script}: ${conflict.resolution} (${conflict.existing})`));
+  });
+}
+
+/**
+ * Print which existing dependencies were removed as obsolete Spec-Up packages and which were kept
+ * @param {Array<Object>} updates - The `updates` of an updateConfigurations() result
+ */
+function printDependencies(updates) {
+  const packageUpdate = updates.find(update => update.file === 'package.json');
+  if (!packageUpdate || !packageUpdate.dependencies) {
+    return;
+  }
+  const names = classification => packageUpdate.dependencies
+    .filter(entry => entry.classification === classification)
+    .map(entry => entry.name);
+  const removed = names('obsolete');
+  const kept = names('user');
+  if (removed.length > 0) {
+    console.log(chalk.gray(`  Removed obsolete dependencies: ${removed.join(', ')}`));
+  }
+  if (kept.length > 0) {
+    console.log(chalk.gray(`  Kept project dependencies: ${kept.join(', ')}`));
+  }
+}
+
+/**
+ * Print what happened to each spec of a specs.json with several specs
+ * @param {Array<Object>} updates - The `updates` of an updateConfigurations() result
+ */
+function printSpecOutcomes(updates) {
+  const specsUpdate = updates.find(update => update.file === 'specs.json');
+  if (!specsUpdate || !specsUpdate.specs || specsUpdate.specs.length < 2) {
+    return;
+  }
+  specsUpdate.specs.forEach((spec, index) => {
+    const outcome = spec.outcome === 'split' ? `split into ${spec.project}` : 'transformed in place';
+    console.log(chalk.gray(`  Spec "${spec.title || `spec ${index + 1}`}" (${spec.spec_directory}): ${outcome}`));
+  });
+}
+
+/**
+ * Print how the Spec-Up external_specs were converted
+ * @param {Array<Object>} updates - The `updates` of an updateConfigurations() result
+ */
+function printExternalSpecs(updates) {
+  const specsUpdate = updates.find(update => update.file === 'specs.json');
+  if (!specsUpdate || !specsUpdate.externalSpecs || specsUpdate.externalSpecs.length === 0) {
+    return;
+  }
+  specsUpdate.externalSpecs.forEach(resolution => {
+    if (resolution.resolved) {
+      console.log(chalk.gray(`  External spec ${resolution.external_spec}: ${resolution.repository} (terms_dir from ${resolution.terms_dir_origin} specs.json)`));
+    } else {
+      console.log(chalk.yellow(`  External spec ${resolution.external_spec} unresolved (${resolution.reason}); check its gh_page, url and terms_dir`));
+    }
+  });
+}
+
+/**
+ * Print the Spec-Up-T schema errors of the migrated specs.json
+ * @param {Array<Object>} updates - The `updates` of an updateConfigurations() result
+ */
+function printSchemaErrors(updates) {
+  const specsUpdate = updates.find(update => update.file === 'specs.json');
+  if (!specsUpdate || !specsUpdate.schemaErrors || specsUpdate.schemaErrors.length === 0) {
+    return;
+  }
+  console.log(chalk.yellow('⚠️  The migrated specs.json does not match the Spec-Up-T schema:'));
+  specsUpdate.schemaErrors.forEach(error => console.log(chalk.yellow(`  ${error}`)));
+}
+
+/**
+ * Print where the boilerplate came from and which upstream files differ from the vendored snapshot
+ * @param {Object} boilerplate - The `boilerplate` summary of an updateConfigurations() result
+ */
+function printBoilerplate(boilerplate) {
+  const { snapshot } = boilerplate;
+  const label = `${snapshot.repository}@${snapshot.ref} (${snapshot.commit ? snapshot.commit.slice(0, 7) : 'commit not recorded'})`;
+
+  console.log('');
+  if (boilerplate.ref) {
+    console.log(chalk.blue(`📌 Boilerplate pinned to ${boilerplate.ref}`));
+  }
+  if (boilerplate.directory) {
+    console.log(chalk.blue(`📂 Boilerplate read from ${boilerplate.directory}`));
+  }
+  if (boilerplate.offline) {
+    console.log(chalk.blue(`📦 Offline: boilerplate read from the vendored snapshot of ${label}`));
+  }
+  boilerplate.files.filter(file => file.reason).forEach(file => {
+    console.log(chalk.yellow(`⚠️  Used the snapshot copy of ${file.path}: ${file.reason}`));
+  });
+  if (boilerplate.drifted.length > 0) {
+    console.log(chalk.yellow(`🔀 ${boilerplate.directory ? 'Local' : 'Upstream'} boilerplate differs from the snapshot of ${label}:`));
+    boilerplate.drifted.forEach(file => console.log(chalk.gray(`  ${file}`)));
+  }
+}
+
+/**
+ * Print the files in stock Spec-Up directories that were modified or added locally
+ * @param {Object} [customizations] - Result of the customization detection done by cleanup, if any
+ */
+function printCustomizations(customizations) {
+  if (!customizations) {
+    return;
+  }
+  // Results of resumed runs from older versions have no unverified list
+  if (customizations.unverified && customizations.unverified.length > 0) {
+    console.log('');
+    console.log(chalk.yellow(`⚠️  ${customizations.unverified.length} file(s) at stock Spec-Up paths could not be checked for local changes (no stock Spec-Up copy found)`));
+    console.log(chalk.gray('   Install spec-up or pass --reference <path> to compare them'));
+  }
+  if (customizations.files.length === 0) {
+    return;
+  }
+
+  const basis = customizations.reference ? `compared with ${customizations.reference}` : 'no stock Spec-Up copy found, files at stock paths not listed';
+  console.log('');
+  console.log(chalk.blue(`🎨 Local customizations (${basis}):`));
+  customizations.files.forEach(file => {
+    const label = file.status === 'modified' ? 'Modified' : 'Added';
+    console.log(chalk.yellow(`✏️  ${label}: ${file.path}`));
+    console.log(chalk.gray(`   Suggested Spec-Up-T location: ${file.suggestion}`));
+  });
+}
+
 program
   .name('spec-up-migrate')
   .description('CLI tool for migrating Spec-Up specifications')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  .option('--json', 'Print the raw result object of the command as JSON on stdout');
+
+// In JSON mode stdout carries only the result, so progress output goes to stderr
+program.hook('preAction', () => {
+  if (isJsonMode()) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+});
 
 // Migrate command
 program
@@ -72,9 +436,13 @@ program
       }
 
       await migrate(source, options);
+      if (printJson({ success: true, source: path.resolve(source), output: path.resolve(options.output), format: options.format, dryRun: Boolean(options.dryRun) })) {
+        return;
+      }
       
       console.log(chalk.green('✅ Migration completed successfully!'));
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Migration failed:'), error.message);
       process.exit(1);
     }
@@ -93,6 +461,9 @@ program
       console.log('');
 
       const result = await detect(directory);
+      if (printJson(result)) {
+        return;
+      }
       
       // Display findings
       result.checks.forEach(check => {
@@ -123,6 +494,7 @@ program
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Detection failed:'), error.message);
       process.exit(1);
     }
@@ -134,12 +506,22 @@ program
   .description('Create backups of critical files before migration')
   .argument('[directory]', 'Directory to backup', '.')
   .option('-o, --output <path>', 'Backup directory')
+  .option('--verify', 'Verify an existing backup against its checksum manifest instead of creating one')
+  .option('--snapshot <name>', 'Snapshot to verify (defaults to the latest)')
   .action(async (directory, options) => {
     try {
+      if (options.verify) {
+        await runBackupVerification(directory, options);
+        return;
+      }
+
       console.log(chalk.blue('💾 Creating backup of critical files...'));
       console.log(chalk.gray(`Source: ${path.resolve(directory)}`));
       
       const result = await backup(directory, { backupDir: options.output });
+      if (printJson(result)) {
+        return;
+      }
       
       const backedUpFiles = result.files.filter(f => f.backed_up);
       const existingFiles = result.files.filter(f => f.exists);
@@ -152,7 +534,8 @@ program
           console.log(chalk.gray(`  ${file.source} → ${file.backup}`));
         });
         console.log('');
-        console.log(chalk.yellow(`📁 Backup location: ${result.directory}`));
+        console.log(chalk.yellow(`📁 Backup location: ${result.snapshot}`));
+        console.log(chalk.gray(`Manifest with checksums: ${result.manifest}`));
         console.log(chalk.gray(`Successfully backed up ${backedUpFiles.length}/${existingFiles.length} files`));
       } else if (existingFiles.length > 0) {
         console.log(chalk.yellow('⚠️  Files found but backup failed'));
@@ -163,37 +546,142 @@ program
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Backup failed:'), error.message);
       process.exit(1);
     }
   });
 
+// Restore command
+program
+  .command('restore')
+  .description('Restore the backup copies created by the backup command')
+  .argument('[directory]', 'Directory containing the backups', '.')
+  .option('--dry-run', 'Show what would be restored and overwritten without making changes')
+  .option('--only <items...>', 'Restore only these items (e.g. specs.json package.json assets)')
+  .option('--snapshot <name>', 'Backup snapshot to restore from (defaults to the latest)')
+  .option('-o, --output <path>', 'Backup directory the snapshots were written to')
+  .action(async (directory, options) => {
+    try {
+      console.log(chalk.blue('♻️  Restoring files from backup...'));
+      console.log(chalk.gray(`Directory: ${path.resolve(directory)}`));
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('⚠️  Dry run mode - no files will be modified'));
+      }
+      console.log('');
+
+      const result = await restore(directory, {
+        dryRun: options.dryRun,
+        only: options.only,
+        snapshot: options.snapshot,
+        backupDir: options.output
+      });
+      if (printJson(result)) {
+        return;
+      }
+
+      if (result.items.length === 0) {
+        console.log(chalk.yellow('⚠️  No backups found to restore'));
+        console.log(chalk.gray('Run "spec-up-migrate backup" before migrating to create them'));
+        return;
+      }
+
+      if (result.snapshot) {
+        console.log(chalk.gray(`Snapshot: ${result.snapshot}`));
+      }
+      result.items.forEach(item => {
+        const overwrite = item.overwrites ? chalk.yellow(' (overwrites existing)') : '';
+        const status = options.dryRun ? 'Would restore' : 'Restored';
+        console.log(chalk.gray(`  ${status}: ${item.backup} → ${item.source}`) + overwrite);
+      });
+
+      console.log('');
+      const action = options.dryRun ? 'Would restore' : 'Restored';
+      const count = options.dryRun ? result.summary.available : result.summary.restored;
+      console.log(chalk.green(`✅ ${action} ${count} item(s), ${result.summary.overwritten} of them overwriting current files`));
+
+    } catch (error) {
+      printJson({ success: false, error: error.message });
+      console.error(chalk.red('❌ Restore failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Cleanup command
 program
   .command('cleanup')
   .description('Remove obsolete files and directories from Spec-Up installation')
   .argument('[directory]', 'Directory to clean up', '.')
   .option('--dry-run', 'Show what would be removed without actually removing')
-  .option('--force', 'Skip confirmation prompts')
+  .option('--force', 'Delete items permanently instead of moving them to the trash')
+  .option('--no-backup', 'Do not create a verified backup snapshot before removing files (not recommended)')
+  .option('--allow-dirty', 'Run even when the git working tree has uncommitted changes')
+  .option('--reference <path>', 'Stock Spec-Up checkout to detect local customizations against')
+  .option('--empty-trash', 'Permanently delete everything in .spec-up-migrate/trash')
+  .option('--restore-trash [batch]', 'Move trashed items back (latest batch unless a name is given)')
   .action(async (directory, options) => {
     try {
+      if (options.emptyTrash) {
+        console.log(chalk.blue('🗑️  Emptying cleanup trash...'));
+        await runEmptyTrash(directory, options);
+        return;
+      }
+      if (options.restoreTrash) {
+        console.log(chalk.blue('♻️  Restoring items from cleanup trash...'));
+        await runRestoreTrash(directory, options);
+        return;
+      }
+
       console.log(chalk.blue('🧹 Cleaning up obsolete Spec-Up files...'));
       console.log(chalk.gray(`Directory: ${path.resolve(directory)}`));
       
       if (options.dryRun) {
         console.log(chalk.yellow('⚠️  Dry run mode - no files will be removed'));
+      } else {
+        await assertCleanWorkingTree(directory, { allowDirty: options.allowDirty });
       }
       console.log('');
 
+      // Like complete, only remove files once a backup of them has been verified
+      let backupResult = null;
+      if (!options.dryRun && options.backup) {
+        backupResult = await createVerifiedBackup(directory);
+        if (!backupResult.verified) {
+          const { missing, truncated, modified } = backupResult.verification.summary;
+          throw new Error(`Backup verification failed (${missing} missing, ${truncated} truncated, ${modified} modified); nothing was removed`);
+        }
+        if (backupResult.snapshot) {
+          console.log(chalk.gray(`Backup created and verified: ${backupResult.snapshot}`));
+        }
+      }
+
       const result = await cleanup(directory, { 
         dryRun: options.dryRun,
-        force: options.force 
+        force: options.force,
+        reference: options.reference
       });
+      result.backup = backupResult;
+      if (printJson(result)) {
+        return;
+      }
       
       // Filter items that exist and show what would be/was removed
       const existingItems = result.items.filter(item => item.exists);
       const removedItems = result.items.filter(item => item.removed);
       
+      if (result.config) {
+        console.log(chalk.gray(`Using cleanup configuration from ${result.config}`));
+      }
+      if (result.skipped.length > 0) {
+        console.log(chalk.blue('Items kept:'));
+        result.skipped.forEach(item => {
+          console.log(chalk.yellow(`⏭️  Skipped: ${item.path}`));
+          console.log(chalk.gray(`   ${item.reason}`));
+        });
+      }
+      printCustomizations(result.customizations);
+
       if (existingItems.length > 0) {
         console.log('');
         console.log(chalk.blue('Items found for cleanup:'));
@@ -216,11 +704,16 @@ program
           result.summary.totalSizeFreed;
         
         console.log(chalk.green(`✅ Cleanup completed! ${action} ${itemCount} items (${formatBytes(totalSize)})`));
+        if (result.trash) {
+          console.log(chalk.gray(`Removed items were moved to ${result.trash}`));
+          console.log(chalk.gray('Run "spec-up-migrate cleanup --restore-trash" to put them back or "--empty-trash" to delete them'));
+        }
       } else {
         console.log(chalk.yellow('⚠️  No obsolete files found to remove'));
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Cleanup failed:'), error.message);
       process.exit(1);
     }
@@ -232,6 +725,13 @@ program
   .description('Update configuration files for Spec-Up-T compatibility')
   .argument('[directory]', 'Directory to update', '.')
   .option('--dry-run', 'Show what would be updated without making changes')
+  .option('--allow-dirty', 'Run even when the git working tree has uncommitted changes')
+  .option('--offline', 'Use the boilerplate snapshot shipped with this tool instead of fetching it')
+  .option('--boilerplate-ref <ref>', 'Read the spec-up-t boilerplate at this tag or commit SHA')
+  .option('--boilerplate-dir <path>', 'Read the boilerplate from a local spec-up-t checkout or node_modules/spec-up-t')
+  .option('--external-specs-dir <path>', 'Read the specs.json of external spec repositories from <path>/<account>/<repo>/ before fetching them')
+  .option('--scripts-strategy <strategy>', 'Combine existing package.json scripts with the Spec-Up-T scripts: replace, merge or keep (default: merge)', parseScriptsStrategy)
+  .option('--multi-spec <mode>', 'Migrate several specs in specs.json in-place, or split them into one project each (asked when omitted)', parseMultiSpecMode)
   .action(async (directory, options) => {
     try {
       console.log(chalk.blue('⚡ Updating configuration files for Spec-Up-T...'));
@@ -239,13 +739,38 @@ program
       
       if (options.dryRun) {
         console.log(chalk.yellow('⚠️  Dry run mode - no files will be modified'));
+      } else {
+        await assertCleanWorkingTree(directory, { allowDirty: options.allowDirty });
       }
       console.log('');
 
-      const result = await updateConfigurations(directory, { dryRun: options.dryRun });
+      const boilerplateOptions = {
+        offline: options.offline,
+        boilerplateRef: options.boilerplateRef,
+        boilerplateDir: options.boilerplateDir && path.resolve(options.boilerplateDir),
+        externalSpecsDir: options.externalSpecsDir && path.resolve(options.externalSpecsDir)
+      };
+      const multiSpec = await chooseMultiSpecMode(directory, options.multiSpec);
+      const split = await applyMultiSpecMode(directory, multiSpec, { dryRun: options.dryRun, ...boilerplateOptions });
+      const result = await updateConfigurations(directory, {
+        dryRun: options.dryRun,
+        ...boilerplateOptions,
+        scriptsStrategy: options.scriptsStrategy,
+        split
+      });
+      if (printJson(result)) {
+        return;
+      }
       
       console.log('');
       console.log(chalk.green('✅ Configuration update completed!'));
+      printBoilerplate(result.boilerplate);
+      printSpecOutcomes(result.updates);
+      printExternalSpecs(result.updates);
+      printSchemaErrors(result.updates);
+      printDependencies(result.updates);
+      printScriptConflicts(result.updates);
+      printDiffs(result.updates);
       
       if (result.specsJsonUpdated) {
         const action = options.dryRun ? 'Would update' : 'Updated';
@@ -265,11 +790,70 @@ program
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Configuration update failed:'), error.message);
       process.exit(1);
     }
   });
 
+// Split project command
+program
+  .command('split-project')
+  .description('Split a multi-spec specs.json into one Spec-Up-T project per spec, next to the current project')
+  .argument('[directory]', 'Project with a multi-spec specs.json (not modified)', '.')
+  .option('-o, --output <path>', 'Directory to create the projects in (default: the parent of the project)')
+  .option('--dry-run', 'Show which projects would be created without writing them')
+  .option('--offline', 'Use the boilerplate snapshot shipped with this tool instead of fetching it')
+  .option('--boilerplate-ref <ref>', 'Read the spec-up-t boilerplate at this tag or commit SHA')
+  .option('--boilerplate-dir <path>', 'Read the boilerplate from a local spec-up-t checkout or node_modules/spec-up-t')
+  .option('--external-specs-dir <path>', 'Read the specs.json of external spec repositories from <path>/<account>/<repo>/ before fetching them')
+  .action(async (directory, options) => {
+    try {
+      console.log(chalk.blue('✂️  Splitting specs into Spec-Up-T projects...'));
+      console.log(chalk.gray(`Directory: ${path.resolve(directory)}`));
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('⚠️  Dry run mode - no projects will be created'));
+      }
+      console.log('');
+
+      const result = await splitProject(directory, {
+        output: options.output,
+        dryRun: options.dryRun,
+        offline: options.offline,
+        boilerplateRef: options.boilerplateRef,
+        boilerplateDir: options.boilerplateDir && path.resolve(options.boilerplateDir),
+        externalSpecsDir: options.externalSpecsDir && path.resolve(options.externalSpecsDir)
+      });
+      if (printJson(result)) {
+        return;
+      }
+
+      const action = options.dryRun ? 'Would create' : 'Created';
+      result.projects.forEach(project => {
+        console.log(chalk.blue(`📁 ${action} ${project.directory} for "${project.title}"`));
+        console.log(chalk.gray(`  ${project.files.length} markdown file(s), ${project.assets} shared asset(s)`));
+        project.missing.forEach(file => console.log(chalk.yellow(`  Missing markdown file: ${file}`)));
+        project.externalSpecs.forEach(entry => {
+          const count = project.crossReferences.filter(reference => reference.external_spec === entry.external_spec).length;
+          const note = entry.resolved ? '' : ' (no source account; fill in gh_page and url)';
+          console.log(chalk[entry.resolved ? 'gray' : 'yellow'](`  ${count} reference(s) now xref ${entry.external_spec}${note}`));
+        });
+      });
+
+      console.log('');
+      console.log(chalk.green(`✅ ${action} ${result.summary.specs} projects in ${result.output}`));
+      if (result.summary.unresolved > 0) {
+        console.log(chalk.yellow(`⚠️  ${result.summary.unresolved} external_specs entries need a GitHub Pages URL`));
+      }
+
+    } catch (error) {
+      printJson({ success: false, error: error.message });
+      console.error(chalk.red('❌ Project split failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Install command
 program
   .command('install')
@@ -285,6 +869,9 @@ program
       const result = await install(directory, { 
         skipDeps: !options.deps 
       });
+      if (printJson(result)) {
+        return;
+      }
       
       console.log('');
       console.log(chalk.green('✅ Spec-Up-T installation completed!'));
@@ -314,6 +901,7 @@ program
       console.log(chalk.gray('  npx spec-up-t render'));
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Installation failed:'), error.message);
       process.exit(1);
     }
@@ -327,6 +915,18 @@ program
   .option('--dry-run', 'Show what would be done without making changes')
   .option('--no-backup', 'Skip backup phase (not recommended)')
   .option('--skip-detection', 'Skip detection phase and assume valid Spec-Up installation')
+  .option('--allow-dirty', 'Run even when the git working tree has uncommitted changes')
+  .option('--branch [name]', 'Migrate on a new git branch (default: spec-up-t-migration) with one commit per phase')
+  .option('--commit-phases', 'Commit each phase separately on the current git branch')
+  .option('--resume', 'Continue an interrupted migration, skipping the phases it completed')
+  .option('--report <file>', 'Write a migration report (Markdown, or HTML for .html files)')
+  .option('--offline', 'Use the boilerplate snapshot shipped with this tool instead of fetching it')
+  .option('--boilerplate-ref <ref>', 'Read the spec-up-t boilerplate at this tag or commit SHA')
+  .option('--boilerplate-dir <path>', 'Read the boilerplate from a local spec-up-t checkout or node_modules/spec-up-t')
+  .option('--external-specs-dir <path>', 'Read the specs.json of external spec repositories from <path>/<account>/<repo>/ before fetching them')
+  .option('--scripts-strategy <strategy>', 'Combine existing package.json scripts with the Spec-Up-T scripts: replace, merge or keep (default: merge)', parseScriptsStrategy)
+  .option('--multi-spec <mode>', 'Migrate several specs in specs.json in-place, or split them into one project each (asked when omitted)', parseMultiSpecMode)
+  .option('--force', 'Remove stock Spec-Up directories even when their files could not be checked against a stock copy')
   .action(async (directory, options) => {
     try {
       console.log(chalk.blue('🔄 Starting complete Spec-Up to Spec-Up-T migration...'));
@@ -346,8 +946,28 @@ program
       const result = await completeMigration(directory, {
         dryRun: options.dryRun,
         skipBackup: options.noBackup,
-        skipDetection: options.skipDetection
+        skipDetection: options.skipDetection,
+        allowDirty: options.allowDirty,
+        branch: options.branch,
+        commitPhases: options.commitPhases,
+        resume: options.resume,
+        offline: options.offline,
+        boilerplateRef: options.boilerplateRef,
+        boilerplateDir: options.boilerplateDir && path.resolve(options.boilerplateDir),
+        externalSpecsDir: options.externalSpecsDir && path.resolve(options.externalSpecsDir),
+        scriptsStrategy: options.scriptsStrategy,
+        multiSpec: options.resume ? options.multiSpec : await chooseMultiSpecMode(directory, options.multiSpec),
+        force: options.force
       });
+      if (options.report) {
+        const report = await writeReport(result, options.report);
+        console.log(chalk.gray(`📝 Migration report written to ${report.path}`));
+      }
+      // Scripts, including those using --json, detect a failed migration by the exit code
+      process.exitCode = result.success ? 0 : 1;
+      if (printJson(result)) {
+        return;
+      }
       
       console.log('');
       
@@ -356,6 +976,16 @@ program
         if (result.error) {
           console.log(chalk.red('Error:'), result.error);
         }
+        if (result.rollback) {
+          const color = result.rollback.summary.failed === 0 ? 'yellow' : 'red';
+          console.log(chalk[color](`↩️  Rolled back ${result.rollback.summary.restored}/${result.rollback.summary.total} changed paths`));
+        }
+        if (result.gitRollback && result.gitRollback.error) {
+          console.log(chalk.red(`↩️  The migration commits were kept: ${result.gitRollback.instructions}`));
+        } else if (result.gitRollback) {
+          const branch = result.gitRollback.deletedBranch ? `, deleted branch ${result.gitRollback.deletedBranch}` : '';
+          console.log(chalk.yellow(`↩️  Reset the migration commits back to ${result.gitRollback.commit.slice(0, 7)}${branch}`));
+        }
         console.log('');
         console.log(chalk.blue('Migration Summary:'));
       } else {
@@ -379,23 +1009,68 @@ program
       // Find the backup phase result
       const backupPhase = result.phases.find(phase => phase.name === 'Backup');
       if (backupPhase && backupPhase.result && !options.noBackup) {
-        console.log(chalk.gray(`  Backup created: ${backupPhase.result.directory}/backup-${new Date().toISOString().split('T')[0]}`));
+        console.log(chalk.gray(`  Backup created: ${backupPhase.result.snapshot}`));
         console.log(chalk.gray(`  Files backed up: ${backupPhase.result.summary.backed_up}`));
       }
-      
+
+      // Find the split phase result, only present with --multi-spec split
+      const splitPhase = result.phases.find(phase => phase.name === 'Split Specs');
+      if (splitPhase && splitPhase.result) {
+        console.log(chalk.gray(`  Specs split into projects: ${splitPhase.result.projects.length}`));
+        (splitPhase.result.removed || []).forEach(directory => {
+          console.log(chalk.gray(`  Spec directory ${options.dryRun ? 'to remove' : 'removed'}: ${directory}`));
+        });
+      }
+
       // Find the cleanup phase result
       const cleanupPhase = result.phases.find(phase => phase.name === 'Cleanup');
-      if (cleanupPhase && cleanupPhase.result) {
+      if (cleanupPhase && cleanupPhase.result && cleanupPhase.result.summary) {
         console.log(chalk.gray(`  Files cleaned up: ${cleanupPhase.result.summary.removed}`));
         if (cleanupPhase.result.summary.total_size) {
           console.log(chalk.gray(`  Space freed: ${formatBytes(cleanupPhase.result.summary.total_size)}`));
         }
+        // Results of resumed runs from older versions and failed cleanups carry no customization report
+        const { customizations } = cleanupPhase.result;
+        if (customizations && customizations.summary) {
+          const { modified, added, unverified = 0 } = customizations.summary;
+          if (modified + added > 0) {
+            console.log(chalk.yellow(`  Local customizations found: ${modified} modified, ${added} added`));
+          }
+          if (unverified > 0) {
+            console.log(chalk.yellow(`  Files not checked for local changes: ${unverified}`));
+          }
+        }
       }
       
       // Find the update phase result
       const updatePhase = result.phases.find(phase => phase.name === 'Update Configurations');
       if (updatePhase && updatePhase.result) {
         console.log(chalk.gray(`  Configuration files updated: ${updatePhase.result.summary.successful}`));
+        const { boilerplate } = updatePhase.result;
+        if (boilerplate && boilerplate.ref) {
+          console.log(chalk.gray(`  Boilerplate pinned to ${boilerplate.ref}`));
+        }
+        if (boilerplate && boilerplate.directory) {
+          console.log(chalk.gray(`  Boilerplate read from ${boilerplate.directory}`));
+        }
+        if (boilerplate && boilerplate.offline) {
+          console.log(chalk.gray('  Boilerplate read from the vendored snapshot (offline)'));
+        }
+        if (boilerplate && boilerplate.drifted.length > 0) {
+          console.log(chalk.yellow(`  Upstream boilerplate differs from the snapshot: ${boilerplate.drifted.join(', ')}`));
+        }
+        printSpecOutcomes(updatePhase.result.updates);
+        printExternalSpecs(updatePhase.result.updates);
+        printSchemaErrors(updatePhase.result.updates);
+        printDependencies(updatePhase.result.updates);
+        const packageUpdate = updatePhase.result.updates.find(update => update.file === 'package.json');
+        if (packageUpdate && packageUpdate.scripts && packageUpdate.scripts.conflicts.length > 0) {
+          const names = packageUpdate.scripts.conflicts.map(conflict => `${conflict.script} (${conflict.resolution})`);
+          console.log(chalk.yellow(`  Script conflicts: ${names.join(', ')}`));
+        }
+        if (options.dryRun) {
+          printDiffs(updatePhase.result.updates);
+        }
       }
       
       // Find the splitting phase result
@@ -413,6 +1088,17 @@ program
       if (installPhase && installPhase.result) {
         console.log(chalk.gray(`  Spec-Up-T installed with dependencies`));
       }
+
+      if (result.git && result.git.commit) {
+        console.log(chalk.gray(`  Git commits on ${result.git.branch}:`));
+        result.git.commits.forEach(commit => {
+          console.log(chalk.gray(`    ${commit.sha.slice(0, 7)} ${commit.message.split('\n')[0]}`));
+        });
+      }
+
+      if (cleanupPhase && cleanupPhase.result) {
+        printCustomizations(cleanupPhase.result.customizations);
+      }
       
       console.log('');
       
@@ -426,9 +1112,13 @@ program
         console.log(chalk.gray('  1. Review the error messages'));
         console.log(chalk.gray('  2. Ensure the directory contains a valid Spec-Up project'));
         console.log(chalk.gray('  3. Try running: spec-up-migrate detect --verbose'));
+        if (!result.error && !options.dryRun) {
+          console.log(chalk.gray('  4. Fix the cause and run: spec-up-migrate complete --resume'));
+        }
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Complete migration failed:'), error.message);
       
       if (error.phase) {
@@ -443,6 +1133,56 @@ program
     }
   });
 
+// Rollback command
+program
+  .command('rollback')
+  .description('Undo the last complete migration by replaying its journal in reverse')
+  .argument('[directory]', 'Project root that was migrated', '.')
+  .option('--dry-run', 'Show what would be restored without making changes')
+  .action(async (directory, options) => {
+    try {
+      console.log(chalk.blue('↩️  Rolling back last migration...'));
+      console.log(chalk.gray(`Directory: ${path.resolve(directory)}`));
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('⚠️  Dry run mode - no files will be modified'));
+      }
+      console.log('');
+
+      const result = await rollback(directory, { dryRun: options.dryRun });
+      if (printJson(result)) {
+        process.exitCode = result.summary.failed > 0 ? 1 : 0;
+        return;
+      }
+
+      result.entries.forEach(entry => {
+        const verb = entry.action === 'restore' ? 'Restore' : 'Remove';
+        if (entry.dryRun) {
+          console.log(chalk.yellow(`📋 Would ${verb.toLowerCase()}: ${entry.path}`));
+        } else if (entry.success) {
+          console.log(chalk.green(`✅ ${verb}d: ${entry.path}`));
+        } else {
+          console.log(chalk.red(`❌ ${verb} failed: ${entry.path}`));
+          console.log(chalk.red(`   Error: ${entry.error}`));
+        }
+      });
+
+      console.log('');
+      if (result.summary.failed > 0) {
+        console.log(chalk.red(`❌ Rollback incomplete: ${result.summary.failed} path(s) could not be restored`));
+        console.log(chalk.gray('The journal was kept; fix the errors above and run rollback again'));
+        process.exit(1);
+      }
+      const action = options.dryRun ? 'Would roll back' : 'Rolled back';
+      console.log(chalk.green(`✅ ${action} ${result.summary.total} path(s) changed by the migration started ${result.startedAt}`));
+
+    } catch (error) {
+      printJson({ success: false, error: error.message });
+      console.error(chalk.red('❌ Rollback failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Legacy commands for backward compatibility
 program
   .command('validate')
@@ -454,10 +1194,14 @@ program
     
     try {
       const result = await detect(source);
+      if (printJson(result)) {
+        return;
+      }
       console.log(result.confidence >= 70 ? 
         chalk.green('✅ Valid Spec-Up installation detected') :
         chalk.red('❌ No valid Spec-Up installation found'));
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Validation failed:'), error.message);
       process.exit(1);
     }
@@ -486,6 +1230,9 @@ program
         dryRun: options.dryRun,
         verbose: options.verbose
       });
+      if (printJson(result)) {
+        return;
+      }
       
       console.log('');
       
@@ -528,6 +1275,7 @@ program
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Conversion failed:'), error.message);
       
       if (error.message.includes('specs.json')) {
@@ -541,6 +1289,54 @@ program
     }
   });
 
+// Convert references command
+program
+  .command('convert-references')
+  .alias('refs')
+  .description('Convert Spec-Up [[ref:]]/[[xref:]] references to Spec-Up-T [[xref:]]/[[tref:]] and report unresolved ones')
+  .argument('[directory]', 'Directory containing the specs.json and markdown files', '.')
+  .option('--dry-run', 'Show what would be converted without modifying files')
+  .option('--verbose', 'Show detailed output with each conversion')
+  .action(async (directory, options) => {
+    try {
+      console.log(chalk.blue('🔗 Converting [[ref:]]/[[xref:]] references to Spec-Up-T syntax...'));
+      console.log(chalk.gray(`Directory: ${path.resolve(directory)}`));
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('⚠️  Dry run mode - no files will be modified'));
+      }
+      console.log('');
+
+      const result = await convertReferencesToSpecUpT({
+        directory: directory,
+        dryRun: options.dryRun,
+        verbose: options.verbose
+      });
+      if (printJson(result)) {
+        return;
+      }
+
+      console.log('');
+      console.log(chalk.green('✅ Reference conversion completed!'));
+      console.log('');
+      console.log(chalk.blue('Summary:'));
+      console.log(chalk.gray(`  Files ${options.dryRun ? 'that would be changed' : 'changed'}: ${result.filesProcessed.length}`));
+      console.log(chalk.gray(`  References converted: ${result.conversions.length}`));
+      console.log(chalk.gray(`  Unresolved references: ${result.unresolved.length}`));
+
+      if (result.unresolved.length > 0) {
+        console.log('');
+        console.log(chalk.yellow('Unresolved references were left as written. Add the missing external specs to'));
+        console.log(chalk.yellow('external_specs in specs.json or define the missing terms, then run this command again.'));
+      }
+
+    } catch (error) {
+      printJson({ success: false, error: error.message });
+      console.error(chalk.red('❌ Reference conversion failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Extract all definitions command
 program
   .command('extract-definitions')
@@ -564,6 +1360,9 @@ program
         dryRun: options.dryRun,
         verbose: options.verbose
       });
+      if (printJson(result)) {
+        return;
+      }
       
       console.log('');
       
@@ -606,6 +1405,7 @@ program
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Extraction failed:'), error.message);
       
       if (error.message.includes('specs.json')) {
@@ -624,7 +1424,7 @@ program
 program
   .command('process-definitions')
   .alias('process')
-  .description('Extract [[def:]] from all markdown files and convert them to [[iref:]] (recommended workflow)')
+  .description('Extract [[def:]] from all markdown files, convert them to [[iref:]] and convert [[ref:]]/[[xref:]] references (recommended workflow)')
   .argument('[directory]', 'Directory containing specs.json and markdown files', '.')
   .option('--dry-run', 'Preview what would be done without modifying files')
   .option('--verbose', 'Show detailed output with each step')
@@ -643,6 +1443,9 @@ program
         dryRun: options.dryRun,
         verbose: options.verbose
       });
+      if (printJson(result)) {
+        return;
+      }
       
       console.log('');
       
@@ -663,6 +1466,7 @@ program
       }
       
     } catch (error) {
+      printJson({ success: false, error: error.message });
       console.error(chalk.red('❌ Processing failed:'), error.message);
       
       if (error.message.includes('specs.json')) {
@@ -682,6 +1486,9 @@ program
   .description('Initialize a new Spec-Up project')
   .option('-t, --template <template>', 'Template to use', 'basic')
   .action((options) => {
+    if (printJson({ success: false, error: 'Init command is not implemented in this migration tool; use "npx spec-up-t init"' })) {
+      return;
+    }
     console.log(chalk.yellow('⚠️  Init command is not implemented in this migration tool.'));
     console.log(chalk.blue('This tool is specifically for migrating existing Spec-Up projects to Spec-Up-T.'));
     console.log('');
@@ -8,126 +8,401 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { fileExists, getToolPath, hashFile, listFilesRecursive, copyRecursive, createTimestampName } = require('./utils');
+
+/**
+ * Critical files copied by backup() and put back by restore().
+ * `backup` is the sibling name used by versions before snapshots; restore() still reads those copies.
+ */
+const CRITICAL_FILES = [
+  {
+    source: 'assets',
+    backup: 'assets-backup'
+  },
+  {
+    source: 'custom-assets',
+    backup: 'custom-assets-backup'
+  },
+  {
+    source: 'multi-file-test',
+    backup: 'multi-file-test-backup'
+  },
+  {
+    source: 'single-file-test',
+    backup: 'single-file-test-backup'
+  },
+  {
+    source: 'specs.json',
+    backup: 'specs-backup.json'
+  },
+  {
+    source: 'package.json', 
+    backup: 'package-backup.json'
+  },
+  {
+    source: '.gitignore',
+    backup: '.gitignore-backup'
+  },
+  {
+    source: '.github',
+    backup: '.github-backup'
+  }
+];
+
+/**
+ * Name of the manifest written into every backup snapshot
+ */
+const MANIFEST_FILE = 'manifest.json';
 
 /**
  * Create backups of critical files before migration
+ * Every run writes a new snapshot directory named after the current time, so earlier backups are
+ * never overwritten. The snapshot contains a `manifest.json` with the size and SHA-256 checksum
+ * of every copied file.
  * @param {string} [directory='.'] - Directory path containing Spec-Up installation
  * @param {Object} [options={}] - Backup options
  * @param {boolean} [options.list=false] - Whether to only list files without backing up
- * @returns {Promise<Object>} Backup result with file statuses and summary
+ * @param {string} [options.backupDir] - Directory to create snapshots in, defaults to `.spec-up-migrate/backups`
+ * @returns {Promise<Object>} Backup result with file statuses, snapshot location and summary
  * @throws {Error} When backup operations fail
  * @example
- * // Basic backup
+ * // Basic backup into .spec-up-migrate/backups/<timestamp>/
  * const result = await backup('./my-project');
  * 
+ * // Backup into a custom location
+ * const custom = await backup('./my-project', { backupDir: '../backups' });
+ * 
  * // List files that would be backed up
  * const listResult = await backup('./my-project', { list: true });
  */
 async function backup(directory = '.', options = {}) {
   const absoluteDir = path.resolve(directory);
-  const { list = false } = options;
+  const { list = false, backupDir = getToolPath(absoluteDir, 'backups') } = options;
+  const snapshotDir = path.join(path.resolve(backupDir), createTimestampName());
   
-  // Define critical files to backup
-  const criticalFiles = [
-    {
-      source: 'assets',
-      backup: 'assets-backup'
-    },
-    {
-      source: 'custom-assets',
-      backup: 'custom-assets-backup'
-    },
-    {
-      source: 'multi-file-test',
-      backup: 'multi-file-test-backup'
-    },
-    {
-      source: 'single-file-test',
-      backup: 'single-file-test-backup'
-    },
-    {
-      source: 'specs.json',
-      backup: 'specs-backup.json'
-    },
-    {
-      source: 'package.json', 
-      backup: 'package-backup.json'
-    },
-    {
-      source: '.gitignore',
-      backup: '.gitignore-backup'
-    },
-    {
-      source: '.github',
-      backup: '.github-backup'
-    }
-  ];
-
   const results = [];
 
-  for (const file of criticalFiles) {
+  for (const file of CRITICAL_FILES) {
     const sourcePath = path.join(absoluteDir, file.source);
-    const backupPath = path.join(absoluteDir, file.backup);
-    
-    try {
-      // Check if source file exists
-      await fs.access(sourcePath);
-      
-      const fileResult = {
-        source: file.source,
-        backup: file.backup,
-        sourcePath,
-        backupPath,
-        exists: true,
-        backed_up: false
-      };
-
-      if (!list) {
-        try {
-          // Check if source is a directory or file and backup accordingly
-          const stats = await fs.stat(sourcePath);
-          
-          if (stats.isDirectory()) {
-            // For directories, use recursive copy
-            await fs.cp(sourcePath, backupPath, { recursive: true });
-          } else {
-            // For files, use copyFile
-            await fs.copyFile(sourcePath, backupPath);
-          }
-          
-          fileResult.backed_up = true;
-        } catch (backupError) {
-          fileResult.backed_up = false;
-          fileResult.error = backupError.message;
-        }
+    const backupPath = path.join(snapshotDir, file.source);
+    const fileResult = {
+      source: file.source,
+      backup: path.relative(absoluteDir, backupPath),
+      sourcePath,
+      backupPath,
+      exists: await fileExists(sourcePath),
+      backed_up: false
+    };
+
+    if (fileResult.exists && !list) {
+      try {
+        await fs.mkdir(snapshotDir, { recursive: true });
+        await fs.mkdir(path.dirname(backupPath), { recursive: true });
+        await copyRecursive(sourcePath, backupPath);
+        fileResult.backed_up = true;
+      } catch (backupError) {
+        fileResult.error = backupError.message;
       }
-      
-      results.push(fileResult);
-      
-    } catch (error) {
-      // File doesn't exist
-      results.push({
-        source: file.source,
-        backup: file.backup,
-        sourcePath,
-        backupPath,
-        exists: false,
-        backed_up: false
-      });
     }
+
+    results.push(fileResult);
   }
 
+  const backedUp = results.filter(f => f.backed_up);
+  const manifest = backedUp.length > 0 ? await writeManifest(snapshotDir, absoluteDir, backedUp) : null;
+
   return {
     directory: absoluteDir,
+    snapshot: manifest ? snapshotDir : null,
+    manifest,
     files: results,
     summary: {
       total: results.length,
       existing: results.filter(f => f.exists).length,
-      backed_up: results.filter(f => f.backed_up).length
+      backed_up: backedUp.length
+    }
+  };
+}
+
+/**
+ * Write the manifest of a snapshot, listing every copied file with its size and checksum
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} sourceDir - Project directory the files were copied from
+ * @param {Array<Object>} items - Backed up items from backup()
+ * @returns {Promise<string>} Path of the written manifest
+ */
+async function writeManifest(snapshotDir, sourceDir, items) {
+  const files = [];
+
+  for (const item of items) {
+    for (const relative of await listFilesRecursive(item.backupPath)) {
+      const filePath = relative ? path.join(item.backupPath, relative) : item.backupPath;
+      const stats = await fs.stat(filePath);
+      files.push({
+        item: item.source,
+        path: relative ? `${item.source}/${relative}` : item.source,
+        size: stats.size,
+        sha256: await hashFile(filePath)
+      });
+    }
+  }
+
+  const manifestPath = path.join(snapshotDir, MANIFEST_FILE);
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    source: sourceDir,
+    items: items.map(item => item.source),
+    files
+  };
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+/**
+ * List the backup snapshots of a project, oldest first
+ * @param {string} [directory='.'] - Project directory
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.backupDir] - Directory holding the snapshots, defaults to `.spec-up-migrate/backups`
+ * @returns {Promise<Array<Object>>} Snapshots with `name`, `path` and `createdAt`
+ */
+async function listSnapshots(directory = '.', options = {}) {
+  const { backupDir = getToolPath(directory, 'backups') } = options;
+  const root = path.resolve(backupDir);
+
+  if (!await fileExists(root)) {
+    return [];
+  }
+
+  const snapshots = [];
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  for (const entry of entries) {
+    const manifestPath = path.join(root, entry.name, MANIFEST_FILE);
+    if (entry.isDirectory() && await fileExists(manifestPath)) {
+      const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      snapshots.push({ name: entry.name, path: path.join(root, entry.name), createdAt: manifest.createdAt });
+    }
+  }
+
+  return snapshots.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Verify a backup snapshot against its manifest by re-hashing every listed file
+ * A file is `missing` when it no longer exists, `truncated` when it is smaller than recorded
+ * and `modified` when its size matches or grew but the checksum differs.
+ * @param {string} [directory='.'] - Project directory
+ * @param {Object} [options={}] - Verification options
+ * @param {string} [options.snapshot] - Snapshot name (or path) to verify, defaults to the latest
+ * @param {string} [options.backupDir] - Directory holding the snapshots, defaults to `.spec-up-migrate/backups`
+ * @returns {Promise<Object>} Verification result with per-file status, summary and `valid` flag
+ * @throws {Error} When no snapshot (or no manifest) can be found
+ * @example
+ * const result = await verifyBackup('./my-project');
+ * if (!result.valid) {
+ *   console.log(result.files.filter(f => f.status !== 'ok'));
+ * }
+ */
+async function verifyBackup(directory = '.', options = {}) {
+  const absoluteDir = path.resolve(directory);
+  const { snapshot = null, backupDir = getToolPath(absoluteDir, 'backups') } = options;
+
+  const snapshotDir = snapshot
+    ? path.resolve(backupDir, snapshot)
+    : (await listSnapshots(absoluteDir, { backupDir })).pop()?.path;
+  const manifestPath = snapshotDir && path.join(snapshotDir, MANIFEST_FILE);
+
+  if (!manifestPath || !await fileExists(manifestPath)) {
+    throw new Error(`No backup snapshot with a ${MANIFEST_FILE} found in ${path.resolve(backupDir)}`);
+  }
+
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  const files = [];
+
+  for (const entry of manifest.files) {
+    const filePath = path.join(snapshotDir, entry.path);
+    const result = { path: entry.path, expectedSize: entry.size, status: 'ok' };
+
+    if (await fileExists(filePath)) {
+      result.actualSize = (await fs.stat(filePath)).size;
+      if (result.actualSize < entry.size) {
+        result.status = 'truncated';
+      } else if (await hashFile(filePath) !== entry.sha256) {
+        result.status = 'modified';
+      }
+    } else {
+      result.status = 'missing';
+    }
+
+    files.push(result);
+  }
+
+  const count = status => files.filter(f => f.status === status).length;
+
+  return {
+    directory: absoluteDir,
+    snapshot: snapshotDir,
+    manifest: manifestPath,
+    files,
+    valid: files.every(f => f.status === 'ok'),
+    summary: {
+      total: files.length,
+      ok: count('ok'),
+      missing: count('missing'),
+      truncated: count('truncated'),
+      modified: count('modified')
+    }
+  };
+}
+
+/**
+ * Create a backup snapshot and verify it against its manifest
+ * Cleanup deletes the originals, so it only starts when this reports `verified`.
+ * @param {string} [directory='.'] - Project directory
+ * @param {Object} [options={}] - Options passed to backup()
+ * @returns {Promise<Object>} Backup result with `verification` (when a snapshot was written) and `verified`
+ * @example
+ * const result = await createVerifiedBackup('./my-project');
+ * if (!result.verified) {
+ *   console.log(result.verification.summary);
+ * }
+ */
+async function createVerifiedBackup(directory = '.', options = {}) {
+  const backupResult = await backup(directory, options);
+  if (backupResult.snapshot) {
+    backupResult.verification = await verifyBackup(directory, { snapshot: backupResult.snapshot, backupDir: options.backupDir });
+  }
+  backupResult.verified = !backupResult.verification || backupResult.verification.valid;
+  return backupResult;
+}
+
+/**
+ * Restore backup copies made by backup() over the original files
+ * Reads the latest snapshot unless one is named; projects without snapshots fall back to the
+ * sibling `*-backup` copies written by earlier versions of this tool.
+ * All selected items are restored or none are: copies are staged next to their targets first,
+ * and if moving any of them into place fails, the items already swapped are put back.
+ * @param {string} [directory='.'] - Directory path containing the backup copies
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun=false] - Only report what would be restored and overwritten
+ * @param {Array<string>} [options.only] - Restrict the restore to these source names (e.g. `specs.json`, `assets`)
+ * @param {string} [options.snapshot] - Snapshot name (or path) to restore from, defaults to the latest
+ * @param {string} [options.backupDir] - Directory holding the snapshots, defaults to `.spec-up-migrate/backups`
+ * @returns {Promise<Object>} Restore result with per-item status and summary
+ * @throws {Error} When an unknown item is selected or the restore fails (nothing is changed in that case)
+ * @example
+ * // Preview what would be overwritten
+ * const preview = await restore('./my-project', { dryRun: true });
+ *
+ * // Restore only the configuration files
+ * await restore('./my-project', { only: ['specs.json', 'package.json'] });
+ */
+async function restore(directory = '.', options = {}) {
+  const absoluteDir = path.resolve(directory);
+  const { dryRun = false, only = null, snapshot = null, backupDir = getToolPath(absoluteDir, 'backups') } = options;
+
+  if (only) {
+    const unknown = only.filter(name => !CRITICAL_FILES.some(file => file.source === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown backup item(s): ${unknown.join(', ')}. Known items: ${CRITICAL_FILES.map(f => f.source).join(', ')}`);
+    }
+  }
+
+  const snapshotDir = snapshot
+    ? path.resolve(backupDir, snapshot)
+    : (await listSnapshots(absoluteDir, { backupDir })).pop()?.path;
+
+  if (snapshotDir && !await fileExists(snapshotDir)) {
+    throw new Error(`Backup snapshot not found: ${snapshotDir}`);
+  }
+
+  const items = [];
+
+  for (const file of CRITICAL_FILES) {
+    const backupPath = snapshotDir ? path.join(snapshotDir, file.source) : path.join(absoluteDir, file.backup);
+    if ((only && !only.includes(file.source)) || !await fileExists(backupPath)) {
+      continue;
+    }
+
+    const targetPath = path.join(absoluteDir, file.source);
+    items.push({
+      source: file.source,
+      backup: path.relative(absoluteDir, backupPath),
+      backupPath,
+      targetPath,
+      overwrites: await fileExists(targetPath),
+      restored: false
+    });
+  }
+
+  if (!dryRun && items.length > 0) {
+    await swapIntoPlace(items);
+  }
+
+  return {
+    directory: absoluteDir,
+    snapshot: snapshotDir || null,
+    items,
+    dryRun,
+    summary: {
+      available: items.length,
+      overwritten: items.filter(i => i.overwrites).length,
+      restored: items.filter(i => i.restored).length
     }
   };
 }
 
+/**
+ * Copy each backup next to its target, then swap all copies into place
+ * @param {Array<Object>} items - Restore items with `backupPath` and `targetPath`
+ * @returns {Promise<void>}
+ * @throws {Error} When staging or swapping fails; already swapped items are reverted first
+ */
+async function swapIntoPlace(items) {
+  const stagingPath = item => `${item.targetPath}.restore-staging`;
+  const previousPath = item => `${item.targetPath}.restore-previous`;
+  const swapped = [];
+
+  try {
+    for (const item of items) {
+      await fs.rm(stagingPath(item), { recursive: true, force: true });
+      await fs.mkdir(path.dirname(stagingPath(item)), { recursive: true });
+      await copyRecursive(item.backupPath, stagingPath(item));
+    }
+
+    for (const item of items) {
+      if (item.overwrites) {
+        await fs.rename(item.targetPath, previousPath(item));
+      }
+      swapped.push(item);
+      await fs.rename(stagingPath(item), item.targetPath);
+    }
+  } catch (error) {
+    for (const item of swapped.reverse()) {
+      if (!await fileExists(stagingPath(item))) {
+        await fs.rm(item.targetPath, { recursive: true, force: true });
+      }
+      if (item.overwrites) {
+        await fs.rename(previousPath(item), item.targetPath);
+      }
+    }
+    for (const item of items) {
+      await fs.rm(stagingPath(item), { recursive: true, force: true });
+    }
+    throw new Error(`Restore failed, no files were changed: ${error.message}`);
+  }
+
+  for (const item of items) {
+    await fs.rm(previousPath(item), { recursive: true, force: true });
+    item.restored = true;
+  }
+}
+
 module.exports = {
-  backup
+  backup,
+  restore,
+  verifyBackup,
+  createVerifiedBackup,
+  listSnapshots,
+  CRITICAL_FILES,
+  MANIFEST_FILE
 };
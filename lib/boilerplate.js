@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Vendored snapshot of the Spec-Up-T boilerplate, used offline and as the fallback for remote fetches
+ * @module lib/boilerplate
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description The `boilerplate/` directory of this package mirrors the files the updater reads from the
+ * spec-up-t repository, at the same paths, plus a `snapshot.json` that records the repository, ref and
+ * commit they were taken from. `npm run snapshot:update` refreshes it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, safeJsonParse } = require('./utils');
+const { createUnifiedDiff } = require('./diff');
+const { readDeclaredLiteral } = require('./literal');
+
+/**
+ * Directory holding the vendored boilerplate snapshot
+ */
+const SNAPSHOT_DIRECTORY = path.join(__dirname, '..', 'boilerplate');
+
+/**
+ * Metadata file of the snapshot, relative to SNAPSHOT_DIRECTORY
+ */
+const SNAPSHOT_INFO_FILE = 'snapshot.json';
+
+/**
+ * Boilerplate files the updater reads, relative to the root of the spec-up-t repository
+ */
+const BOILERPLATE_FILES = {
+  specs: 'src/install-from-boilerplate/boilerplate/specs.json',
+  gitignore: 'src/install-from-boilerplate/boilerplate/gitignore',
+  scriptsConfig: 'src/install-from-boilerplate/config-scripts-keys.js',
+  workflows: [
+    'src/install-from-boilerplate/boilerplate/.github/workflows/render-specs.yml',
+    'src/install-from-boilerplate/boilerplate/.github/workflows/fetch-and-push-xrefs.yml'
+  ]
+};
+
+/**
+ * Load the metadata of the vendored snapshot
+ * @returns {Promise<Object>} Snapshot metadata with `repository`, `ref`, `commit`, `capturedAt` and `files`, and the
+ * `package` it was read from when it was taken from a published spec-up-t package
+ * @throws {Error} When the snapshot is missing from the package
+ */
+async function loadSnapshotInfo() {
+  const file = path.join(SNAPSHOT_DIRECTORY, SNAPSHOT_INFO_FILE);
+  if (!await fileExists(file)) {
+    throw new Error(`Boilerplate snapshot not found at ${SNAPSHOT_DIRECTORY}`);
+  }
+  return safeJsonParse(await fs.readFile(file, 'utf8'));
+}
+
+/**
+ * Read a file from the vendored snapshot
+ * @param {string} filePath - Path relative to the root of the spec-up-t repository
+ * @returns {Promise<string|null>} File content, or null when the snapshot does not contain the file
+ */
+async function readSnapshotFile(filePath) {
+  const file = path.join(SNAPSHOT_DIRECTORY, filePath);
+  return await fileExists(file) ? fs.readFile(file, 'utf8') : null;
+}
+
+/**
+ * Create the boilerplate source of one update run
+ * The source remembers every file it handed out, where it came from and, for fetched files, how they
+ * differ from the snapshot, so the run can report drift between upstream and the vendored copy.
+ * @param {Object} [options={}] - Source options
+ * @param {boolean} [options.offline=false] - Use the vendored snapshot exclusively, without network access
+ * @param {string} [options.ref] - Tag, branch or commit SHA to read upstream files at; defaults to the repository branch
+ * @param {string} [options.directory] - Local spec-up-t checkout or installed package to read the files from instead
+ * @returns {Object} Source with `offline`, `ref`, `directory`, a `files` list and a per-run content `cache`
+ */
+function createBoilerplateSource(options = {}) {
+  const { offline = false, ref = null, directory = null } = options;
+  return {
+    offline,
+    ref,
+    directory,
+    files: [],
+    cache: new Map()
+  };
+}
+
+/**
+ * Check that the vendored snapshot was taken at the given ref, so offline runs can honour a pinned ref
+ * @param {string} ref - Pinned tag, branch or commit SHA (a SHA may be abbreviated to 7 or more characters)
+ * @returns {Promise<Object>} Snapshot metadata
+ * @throws {Error} When the snapshot was taken at a different ref
+ */
+async function assertSnapshotRef(ref) {
+  const info = await loadSnapshotInfo();
+  const matchesCommit = Boolean(info.commit) && ref.length >= 7 && info.commit.startsWith(ref);
+  if (ref !== info.ref && !matchesCommit) {
+    throw new Error(`The boilerplate snapshot was taken at ${info.ref} (commit ${info.commit || 'not recorded'}) and cannot provide ref "${ref}" offline`);
+  }
+  return info;
+}
+
+/**
+ * Check that a directory is a spec-up-t checkout or installed package holding the boilerplate
+ * @param {string} directory - Absolute path, e.g. of a fork checkout or `node_modules/spec-up-t`
+ * @returns {Promise<string>} The directory
+ * @throws {Error} When the directory has no `src/install-from-boilerplate`
+ */
+async function assertBoilerplateDirectory(directory) {
+  if (!await fileExists(path.join(directory, 'src', 'install-from-boilerplate'))) {
+    throw new Error(`Boilerplate directory ${directory} does not contain src/install-from-boilerplate; point it at a spec-up-t checkout or node_modules/spec-up-t`);
+  }
+  return directory;
+}
+
+/**
+ * Compare a fetched boilerplate file with its snapshot copy
+ * @param {string} filePath - Path relative to the root of the spec-up-t repository
+ * @param {string} fetched - Content fetched from upstream or read from a local boilerplate directory
+ * @param {string|null} snapshot - Snapshot content, or null when the snapshot does not contain the file
+ * @param {string} [label='upstream'] - Name of the fetched side in the diff header
+ * @returns {Object} Comparison with `inSnapshot`, `differs` and, when the contents differ, a unified `diff`
+ */
+function compareWithSnapshot(filePath, fetched, snapshot, label = 'upstream') {
+  const diff = createUnifiedDiff(snapshot || '', fetched, {
+    fromFile: `snapshot/${filePath}`,
+    toFile: `${label}/${filePath}`
+  });
+  const comparison = { inSnapshot: snapshot !== null, differs: diff !== '' };
+  if (comparison.differs) {
+    comparison.diff = diff;
+  }
+  return comparison;
+}
+
+/**
+ * Check the script maps read from `config-scripts-keys.js`
+ * @param {Object} config - Object with `configScriptsKeys` and `configOverwriteScriptsKeys`
+ * @returns {Array<string>} Problems found; empty when the maps have the expected shape
+ */
+function validateScriptsConfig(config) {
+  const isMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const problems = [];
+
+  if (!isMap(config.configScriptsKeys) || Object.keys(config.configScriptsKeys).length === 0) {
+    problems.push('configScriptsKeys must be a non-empty object mapping script names to commands');
+  } else {
+    Object.entries(config.configScriptsKeys)
+      .filter(([, command]) => typeof command !== 'string' || command.trim() === '')
+      .forEach(([name]) => problems.push(`configScriptsKeys.${name} must be a non-empty string`));
+  }
+
+  if (!isMap(config.configOverwriteScriptsKeys)) {
+    problems.push('configOverwriteScriptsKeys must be an object mapping script names to true or false');
+  } else {
+    Object.entries(config.configOverwriteScriptsKeys)
+      .filter(([, overwrite]) => typeof overwrite !== 'boolean')
+      .forEach(([name]) => problems.push(`configOverwriteScriptsKeys.${name} must be true or false`));
+  }
+  return problems;
+}
+
+/**
+ * Parse `config-scripts-keys.js` without executing it
+ * The object literals assigned to `configScriptsKeys` and `configOverwriteScriptsKeys` are read by a literal
+ * parser, so a changed or compromised upstream file cannot run code; anything but plain data is rejected.
+ * @param {string} content - Content of the file
+ * @returns {Object} Object with `configScriptsKeys` (script name to command) and `configOverwriteScriptsKeys`
+ * (script name to boolean)
+ * @throws {Error} When the file no longer has the expected shape
+ */
+function parseScriptsConfig(content) {
+  const fail = reason => new Error(`Unexpected shape of ${BOILERPLATE_FILES.scriptsConfig}: ${reason}`);
+  let config;
+  try {
+    config = {
+      configScriptsKeys: readDeclaredLiteral(content, 'configScriptsKeys'),
+      configOverwriteScriptsKeys: readDeclaredLiteral(content, 'configOverwriteScriptsKeys')
+    };
+  } catch (error) {
+    throw fail(error.message);
+  }
+
+  const problems = validateScriptsConfig(config);
+  if (problems.length > 0) {
+    throw fail(problems.join('; '));
+  }
+  return config;
+}
+
+/**
+ * Summarize a boilerplate source for the update result
+ * @param {Object} source - Source from createBoilerplateSource()
+ * @returns {Promise<Object>} Summary with `offline`, the pinned `ref` (null for the default branch), the local
+ * `directory` (null for GitHub), `snapshot` metadata, the `files` read and the `drifted` paths
+ */
+async function summarizeBoilerplateSource(source) {
+  const { repository, ref, commit, capturedAt } = await loadSnapshotInfo();
+  return {
+    offline: source.offline,
+    ref: source.ref,
+    directory: source.directory,
+    snapshot: { repository, ref, commit, capturedAt },
+    files: source.files,
+    drifted: source.files.filter(file => file.differs).map(file => file.path)
+  };
+}
+
+module.exports = {
+  loadSnapshotInfo,
+  readSnapshotFile,
+  createBoilerplateSource,
+  assertSnapshotRef,
+  assertBoilerplateDirectory,
+  compareWithSnapshot,
+  parseScriptsConfig,
+  summarizeBoilerplateSource,
+  BOILERPLATE_FILES,
+  SNAPSHOT_DIRECTORY,
+  SNAPSHOT_INFO_FILE
+};
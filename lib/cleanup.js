@@ -8,7 +8,72 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { getDirectorySize, formatFileSize, fileExists } = require('./utils');
+const { getDirectorySize, formatFileSize, fileExists, matchesGlob, TOOL_DIRECTORY } = require('./utils');
+const { removePath } = require('./journal');
+const { createTrashBatch, moveToTrash } = require('./trash');
+const { loadMigrateConfig } = require('./config');
+const { detectCustomizations, CUSTOMIZABLE_DIRECTORIES } = require('./customizations');
+
+/**
+ * Obsolete files and directories removed during migration unless the project configuration says otherwise
+ */
+const DEFAULT_OBSOLETE_ITEMS = [
+    {
+        path: 'assets',
+        type: 'directory',
+        reason: 'Replaced by Spec-Up-T asset management'
+    },
+    {
+        path: 'custom-assets',
+        type: 'directory',
+        reason: 'Replaced by Spec-Up-T asset management'
+    },
+    {
+        path: 'src',
+        type: 'directory',
+        reason: 'Replaced by Spec-Up-T'
+    },
+    {
+        path: 'fonts',
+        type: 'directory',
+        reason: 'Font handling moved to Spec-Up-T'
+    },
+    {
+        path: 'docs/fonts',
+        type: 'directory',
+        reason: 'Font handling moved to Spec-Up-T'
+    },
+    {
+        path: 'gulpfile.js',
+        type: 'file',
+        reason: 'Gulp build system replaced by Spec-Up-T'
+    },
+    {
+        path: 'index.js',
+        type: 'file',
+        reason: 'Entry point replaced by Spec-Up-T CLI'
+    },
+    {
+        path: 'references.js',
+        type: 'file',
+        reason: 'Replaced by Spec-Up-T'
+    },
+    {
+        path: 'node_modules',
+        type: 'directory',
+        reason: 'Dependencies will be reinstalled for Spec-Up-T'
+    },
+    {
+        path: 'package-lock.json',
+        type: 'file',
+        reason: 'Lock file will be regenerated'
+    },
+    {
+        path: 'specup_logo.png',
+        type: 'file',
+        reason: 'Replaced by Spec-Up-T'
+    }
+];
 
 /**
  * Clean up obsolete files and directories from Spec-Up installation
@@ -16,7 +81,13 @@ const { getDirectorySize, formatFileSize, fileExists } = require('./utils');
  * @param {Object} [options={}] - Cleanup options
  * @param {boolean} [options.dryRun=false] - Whether to perform a dry run without actual removal
  * @param {boolean} [options.list=false] - Whether to only list items without removing
- * @returns {Promise<Object>} Cleanup result with removed items and summary statistics
+ * @param {Object} [options.journal] - Migration journal; removed items are moved into it so they can be rolled back
+ * @param {boolean} [options.force=false] - Delete items permanently instead of moving them to the trash, and remove
+ * directories holding stock-path files whose content could not be checked
+ * @param {boolean} [options.trash=!force] - Move removed items to `.spec-up-migrate/trash/<timestamp>/`
+ * @param {string} [options.reference] - Stock Spec-Up checkout used to detect local customizations
+ * @param {Object} [options.config] - Migration configuration to use instead of `.spec-up-migrate.json` / specs.json `migrate`
+ * @returns {Promise<Object>} Cleanup result with removed items, skipped items, detected customizations and summary statistics
  * @throws {Error} When cleanup operations fail
  * @example
  * // Dry run to see what would be removed
@@ -27,70 +98,38 @@ const { getDirectorySize, formatFileSize, fileExists } = require('./utils');
  */
 async function cleanup(directory = '.', options = {}) {
     const absoluteDir = path.resolve(directory);
-    const { dryRun = false, list = false } = options;
-
-    // Define obsolete files and directories to remove during migration
-    const obsoleteItems = [
-        {
-            path: 'assets',
-            type: 'directory',
-            reason: 'Replaced by Spec-Up-T asset management'
-        },
-        {
-            path: 'custom-assets',
-            type: 'directory',
-            reason: 'Replaced by Spec-Up-T asset management'
-        },
-        {
-            path: 'src',
-            type: 'directory',
-            reason: 'Replaced by Spec-Up-T'
-        },
-        {
-            path: 'fonts',
-            type: 'directory',
-            reason: 'Font handling moved to Spec-Up-T'
-        },
-        {
-            path: 'docs/fonts',
-            type: 'directory',
-            reason: 'Font handling moved to Spec-Up-T'
-        },
-        {
-            path: 'gulpfile.js',
-            type: 'file',
-            reason: 'Gulp build system replaced by Spec-Up-T'
-        },
-        {
-            path: 'index.js',
-            type: 'file',
-            reason: 'Entry point replaced by Spec-Up-T CLI'
-        },
-        {
-            path: 'references.js',
-            type: 'file',
-            reason: 'Replaced by Spec-Up-T'
-        },
-        {
-            path: 'node_modules',
-            type: 'directory',
-            reason: 'Dependencies will be reinstalled for Spec-Up-T'
-        },
-        {
-            path: 'package-lock.json',
-            type: 'file',
-            reason: 'Lock file will be regenerated'
-        },
-        {
-            path: 'specup_logo.png',
-            type: 'file',
-            reason: 'Replaced by Spec-Up-T'
+    const { dryRun = false, list = false, journal = null, force = false } = options;
+    const { trash = !force } = options;
+    const trashBatch = trash ? createTrashBatch(absoluteDir) : null;
+
+    const { config, source: configSource } = options.config
+        ? { config: options.config, source: 'options' }
+        : await loadMigrateConfig(absoluteDir);
+    const { items: obsoleteItems, skipped } = await resolveCleanupItems(absoluteDir, config.cleanup, configSource);
+
+    // Inspect customizable directories before they are removed so local styling work is reported
+    const customizations = await detectCustomizations(absoluteDir, {
+        reference: options.reference,
+        directories: obsoleteItems.map(item => item.path).filter(p => CUSTOMIZABLE_DIRECTORIES.includes(p))
+    });
+
+    // Without a stock copy, edits to files at stock paths cannot be ruled out, so keep them unless forced
+    const items = force ? obsoleteItems : obsoleteItems.filter(item => {
+        const unverified = customizations.unverified.filter(p => p.startsWith(`${item.path}/`));
+        if (unverified.length > 0) {
+            skipped.push({
+                path: item.path,
+                type: item.type,
+                reason: `Holds ${unverified.length} file(s) at stock Spec-Up paths whose content could not be checked without node_modules/spec-up; pass --reference <path> or --force to remove it`
+            });
+            return false;
         }
-    ];
+        return true;
+    });
 
     const results = [];
 
-    for (const item of obsoleteItems) {
+    for (const item of items) {
         const itemPath = path.join(absoluteDir, item.path);
 
         try {
@@ -115,11 +154,7 @@ async function cleanup(directory = '.', options = {}) {
 
             if (!list && !dryRun) {
                 try {
-                    if (item.type === 'directory') {
-                        await fs.rm(itemPath, { recursive: true });
-                    } else {
-                        await fs.unlink(itemPath);
-                    }
+                    itemResult.trashed = await removeItem(itemPath, item, { journal, trashBatch });
                     itemResult.removed = true;
                 } catch (removeError) {
                     itemResult.removed = false;
@@ -148,9 +183,14 @@ async function cleanup(directory = '.', options = {}) {
 
     return {
         directory: absoluteDir,
+        config: configSource,
+        trash: trashBatch && trashBatch.items.length > 0 ? trashBatch.path : null,
         items: results,
+        skipped,
+        customizations,
         summary: {
             total: results.length,
+            skipped: skipped.length,
             existing: results.filter(i => i.exists).length,
             removed: results.filter(i => i.removed).length,
             totalSizeFreed: results.filter(i => i.removed).reduce((sum, i) => sum + i.size, 0)
@@ -158,6 +198,229 @@ async function cleanup(directory = '.', options = {}) {
     };
 }
 
+/**
+ * Remove a single item: through the journal during a migration, into the trash batch, or permanently
+ * @param {string} itemPath - Absolute path of the item
+ * @param {Object} item - Cleanup item with project-relative `path` and `type`
+ * @param {Object} targets - Object with optional `journal` and `trashBatch`
+ * @returns {Promise<boolean>} Whether the item was moved to the trash
+ */
+async function removeItem(itemPath, item, { journal, trashBatch }) {
+    if (journal) {
+        await removePath(journal, itemPath);
+        return false;
+    }
+    if (trashBatch) {
+        await moveToTrash(trashBatch, item);
+        return true;
+    }
+    if (item.type === 'directory') {
+        await fs.rm(itemPath, { recursive: true });
+    } else {
+        await fs.unlink(itemPath);
+    }
+    return false;
+}
+
+/**
+ * Directories never searched when expanding glob patterns from the configuration
+ */
+const UNSEARCHED_DIRECTORIES = ['.git', 'node_modules', TOOL_DIRECTORY];
+
+/**
+ * Build the list of items to clean up from the defaults and the `cleanup` section of the configuration
+ * - `override`: patterns replacing the default list entirely
+ * - `add`: patterns for extra items to remove
+ * - `exclude`: patterns for items to keep; an item is also kept when a pattern points inside it
+ *   (e.g. `src/plugins/**` keeps the whole `src` directory) or matches one of its files (e.g. `**\/*.css`)
+ * Patterns may be strings or `{ "path": "<glob>", "reason": "<text>" }` objects. The tool directory
+ * (`.spec-up-migrate/`, with the journal, backups and trash) is always kept, whatever the patterns match.
+ * @param {string} directory - Project root directory
+ * @param {Object} [cleanupConfig={}] - The `cleanup` section of the migration configuration
+ * @param {string|null} [configSource=null] - Where the configuration came from, used in reasons
+ * @returns {Promise<Object>} Object with `items` to clean up and `skipped` items with the reason
+ * @throws {Error} When the configuration is not an object, a section is not an array, or a pattern has no string path
+ */
+async function resolveCleanupItems(directory, cleanupConfig = {}, configSource = null) {
+    if (!cleanupConfig || typeof cleanupConfig !== 'object' || Array.isArray(cleanupConfig)) {
+        throw new Error(`cleanup in ${configSource} must be a JSON object`);
+    }
+    const { add = [], exclude = [], override = null } = cleanupConfig;
+    for (const [key, value] of Object.entries({ add, exclude, override: override || [] })) {
+        if (!Array.isArray(value)) {
+            throw new Error(`cleanup.${key} in ${configSource} must be an array of glob patterns`);
+        }
+        value.forEach((entry, index) => {
+            const pattern = toPattern(entry);
+            if (!pattern || typeof pattern !== 'object' || typeof pattern.path !== 'string' || pattern.path === '') {
+                throw new Error(`cleanup.${key}[${index}] in ${configSource} must be a glob pattern or an object with a "path" glob pattern`);
+            }
+        });
+    }
+
+    const candidates = override
+        ? await expandPatterns(directory, override, `Listed in cleanup.override of ${configSource}`)
+        : [...DEFAULT_OBSOLETE_ITEMS];
+
+    for (const item of await expandPatterns(directory, add, `Added by cleanup.add of ${configSource}`)) {
+        if (!candidates.some(candidate => candidate.path === item.path)) {
+            candidates.push(item);
+        }
+    }
+
+    const items = [];
+    const skipped = [];
+    const excludePatterns = exclude.map(toPattern);
+    for (const item of candidates) {
+        const reason = getToolExclusionReason(item.path)
+            || getExclusionReason(item.path, excludePatterns, configSource)
+            || await getContentExclusionReason(directory, item, excludePatterns, configSource);
+        if (reason) {
+            skipped.push({ path: item.path, type: item.type, reason });
+        } else {
+            items.push(item);
+        }
+    }
+
+    return { items, skipped };
+}
+
+/**
+ * Normalize a configured pattern entry to `{ path, reason }`
+ * @param {string|Object} entry - Pattern string or object
+ * @returns {Object} Pattern object
+ */
+function toPattern(entry) {
+    return typeof entry === 'string' ? { path: entry } : entry;
+}
+
+/**
+ * Explain why an item in the tool directory is never cleaned up
+ * @param {string} itemPath - Project-relative item path
+ * @returns {string|null} Reason, or null when the item is outside the tool directory
+ */
+function getToolExclusionReason(itemPath) {
+    const normalized = itemPath.replace(/^\.\//, '');
+    if (normalized === TOOL_DIRECTORY || normalized.startsWith(`${TOOL_DIRECTORY}/`)) {
+        return 'Holds the migration journal, backups and trash of spec-up-migrate';
+    }
+    return null;
+}
+
+/**
+ * Explain why an item is excluded from cleanup, if it is
+ * @param {string} itemPath - Project-relative item path
+ * @param {Array<Object>} patterns - Exclude patterns
+ * @param {string|null} configSource - Where the configuration came from
+ * @returns {string|null} Reason, or null when the item is not excluded
+ */
+function getExclusionReason(itemPath, patterns, configSource) {
+    for (const pattern of patterns) {
+        const suffix = pattern.reason ? `: ${pattern.reason}` : '';
+        if (matchesGlob(itemPath, pattern.path)) {
+            return `Excluded by pattern '${pattern.path}' in ${configSource}${suffix}`;
+        }
+        const literalPrefix = pattern.path.replace(/^\.\//, '').split(/[*?]/)[0];
+        if (literalPrefix.startsWith(`${itemPath}/`)) {
+            return `Contains paths protected by pattern '${pattern.path}' in ${configSource}${suffix}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Explain why a directory item is excluded because files inside it match an exclude pattern
+ * Catches patterns without a literal prefix, such as `**\/*.css`, that getExclusionReason() cannot tie to an
+ * item by its path. A pattern without a `/` is also matched against file names, as in `.gitignore`, so `*.md`
+ * keeps `assets/readme.md`. Dependency and tool directories are not searched.
+ * @param {string} directory - Project root directory
+ * @param {Object} item - Cleanup item with project-relative `path` and `type`
+ * @param {Array<Object>} patterns - Exclude patterns
+ * @param {string|null} configSource - Where the configuration came from
+ * @returns {Promise<string|null>} Reason, or null when no file of the item is protected
+ */
+async function getContentExclusionReason(directory, item, patterns, configSource) {
+    if (patterns.length === 0 || item.type !== 'directory' || UNSEARCHED_DIRECTORIES.includes(path.basename(item.path))) {
+        return null;
+    }
+    const files = await listFiles(directory, item.path);
+    for (const pattern of patterns) {
+        const matchesName = !pattern.path.includes('/');
+        const protectedFiles = files.filter(file => matchesGlob(file, pattern.path)
+            || (matchesName && matchesGlob(path.posix.basename(file), pattern.path)));
+        if (protectedFiles.length > 0) {
+            const suffix = pattern.reason ? `: ${pattern.reason}` : '';
+            return `Contains ${protectedFiles.length} file(s) protected by pattern '${pattern.path}' in ${configSource}${suffix}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * List the files in a project directory recursively
+ * @param {string} directory - Project root directory
+ * @param {string} relativeDir - Project-relative directory to list
+ * @returns {Promise<Array<string>>} Project-relative file paths, empty when the directory does not exist
+ */
+async function listFiles(directory, relativeDir) {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    const files = [];
+    for (const entry of entries) {
+        const relativePath = `${relativeDir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            if (!UNSEARCHED_DIRECTORIES.includes(entry.name)) {
+                files.push(...await listFiles(directory, relativePath));
+            }
+        } else {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Expand configured glob patterns to existing project paths
+ * Matching directories are returned as a whole and not searched further.
+ * @param {string} directory - Project root directory
+ * @param {Array<string|Object>} entries - Pattern strings or `{ path, reason }` objects
+ * @param {string} defaultReason - Reason used for patterns without one
+ * @returns {Promise<Array<Object>>} Items with `path`, `type` and `reason`
+ */
+async function expandPatterns(directory, entries, defaultReason) {
+    const patterns = entries.map(toPattern);
+    const items = [];
+    if (patterns.length === 0) {
+        return items;
+    }
+
+    const walk = async (relativeDir) => {
+        const dirEntries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+        for (const entry of dirEntries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            const pattern = patterns.find(p => matchesGlob(relativePath, p.path));
+            if (pattern) {
+                items.push({
+                    path: relativePath,
+                    type: entry.isDirectory() ? 'directory' : 'file',
+                    reason: pattern.reason || defaultReason
+                });
+            } else if (entry.isDirectory() && !UNSEARCHED_DIRECTORIES.includes(entry.name)) {
+                await walk(relativePath);
+            }
+        }
+    };
+
+    await walk('');
+    return items;
+}
+
 module.exports = {
-    cleanup
+    cleanup,
+    resolveCleanupItems,
+    DEFAULT_OBSOLETE_ITEMS
 };
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Project-level configuration for the migration tool
+ * @module lib/config
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Reads migration settings from `.spec-up-migrate.json` in the project root or, when that
+ * file does not exist, from the `migrate` section of `specs.json`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, safeJsonParse } = require('./utils');
+
+/**
+ * Name of the dedicated configuration file in the project root
+ */
+const CONFIG_FILE = '.spec-up-migrate.json';
+
+/**
+ * Check whether a parsed JSON value is an object (not null or an array)
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} True for JSON objects
+ */
+function isJsonObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Load the migration configuration of a project
+ * @param {string} [directory='.'] - Project root directory
+ * @returns {Promise<Object>} Object with `config` (empty when nothing is configured), `source` and `path`
+ * @throws {Error} When `.spec-up-migrate.json`, specs.json or its `migrate` section is not a JSON object
+ * @example
+ * const { config, source } = await loadMigrateConfig('./my-project');
+ * // config.cleanup.exclude => ['src']
+ * // source => '.spec-up-migrate.json'
+ */
+async function loadMigrateConfig(directory = '.') {
+  const absoluteDir = path.resolve(directory);
+  const configPath = path.join(absoluteDir, CONFIG_FILE);
+
+  if (await fileExists(configPath)) {
+    const content = await fs.readFile(configPath, 'utf8');
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${CONFIG_FILE}: ${error.message}`);
+    }
+    if (!isJsonObject(config)) {
+      throw new Error(`${CONFIG_FILE} must contain a JSON object`);
+    }
+    return { config, source: CONFIG_FILE, path: configPath };
+  }
+
+  const specsPath = path.join(absoluteDir, 'specs.json');
+  if (await fileExists(specsPath)) {
+    const specsData = safeJsonParse(await fs.readFile(specsPath, 'utf8'));
+    if (!isJsonObject(specsData)) {
+      throw new Error('specs.json must contain a JSON object to read the migrate section from');
+    }
+    if (specsData.migrate !== undefined) {
+      if (!isJsonObject(specsData.migrate)) {
+        throw new Error('The migrate section of specs.json must be a JSON object');
+      }
+      return { config: specsData.migrate, source: 'specs.json (migrate section)', path: specsPath };
+    }
+  }
+
+  return { config: {}, source: null, path: null };
+}
+
+module.exports = {
+  loadMigrateConfig,
+  CONFIG_FILE
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Detection of local changes to the stock Spec-Up asset and source directories
+ * @module lib/customizations
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Compares `assets/`, `custom-assets/` and `src/` with the stock Spec-Up distribution so that
+ * cleanup can report user-modified or added files, and proposes a location for each of them in the
+ * Spec-Up-T layout. The stock files are taken from a reference copy of Spec-Up (by default the
+ * `spec-up` package in the project's `node_modules`); without one, files at a stock Spec-Up path are
+ * reported as unverified, since their content cannot be checked.
+ */
+
+const path = require('path');
+const { fileExists, hashFile, listFilesRecursive, matchesGlob } = require('./utils');
+
+/**
+ * Directories of a Spec-Up project that may contain local customizations
+ */
+const CUSTOMIZABLE_DIRECTORIES = ['assets', 'custom-assets', 'src'];
+
+/**
+ * Paths shipped with stock Spec-Up, used when no reference copy is available to tell unverified files from added ones
+ */
+const STOCK_SPEC_UP_FILES = [
+    'assets/compiled/**',
+    'assets/fonts/**',
+    'assets/icons.svg',
+    'assets/css/chart.css',
+    'assets/css/custom-elements.css',
+    'assets/css/font-awesome.css',
+    'assets/css/index.css',
+    'assets/css/katex.css',
+    'assets/css/prism.css',
+    'assets/js/chart.js',
+    'assets/js/custom-elements.js',
+    'assets/js/font-awesome.js',
+    'assets/js/index.js',
+    'assets/js/markdown-it.js',
+    'assets/js/mermaid.js',
+    'assets/js/popper.js',
+    'assets/js/prism.js',
+    'assets/js/tippy.js',
+    'assets/js/utils.js',
+    'src/markdown-it-extensions.js',
+    'src/references.js',
+    'src/utils.js'
+];
+
+/**
+ * Spec-Up-T destinations for customized files, by file extension
+ */
+const RELOCATION_TARGETS = [
+    { extensions: ['.css'], directory: 'static/css' },
+    { extensions: ['.js', '.mjs'], directory: 'static/js' },
+    { extensions: ['.woff', '.woff2', '.ttf', '.otf', '.eot'], directory: 'static/fonts' },
+    { extensions: ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.webp'], directory: 'static/images' }
+];
+
+/**
+ * Find the customized files in the stock Spec-Up directories of a project
+ * @param {string} [directory='.'] - Project root directory
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.reference] - Stock Spec-Up checkout to compare with, defaults to `node_modules/spec-up`
+ * @param {Array<string>} [options.directories] - Directories to inspect, defaults to `assets`, `custom-assets` and `src`
+ * @returns {Promise<Object>} Result with the modified and added `files`, the `unverified` paths and a summary
+ * @example
+ * const result = await detectCustomizations('./my-project');
+ * result.files.forEach(file => console.log(`${file.status}: ${file.path} -> ${file.suggestion}`));
+ */
+async function detectCustomizations(directory = '.', options = {}) {
+    const absoluteDir = path.resolve(directory);
+    const { directories = CUSTOMIZABLE_DIRECTORIES } = options;
+    const reference = await resolveReference(absoluteDir, options.reference);
+
+    const files = [];
+    const unverified = [];
+    let scanned = 0;
+
+    for (const dir of directories) {
+        if (!await fileExists(path.join(absoluteDir, dir))) {
+            continue;
+        }
+        for (const file of await listFilesRecursive(path.join(absoluteDir, dir))) {
+            const relativePath = file ? `${dir}/${file}` : dir;
+            const status = await classifyFile(absoluteDir, relativePath, reference);
+            scanned++;
+            if (status === 'unverified') {
+                unverified.push(relativePath);
+            } else if (status !== 'stock') {
+                files.push({ path: relativePath, status, suggestion: proposeLocation(relativePath) });
+            }
+        }
+    }
+
+    return {
+        directory: absoluteDir,
+        reference,
+        files,
+        unverified,
+        summary: {
+            scanned,
+            stock: scanned - files.length - unverified.length,
+            modified: files.filter(f => f.status === 'modified').length,
+            added: files.filter(f => f.status === 'added').length,
+            unverified: unverified.length
+        }
+    };
+}
+
+/**
+ * Pick the stock Spec-Up copy to compare with
+ * @param {string} directory - Project root directory
+ * @param {string} [reference] - Explicitly requested reference directory
+ * @returns {Promise<string|null>} Absolute reference path, or null when file contents cannot be compared
+ * @throws {Error} When the requested reference does not exist
+ */
+async function resolveReference(directory, reference) {
+    if (reference) {
+        const absoluteReference = path.resolve(reference);
+        if (!await fileExists(absoluteReference)) {
+            throw new Error(`Stock Spec-Up reference not found: ${absoluteReference}`);
+        }
+        return absoluteReference;
+    }
+
+    const installed = path.join(directory, 'node_modules', 'spec-up');
+    return await fileExists(installed) ? installed : null;
+}
+
+/**
+ * Decide whether a project file is stock, modified or added
+ * Without a reference a file at a stock path may still have been edited, so it is `unverified` rather than `stock`.
+ * @param {string} directory - Project root directory
+ * @param {string} relativePath - Project-relative file path
+ * @param {string|null} reference - Stock Spec-Up copy, or null
+ * @returns {Promise<string>} `stock`, `modified`, `added` or `unverified`
+ */
+async function classifyFile(directory, relativePath, reference) {
+    if (!reference) {
+        return STOCK_SPEC_UP_FILES.some(pattern => matchesGlob(relativePath, pattern)) ? 'unverified' : 'added';
+    }
+
+    const stockPath = path.join(reference, relativePath);
+    if (!await fileExists(stockPath)) {
+        return 'added';
+    }
+    const [actual, expected] = await Promise.all([hashFile(path.join(directory, relativePath)), hashFile(stockPath)]);
+    return actual === expected ? 'stock' : 'modified';
+}
+
+/**
+ * Propose where a customized file belongs in a Spec-Up-T project
+ * @param {string} relativePath - Project-relative path in the Spec-Up layout
+ * @returns {string} Project-relative path in the Spec-Up-T layout
+ * @example
+ * proposeLocation('custom-assets/css/theme.css'); // 'static/css/theme.css'
+ */
+function proposeLocation(relativePath) {
+    const name = path.posix.basename(relativePath);
+    const target = RELOCATION_TARGETS.find(t => t.extensions.includes(path.posix.extname(name).toLowerCase()));
+    if (target) {
+        return `${target.directory}/${name}`;
+    }
+    return `static/${relativePath.split('/').slice(1).join('/') || name}`;
+}
+
+module.exports = {
+    detectCustomizations,
+    proposeLocation,
+    CUSTOMIZABLE_DIRECTORIES,
+    STOCK_SPEC_UP_FILES
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Classification of the dependencies of a Spec-Up project's package.json
+ * @module lib/dependencies
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Sorts every existing dependency into Spec-Up internals that Spec-Up-T makes obsolete,
+ * packages the Spec-Up-T template provides, and the project's own packages (linters, link checkers and
+ * the like), so that the package.json update removes only what belongs to Spec-Up and keeps the rest.
+ */
+
+const { matchesGlob } = require('./utils');
+
+/**
+ * Dependencies sections of package.json that are classified
+ */
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies'];
+
+/**
+ * Packages that belong to Spec-Up and its build, with the reason they are no longer needed
+ */
+const OBSOLETE_DEPENDENCIES = [
+  { pattern: 'spec-up', reason: 'replaced by spec-up-t' },
+  { pattern: 'gulp', reason: 'Spec-Up build system, replaced by the Spec-Up-T CLI' },
+  { pattern: 'gulp-*', reason: 'Gulp plugin of the Spec-Up build' },
+  { pattern: 'merge-stream', reason: 'Gulp stream helper of the Spec-Up build' },
+  { pattern: 'markdown-it', reason: 'Spec-Up renderer, bundled with spec-up-t' },
+  { pattern: 'markdown-it-*', reason: 'Spec-Up markdown-it plugin, bundled with spec-up-t' },
+  { pattern: 'prismjs', reason: 'Spec-Up syntax highlighter, bundled with spec-up-t' },
+  { pattern: 'pkg-dir', reason: 'Spec-Up internal helper' },
+  { pattern: 'find-pkg-dir', reason: 'Spec-Up internal helper' }
+];
+
+/**
+ * Classify one dependency
+ * @param {string} name - Package name
+ * @param {Object} templateDependencies - Dependencies the Spec-Up-T template sets
+ * @returns {Object} `classification` (`template`, `obsolete` or `user`) and, for obsolete packages, `reason`
+ */
+function classifyDependency(name, templateDependencies) {
+  if (Object.prototype.hasOwnProperty.call(templateDependencies, name)) {
+    return { classification: 'template' };
+  }
+  const obsolete = OBSOLETE_DEPENDENCIES.find(entry => matchesGlob(name, entry.pattern));
+  return obsolete ? { classification: 'obsolete', reason: obsolete.reason } : { classification: 'user' };
+}
+
+/**
+ * Classify the dependencies of an existing package.json
+ * @param {Object} existingPackage - Parsed package.json
+ * @param {Object} templateDependencies - Dependencies the Spec-Up-T template sets, such as `spec-up-t` and `dotenv`
+ * @returns {Array<Object>} One entry per dependency with `name`, `version`, `section` (`dependencies` or
+ * `devDependencies`), `classification` and, for obsolete packages, `reason`
+ * @example
+ * classifyDependencies({ devDependencies: { gulp: '^4.0.0', markdownlint: '^0.37.0' } }, { 'spec-up-t': '^1.2.7' });
+ * // [{ name: 'gulp', classification: 'obsolete', ... }, { name: 'markdownlint', classification: 'user', ... }]
+ */
+function classifyDependencies(existingPackage, templateDependencies) {
+  return DEPENDENCY_SECTIONS.flatMap(section => Object.entries(existingPackage[section] || {}).map(([name, version]) => ({
+    name,
+    version,
+    section,
+    ...classifyDependency(name, templateDependencies)
+  })));
+}
+
+/**
+ * Build the dependencies sections of the migrated package.json
+ * The template dependencies are set in `dependencies`; user packages stay in the section they were in.
+ * @param {Array<Object>} classified - Result of classifyDependencies()
+ * @param {Object} templateDependencies - Dependencies the Spec-Up-T template sets
+ * @returns {Object} `dependencies` and `devDependencies`; the latter is empty when no user devDependencies remain
+ */
+function buildDependencies(classified, templateDependencies) {
+  const sections = { dependencies: {}, devDependencies: {} };
+  classified
+    .filter(entry => entry.classification === 'user')
+    .forEach(entry => {
+      sections[entry.section][entry.name] = entry.version;
+    });
+  Object.assign(sections.dependencies, templateDependencies);
+  return sections;
+}
+
+module.exports = {
+  classifyDependencies,
+  buildDependencies,
+  DEPENDENCY_SECTIONS,
+  OBSOLETE_DEPENDENCIES
+};
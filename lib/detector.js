@@ -10,6 +10,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
 const { fileExists, safeJsonParse } = require('./utils');
+const { validateSpecsJson, formatSchemaError } = require('./schema');
 
 /**
  * Detect if a directory contains a Spec-Up installation
@@ -98,9 +99,9 @@ async function detect(directory = '.') {
 }
 
 /**
- * Check for specs.json file and validate its structure
+ * Check for specs.json file and validate it against the Spec-Up schema
  * @param {string} directory - Directory path to check for specs.json
- * @returns {Promise<Object>} Check result with found/valid status and details
+ * @returns {Promise<Object>} Check result with found/valid status, details and the schema `errors`
  */
 async function checkSpecsJson(directory) {
   const specsPath = path.join(directory, 'specs.json');
@@ -110,14 +111,20 @@ async function checkSpecsJson(directory) {
     const data = safeJsonParse(content);
     
     const hasSpecs = Array.isArray(data.specs) && data.specs.length > 0;
+    const { errors } = validateSpecsJson(data, 'spec-up');
+    let details = hasSpecs ? `Found ${data.specs.length} spec(s)` : 'Empty or invalid specs array';
+    if (errors.length > 0) {
+      details = `Does not match the Spec-Up schema: ${errors.map(formatSchemaError).join('; ')}`;
+    }
     
     return {
       name: 'specs.json',
       description: 'specs.json configuration file',
       found: true,
-      valid: hasSpecs,
+      valid: hasSpecs && errors.length === 0,
       path: specsPath,
-      details: hasSpecs ? `Found ${data.specs.length} spec(s)` : 'Empty or invalid specs array'
+      details,
+      errors
     };
   } catch (error) {
     return {
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Line-based unified diffs for previewing configuration changes
+ * @module lib/diff
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description A small longest-common-subsequence diff, good enough for the configuration files the
+ * updater rewrites (package.json, specs.json, .gitignore) and free of extra dependencies.
+ */
+
+/**
+ * Number of unchanged lines shown around each change
+ */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Split text into lines, ignoring the final newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function toLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split(/\r?\n/);
+  return lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+}
+
+/**
+ * Compute the edit script between two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Operations with `type` (' ', '-' or '+') and `line`
+ */
+function diffLines(a, b) {
+  // lengths[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      ops.push({ type: '+', line: b[j++] });
+    } else {
+      ops.push({ type: '-', line: a[i++] });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Group operations into hunks with the given amount of context
+ * @param {Array<Object>} ops - Operations from diffLines()
+ * @param {number} context - Unchanged lines around each change
+ * @returns {Array<Object>} Hunks with `start` and `end` indexes into `ops`
+ */
+function groupHunks(ops, context) {
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+  return hunks;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} oldText - Current content ('' when the file does not exist)
+ * @param {string} newText - Content that would be written
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.fromFile='a'] - Name shown for the old version
+ * @param {string} [options.toFile='b'] - Name shown for the new version
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Unified diff, or an empty string when the versions are equal
+ * @example
+ * createUnifiedDiff('a\nb\n', 'a\nc\n', { fromFile: 'a/.gitignore', toFile: 'b/.gitignore' });
+ * // '--- a/.gitignore\n+++ b/.gitignore\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n'
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = DEFAULT_CONTEXT } = options;
+  const ops = diffLines(toLines(oldText), toLines(newText));
+  const hunks = groupHunks(ops, context);
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const before = ops.slice(0, hunk.start);
+    const body = ops.slice(hunk.start, hunk.end);
+    const oldStart = before.filter(op => op.type !== '+').length;
+    const newStart = before.filter(op => op.type !== '-').length;
+    const oldCount = body.filter(op => op.type !== '+').length;
+    const newCount = body.filter(op => op.type !== '-').length;
+
+    lines.push(`@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`);
+    lines.push(...body.map(op => `${op.type}${op.line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  createUnifiedDiff
+};
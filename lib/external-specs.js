@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Conversion of Spec-Up external_specs to the Spec-Up-T format
+ * @module lib/external-specs
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Spec-Up lists external specs as `{ "PE": "https://identity.foundation/presentation-exchange" }`.
+ * Spec-Up-T needs the published page (`gh_page`), the repository (`url`) and the directory of the term files
+ * in that repository (`terms_dir`). The repository is derived from GitHub and GitLab Pages and repository URLs;
+ * for pages on a custom domain it is discovered from the repository link on the page. The terms directory is
+ * read from the specs.json of the repository, taken from a local mirror when one is configured and fetched
+ * otherwise. Entries for which either step fails keep a default and are reported as unresolved.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, safeJsonParse } = require('./utils');
+const { fetchText, fetchJson } = require('./fetch');
+
+/**
+ * `terms_dir` of an external spec whose specs.json could not be read: the Spec-Up-T default layout
+ */
+const DEFAULT_TERMS_DIRECTORY = 'spec/terms-definitions';
+
+/**
+ * Hosts whose Pages and repository URLs can be mapped onto each other
+ */
+const REPOSITORY_HOSTS = {
+  github: {
+    pagesDomain: 'github.io',
+    repositoryDomain: 'github.com',
+    rawSpecsJson: ({ account, repo }) => `https://raw.githubusercontent.com/${account}/${repo}/HEAD/specs.json`
+  },
+  gitlab: {
+    pagesDomain: 'gitlab.io',
+    repositoryDomain: 'gitlab.com',
+    rawSpecsJson: ({ account, repo }) => `https://gitlab.com/${account}/${repo}/-/raw/HEAD/specs.json`
+  }
+};
+
+/**
+ * Repositories of the Spec-Up tooling, linked from every rendered spec and never the spec's own repository
+ */
+const TOOL_REPOSITORIES = ['spec-up', 'spec-up-t'];
+
+/**
+ * Request settings for discovery; a failed lookup only leaves an entry unresolved, so it is not retried long
+ */
+const FETCH_OPTIONS = { retries: 1, timeout: 10000 };
+
+/**
+ * Parse a URL
+ * @param {string} value - Possible URL
+ * @returns {URL|null} Parsed http(s) URL, or null
+ */
+function parseUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Derive the repository from a GitHub or GitLab Pages or repository URL
+ * @param {string} value - URL from external_specs
+ * @returns {Object|null} `host` (`github` or `gitlab`), `account` and `repo`, or null for other URLs
+ * @example
+ * parseRepositoryUrl('https://weboftrust.github.io/kerisuite-glossary/'); // { host: 'github', account: 'weboftrust', repo: 'kerisuite-glossary' }
+ * parseRepositoryUrl('https://gitlab.com/group/spec.git'); // { host: 'gitlab', account: 'group', repo: 'spec' }
+ */
+function parseRepositoryUrl(value) {
+  const url = parseUrl(value);
+  if (!url) {
+    return null;
+  }
+  const hostname = url.hostname.toLowerCase();
+  const [first, second] = url.pathname.split('/').filter(Boolean);
+
+  for (const [host, { pagesDomain, repositoryDomain }] of Object.entries(REPOSITORY_HOSTS)) {
+    if (hostname.endsWith(`.${pagesDomain}`)) {
+      const account = hostname.slice(0, -pagesDomain.length - 1);
+      return { host, account, repo: first || hostname };
+    }
+    if (hostname === repositoryDomain && first && second) {
+      return { host, account: first, repo: second.replace(/\.git$/, '') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the Pages and repository URLs of a repository
+ * @param {Object} repository - `host`, `account` and `repo`
+ * @returns {Object} `gh_page` and `url`
+ */
+function describeRepository({ host, account, repo }) {
+  const { pagesDomain, repositoryDomain } = REPOSITORY_HOSTS[host];
+  const userSite = repo.toLowerCase() === `${account}.${pagesDomain}`;
+  return {
+    gh_page: userSite ? `https://${account}.${pagesDomain}/` : `https://${account}.${pagesDomain}/${repo}/`,
+    url: `https://${repositoryDomain}/${account}/${repo}`
+  };
+}
+
+/**
+ * Find the repository of a page on a custom domain from the repository links in its HTML
+ * @param {string} pageUrl - Published spec
+ * @returns {Promise<Object|null>} Repository, or null when the page cannot be read or links no repository
+ */
+async function discoverRepository(pageUrl) {
+  let html;
+  try {
+    html = await fetchText(pageUrl, FETCH_OPTIONS);
+  } catch {
+    return null;
+  }
+  const links = html.match(/https:\/\/(?:github|gitlab)\.com\/[\w.-]+\/[\w.-]+/g) || [];
+  return links
+    .map(parseRepositoryUrl)
+    .find(repository => repository && !TOOL_REPOSITORIES.includes(repository.repo.toLowerCase())) || null;
+}
+
+/**
+ * Read the specs.json of a repository
+ * @param {Object} repository - `host`, `account` and `repo`
+ * @param {Object} options - `offline` and `mirrorDirectory`
+ * @returns {Promise<Object|null>} `specs` (parsed specs.json) and `origin` (`mirror` or `remote`), or null
+ */
+async function readRepositorySpecs(repository, options) {
+  if (options.mirrorDirectory) {
+    const mirrored = path.join(options.mirrorDirectory, repository.account, repository.repo, 'specs.json');
+    if (await fileExists(mirrored)) {
+      return { specs: safeJsonParse(await fs.readFile(mirrored, 'utf8'), null), origin: 'mirror' };
+    }
+  }
+  if (options.offline) {
+    return null;
+  }
+  try {
+    return { specs: await fetchJson(REPOSITORY_HOSTS[repository.host].rawSpecsJson(repository), FETCH_OPTIONS), origin: 'remote' };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Determine the terms directory, relative to the repository root, from a specs.json
+ * A Spec-Up specs.json has no `spec_terms_directory` yet; the directory its migration will create is used.
+ * @param {Object} specsData - Parsed specs.json
+ * @returns {string|null} For example `spec/terms-definitions`, or null when the file lists no specs
+ */
+function findTermsDirectory(specsData) {
+  const spec = specsData && Array.isArray(specsData.specs) && specsData.specs[0];
+  if (!spec) {
+    return null;
+  }
+  const specDirectory = (spec.spec_directory || './spec').replace(/^\.\//, '').replace(/\/$/, '');
+  return `${specDirectory}/${spec.spec_terms_directory || 'terms-definitions'}`;
+}
+
+/**
+ * Convert one Spec-Up external spec
+ * @param {string} name - Key of the external spec
+ * @param {string} value - URL of the external spec
+ * @param {Object} options - `offline` and `mirrorDirectory`
+ * @returns {Promise<Object>} `entry`, the Spec-Up-T external_specs entry, and `resolution` with `external_spec`,
+ * `source` (the original URL), `repository` (`host:account/repo` or null), `terms_dir_origin` (`mirror`, `remote`
+ * or `default`), `resolved` and, for unresolved entries, `reason`
+ */
+async function convertExternalSpec(name, value, options) {
+  const entry = { external_spec: name, gh_page: value, url: value, terms_dir: DEFAULT_TERMS_DIRECTORY };
+  const resolution = { external_spec: name, source: value, repository: null, terms_dir_origin: 'default', resolved: false };
+
+  const url = parseUrl(value);
+  if (!url) {
+    return { entry, resolution: { ...resolution, reason: 'not a URL' } };
+  }
+  const repository = parseRepositoryUrl(value) || (options.offline ? null : await discoverRepository(value));
+  if (!repository) {
+    return { entry, resolution: { ...resolution, reason: 'no repository found for this URL' } };
+  }
+
+  // A Pages URL, also on a custom domain, is where the spec is published and is kept as given
+  const described = describeRepository(repository);
+  const isRepositoryUrl = url.hostname.toLowerCase() === REPOSITORY_HOSTS[repository.host].repositoryDomain;
+  entry.gh_page = isRepositoryUrl ? described.gh_page : value;
+  entry.url = described.url;
+  resolution.repository = `${repository.host}:${repository.account}/${repository.repo}`;
+
+  const remote = await readRepositorySpecs(repository, options);
+  const termsDirectory = remote && findTermsDirectory(remote.specs);
+  if (!termsDirectory) {
+    return { entry, resolution: { ...resolution, reason: `specs.json of ${repository.account}/${repository.repo} could not be read` } };
+  }
+  entry.terms_dir = termsDirectory;
+  return { entry, resolution: { ...resolution, terms_dir_origin: remote.origin, resolved: true } };
+}
+
+/**
+ * Convert Spec-Up external_specs to Spec-Up-T external_specs
+ * @param {Array<Object>} groups - Spec-Up external_specs, objects mapping names to URLs
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.offline=false] - Do not fetch pages or specs.json files; only mirrors are read
+ * @param {string} [options.mirrorDirectory] - Directory with `<account>/<repo>/specs.json` copies of the external
+ * repositories, read before anything is fetched
+ * @returns {Promise<Object>} `externalSpecs`, the converted entries, and `report`, one resolution per entry
+ * (see convertExternalSpec())
+ * @example
+ * const { externalSpecs, report } = await convertExternalSpecs([{ KERISuite: 'https://weboftrust.github.io/kerisuite-glossary/' }]);
+ * // externalSpecs[0].url === 'https://github.com/weboftrust/kerisuite-glossary'
+ */
+async function convertExternalSpecs(groups, options = {}) {
+  const pairs = groups.flatMap(group => Object.entries(group));
+  const converted = await Promise.all(pairs.map(([name, value]) => convertExternalSpec(name, value, options)));
+  return {
+    externalSpecs: converted.map(result => result.entry),
+    report: converted.map(result => result.resolution)
+  };
+}
+
+module.exports = {
+  convertExternalSpecs,
+  parseRepositoryUrl,
+  describeRepository,
+  DEFAULT_TERMS_DIRECTORY
+};
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Shared HTTP client for fetching boilerplate files
+ * @module lib/fetch
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Plain GET requests on top of Node's http/https modules, with status checking, redirect
+ * following, timeouts, retries with exponential backoff, tunnelling through `HTTPS_PROXY`, and an on-disk
+ * cache that revalidates with the ETag the server sent, so repeated migrations do not download unchanged files.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+const { safeJsonParse } = require('./utils');
+
+/**
+ * Default request settings
+ */
+const DEFAULT_OPTIONS = {
+  timeout: 15000,
+  retries: 3,
+  backoff: 500,
+  maxRedirects: 5,
+  cache: true
+};
+
+/**
+ * Statuses that are answered with a Location to follow
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Statuses worth another attempt because the problem is likely temporary
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Network error codes that another attempt will not fix, such as a host name that does not resolve
+ */
+const PERMANENT_ERROR_CODES = new Set(['ENOTFOUND', 'ERR_INVALID_URL', 'ERR_REDIRECT_DOWNGRADE']);
+
+/**
+ * User-Agent sent with every request; the GitHub API rejects requests without one
+ */
+const USER_AGENT = 'spec-up-migrate';
+
+/**
+ * Get the directory of the HTTP cache
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} `SPEC_UP_MIGRATE_CACHE_DIR`, or `spec-up-migrate/http` in the user cache directory
+ */
+function getCacheDirectory(env = process.env) {
+  if (env.SPEC_UP_MIGRATE_CACHE_DIR) {
+    return path.resolve(env.SPEC_UP_MIGRATE_CACHE_DIR);
+  }
+  const base = env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'spec-up-migrate', 'http');
+}
+
+/**
+ * Find the proxy to use for a URL
+ * Only HTTPS requests are proxied, through `HTTPS_PROXY` (or `https_proxy`), unless `NO_PROXY` lists the host:
+ * `*` matches every host, and `example.com` or `.example.com` match the domain and its subdomains.
+ * @param {string} url - Request URL
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string|null} Proxy URL, or null to connect directly
+ */
+function getProxyUrl(url, env = process.env) {
+  const target = new URL(url);
+  const proxy = env.HTTPS_PROXY || env.https_proxy;
+  if (target.protocol !== 'https:' || !proxy) {
+    return null;
+  }
+
+  const exclusions = (env.NO_PROXY || env.no_proxy || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  const host = target.hostname.toLowerCase();
+  const excluded = exclusions.some(entry => {
+    const domain = entry.replace(/^\./, '');
+    return entry === '*' || host === domain || host.endsWith(`.${domain}`);
+  });
+  return excluded ? null : proxy;
+}
+
+/**
+ * Open a CONNECT tunnel through an HTTP proxy
+ * @param {string} proxyUrl - Proxy URL, optionally with credentials
+ * @param {URL} target - URL the tunnel leads to
+ * @param {number} timeout - Milliseconds to wait for the proxy
+ * @returns {Promise<net.Socket>} Socket connected to the target through the proxy
+ */
+function openTunnel(proxyUrl, target, timeout) {
+  const proxy = new URL(proxyUrl);
+  const authority = `${target.hostname}:${target.port || 443}`;
+  const headers = { Host: authority };
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: proxy.hostname, port: proxy.port || 80, method: 'CONNECT', path: authority, headers });
+    request.setTimeout(timeout, () => request.destroy(new Error(`Proxy ${proxy.host} did not answer within ${timeout} ms`)));
+    request.on('connect', (response, socket) => {
+      if (response.statusCode === 200) {
+        resolve(socket);
+      } else {
+        socket.destroy();
+        reject(new Error(`Proxy ${proxy.host} refused the tunnel to ${authority}: HTTP ${response.statusCode}`));
+      }
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Perform a single GET request
+ * @param {string} url - Request URL
+ * @param {Object} options - Settings with `headers`, `timeout` and `proxy`
+ * @returns {Promise<Object>} Response with `status`, `headers` and `body`
+ */
+async function requestOnce(url, options) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const requestOptions = { method: 'GET', headers: { 'User-Agent': USER_AGENT, ...options.headers } };
+
+  if (options.proxy) {
+    const socket = await openTunnel(options.proxy, target, options.timeout);
+    requestOptions.agent = false;
+    requestOptions.createConnection = () => tls.connect({ socket, servername: target.hostname });
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, requestOptions, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      }));
+      response.on('error', reject);
+    });
+    request.setTimeout(options.timeout, () => request.destroy(new Error(`Request to ${url} timed out after ${options.timeout} ms`)));
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Perform a GET request and follow redirects
+ * @param {string} url - Request URL
+ * @param {Object} options - Settings with `headers`, `timeout`, `proxy` and `maxRedirects`
+ * @returns {Promise<Object>} Final response with `status`, `headers`, `body` and `url`
+ * @throws {Error} When there are more redirects than `maxRedirects`, or a redirect leads from HTTPS to plain HTTP
+ */
+async function followRedirects(url, options) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestOnce(current, { ...options, proxy: getProxyUrl(current, options.env) });
+    if (!REDIRECT_STATUSES.has(response.status) || !response.headers.location) {
+      return { ...response, url: current };
+    }
+    if (redirects >= options.maxRedirects) {
+      throw new Error(`Too many redirects fetching ${url}`);
+    }
+    const next = new URL(response.headers.location, current);
+    // Boilerplate files end up in the project, so they must not be fetched in plaintext
+    if (new URL(current).protocol === 'https:' && next.protocol !== 'https:') {
+      throw Object.assign(new Error(`Refusing redirect from ${current} to ${next.href}: it downgrades HTTPS`), { code: 'ERR_REDIRECT_DOWNGRADE' });
+    }
+    current = next.href;
+  }
+}
+
+/**
+ * Perform a GET request, retrying temporary network errors and failures with exponential backoff
+ * @param {string} url - Request URL
+ * @param {Object} options - Settings with `retries` and `backoff`, passed on to followRedirects()
+ * @returns {Promise<Object>} Final response
+ * @throws {Error} The last network error when every attempt failed, or the first permanent one
+ */
+async function requestWithRetries(url, options) {
+  for (let attempt = 0; ; attempt++) {
+    const lastAttempt = attempt >= options.retries;
+    try {
+      const response = await followRedirects(url, options);
+      if (lastAttempt || !RETRYABLE_STATUSES.has(response.status)) {
+        return response;
+      }
+    } catch (error) {
+      if (lastAttempt || PERMANENT_ERROR_CODES.has(error.code)) {
+        throw error;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, options.backoff * 2 ** attempt));
+  }
+}
+
+/**
+ * Get the cache file of a URL
+ * @param {string} directory - Cache directory
+ * @param {string} url - Request URL
+ * @returns {string} Absolute path of the cache entry
+ */
+function getCacheFile(directory, url) {
+  return path.join(directory, `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+}
+
+/**
+ * Read the cached response of a URL
+ * @param {string} directory - Cache directory
+ * @param {string} url - Request URL
+ * @returns {Promise<Object|null>} Entry with `url`, `etag`, `storedAt` and `body`, or null when nothing usable is cached
+ */
+async function readCache(directory, url) {
+  try {
+    const entry = safeJsonParse(await fs.readFile(getCacheFile(directory, url), 'utf8'), null);
+    return entry && entry.url === url && entry.etag ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a response in the cache; failures are ignored because the cache is only an optimization
+ * @param {string} directory - Cache directory
+ * @param {string} url - Request URL
+ * @param {string} etag - ETag the server sent
+ * @param {string} body - Response body
+ * @returns {Promise<void>}
+ */
+async function writeCache(directory, url, etag, body) {
+  try {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(getCacheFile(directory, url), JSON.stringify({ url, etag, storedAt: new Date().toISOString(), body }));
+  } catch {
+    // An unwritable cache only costs a download next time
+  }
+}
+
+/**
+ * Create the error for an unsuccessful response
+ * @param {number} status - HTTP status
+ * @param {string} url - Request URL
+ * @returns {Error} Error with a `status` property
+ */
+function httpError(status, url) {
+  const error = new Error(`HTTP ${status} for ${url}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Fetch a URL as text
+ * @param {string} url - URL to fetch (https, or http for local servers)
+ * @param {Object} [options={}] - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout=15000] - Milliseconds to wait for each request
+ * @param {number} [options.retries=3] - Extra attempts after temporary network errors, timeouts and 408/429/5xx responses
+ * @param {number} [options.backoff=500] - Delay before the first retry in milliseconds; doubled for every retry
+ * @param {number} [options.maxRedirects=5] - Redirects to follow
+ * @param {boolean} [options.cache=true] - Revalidate and store responses that carry an ETag in the on-disk cache
+ * @param {string} [options.cacheDirectory] - Cache directory; defaults to getCacheDirectory()
+ * @param {Object} [options.env=process.env] - Environment with the proxy variables
+ * @returns {Promise<string>} Response body
+ * @throws {Error} When the server answers with an error status (the error has a `status`), or every attempt failed
+ * @example
+ * const specs = await fetchText('https://raw.githubusercontent.com/blockchainbird/spec-up-t/refs/heads/master/package.json');
+ */
+async function fetchText(url, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, env: process.env, ...options };
+  const cacheDirectory = settings.cacheDirectory || getCacheDirectory(settings.env);
+  const cached = settings.cache ? await readCache(cacheDirectory, url) : null;
+  const headers = cached ? { ...settings.headers, 'If-None-Match': cached.etag } : settings.headers;
+
+  const response = await requestWithRetries(url, { ...settings, headers });
+  if (response.status === 304 && cached) {
+    return cached.body;
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw httpError(response.status, url);
+  }
+  if (settings.cache && response.headers.etag) {
+    await writeCache(cacheDirectory, url, response.headers.etag, response.body);
+  }
+  return response.body;
+}
+
+/**
+ * Fetch a URL and parse the response as JSON
+ * @param {string} url - URL to fetch
+ * @param {Object} [options={}] - Request options, see fetchText()
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} When the request fails or the body is not JSON
+ */
+async function fetchJson(url, options = {}) {
+  const body = await fetchText(url, options);
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Failed to parse JSON from ${url}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  fetchText,
+  fetchJson,
+  getProxyUrl,
+  getCacheDirectory,
+  DEFAULT_OPTIONS
+};
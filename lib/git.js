@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Git integration for safe, reviewable migrations
+ * @module lib/git
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Detects whether a project is a git repository, refuses destructive phases on a dirty
+ * working tree and can put the migration on its own branch with a commit per phase. The tool's own
+ * state directory is never considered a local change and is never committed.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { TOOL_DIRECTORY } = require('./utils');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Branch the migration is committed to when no other name is given
+ */
+const DEFAULT_MIGRATION_BRANCH = 'spec-up-t-migration';
+
+/**
+ * Run a git command in a directory
+ * @param {string} directory - Working directory
+ * @param {Array<string>} args - Git arguments
+ * @returns {Promise<string>} Standard output without the trailing newline
+ */
+async function git(directory, args) {
+  const { stdout } = await execFileAsync('git', args, { cwd: directory });
+  return stdout.trimEnd();
+}
+
+/**
+ * Describe the git state of a project
+ * @param {string} [directory='.'] - Project directory
+ * @returns {Promise<Object>} Object with `isRepository` and, for repositories, `root`, `branch` and `dirty` paths
+ * @example
+ * const status = await getGitStatus('./my-project');
+ * if (status.isRepository && status.dirty.length > 0) console.log('Uncommitted changes');
+ */
+async function getGitStatus(directory = '.') {
+  let root;
+  try {
+    root = await git(directory, ['rev-parse', '--show-toplevel']);
+  } catch {
+    // Not a repository, or git is not installed
+    return { isRepository: false };
+  }
+
+  const branch = await git(directory, ['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => null);
+  const porcelain = await git(directory, ['status', '--porcelain', '--untracked-files=all', '--', '.']);
+  const dirty = porcelain
+    .split('\n')
+    .filter(Boolean)
+    .map(line => line.slice(3))
+    .filter(file => !file.split('/').includes(TOOL_DIRECTORY));
+
+  return { isRepository: true, root, branch, dirty };
+}
+
+/**
+ * Throw when a project has uncommitted changes that a destructive phase could overwrite
+ * Projects outside git are not checked.
+ * @param {string} directory - Project directory
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.allowDirty=false] - Skip the check
+ * @returns {Promise<Object>} The git status of the project
+ * @throws {Error} When the working tree is dirty and `allowDirty` is not set
+ */
+async function assertCleanWorkingTree(directory, options = {}) {
+  const status = await getGitStatus(directory);
+  if (!options.allowDirty && status.isRepository && status.dirty.length > 0) {
+    const listed = status.dirty.slice(0, 5).join(', ');
+    const more = status.dirty.length > 5 ? ` and ${status.dirty.length - 5} more` : '';
+    throw new Error(`Working tree has uncommitted changes (${listed}${more}); commit or stash them first, or pass --allow-dirty`);
+  }
+  return status;
+}
+
+/**
+ * Create a branch and switch to it
+ * @param {string} directory - Project directory
+ * @param {string} [name=DEFAULT_MIGRATION_BRANCH] - Branch name
+ * @returns {Promise<string>} The branch name
+ * @throws {Error} When the branch already exists
+ */
+async function createBranch(directory, name = DEFAULT_MIGRATION_BRANCH) {
+  const existing = await git(directory, ['branch', '--list', name]);
+  if (existing) {
+    throw new Error(`Branch '${name}' already exists; delete it or choose another name`);
+  }
+  await git(directory, ['checkout', '-b', name]);
+  return name;
+}
+
+/**
+ * Stage all changes in the project, except the tool's own state directory, and commit them
+ * @param {string} directory - Project directory
+ * @param {string} message - Commit message
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.allowEmpty=false] - Commit even when nothing changed
+ * @returns {Promise<Object>} Object with `committed`, and `sha` and `message` when a commit was made
+ */
+async function commitAll(directory, message, options = {}) {
+  // Naming an ignored path, even to exclude it, makes `git add` fail, so the exclusion is only added while
+  // the tool directory is not yet ignored (the update phase adds it to .gitignore)
+  const ignored = await git(directory, ['check-ignore', '--quiet', TOOL_DIRECTORY]).then(() => true, () => false);
+  await git(directory, ['add', '-A', '--', '.', ...(ignored ? [] : [`:(exclude)${TOOL_DIRECTORY}`])]);
+  const staged = await git(directory, ['diff', '--cached', '--name-only']);
+  if (!staged && !options.allowEmpty) {
+    return { committed: false };
+  }
+
+  await git(directory, ['commit', '--quiet', '--allow-empty', '-m', message]);
+  return { committed: true, sha: await git(directory, ['rev-parse', 'HEAD']), message };
+}
+
+/**
+ * Get the commit HEAD points to
+ * @param {string} directory - Project directory
+ * @returns {Promise<string|null>} Commit SHA, or null in a repository without commits
+ */
+async function getHeadCommit(directory) {
+  return git(directory, ['rev-parse', '--verify', '--quiet', 'HEAD']).catch(() => null);
+}
+
+/**
+ * Undo the commits and the branch of a migration that was rolled back
+ * HEAD and the index are reset to the commit the migration started from while the working tree is left
+ * alone, since the journal rollback already restored the files. When the migration created its own branch,
+ * the original branch is checked out again and the migration branch is deleted.
+ * @param {string} directory - Project directory
+ * @param {Object} start - Where the migration started: `commit`, `branch` (`HEAD` when detached) and, when
+ * one was created, `migrationBranch`
+ * @returns {Promise<Object>} `commit` reset to, `branch` checked out and `deletedBranch`, or null for each step not taken
+ */
+async function resetToStart(directory, start) {
+  await git(directory, ['reset', '--quiet', '--mixed', start.commit]);
+  const result = { commit: start.commit, branch: null, deletedBranch: null };
+
+  if (start.migrationBranch && start.migrationBranch !== start.branch) {
+    await git(directory, ['checkout', '--quiet', start.branch === 'HEAD' ? start.commit : start.branch]);
+    result.branch = start.branch;
+    await git(directory, ['branch', '-D', start.migrationBranch]);
+    result.deletedBranch = start.migrationBranch;
+  }
+  return result;
+}
+
+module.exports = {
+  getGitStatus,
+  assertCleanWorkingTree,
+  createBranch,
+  commitAll,
+  getHeadCommit,
+  resetToStart,
+  DEFAULT_MIGRATION_BRANCH
+};
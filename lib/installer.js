@@ -10,7 +10,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
-const { fileExists } = require('./utils');
+const { fileExists, readSpecDirectories } = require('./utils');
+const { trackPath, makeDirectory } = require('./journal');
 
 const execAsync = promisify(exec);
 
@@ -20,6 +21,7 @@ const execAsync = promisify(exec);
  * @param {Object} [options={}] - Installation options
  * @param {boolean} [options.skipInstall=false] - Whether to skip npm dependency installation
  * @param {string} [options.packageManager='npm'] - Package manager to use (npm, yarn, pnpm)
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
  * @returns {Promise<Object>} Installation result with steps completed and summary
  * @throws {Error} When installation operations fail
  * @example
@@ -31,14 +33,14 @@ const execAsync = promisify(exec);
  */
 async function install(directory = '.', options = {}) {
   const absoluteDir = path.resolve(directory);
-  const { skipInstall = false, packageManager = 'npm' } = options;
+  const { skipInstall = false, packageManager = 'npm', journal = null } = options;
   
   const steps = [];
   let successful = 0;
   
   // Step 1: Install Spec-Up-T dependencies
   if (!skipInstall) {
-    const installResult = await installDependencies(absoluteDir, packageManager);
+    const installResult = await installDependencies(absoluteDir, packageManager, journal);
     steps.push(installResult);
     if (installResult.success) successful++;
   } else {
@@ -52,7 +54,7 @@ async function install(directory = '.', options = {}) {
   }
   
   // Step 2: Create Spec-Up-T configuration files
-  const configResult = await createSpecUpTConfig(absoluteDir);
+  const configResult = await createSpecUpTConfig(absoluteDir, journal);
   steps.push(configResult);
   if (configResult.success) successful++;
   
@@ -76,12 +78,17 @@ async function install(directory = '.', options = {}) {
  * Install Spec-Up-T dependencies using specified package manager
  * @param {string} directory - Directory path where to install dependencies
  * @param {string} packageManager - Package manager to use (npm, yarn, pnpm)
+ * @param {Object|null} [journal=null] - Migration journal; the install outputs are tracked before running
  * @returns {Promise<Object>} Installation step result with success status and details
  * @throws {Error} When dependency installation fails or times out
  */
-async function installDependencies(directory, packageManager) {
+async function installDependencies(directory, packageManager, journal = null) {
   try {
     const command = packageManager === 'yarn' ? 'yarn install' : 'npm install';
+    const lockFile = packageManager === 'yarn' ? 'yarn.lock' : 'package-lock.json';
+
+    await trackPath(journal, path.join(directory, 'node_modules'));
+    await trackPath(journal, path.join(directory, lockFile));
     
     await execAsync(command, { 
       cwd: directory,
@@ -108,10 +115,11 @@ async function installDependencies(directory, packageManager) {
 /**
  * Create additional Spec-Up-T configuration files and project structure
  * @param {string} directory - Directory path where to create configuration files
+ * @param {Object|null} [journal=null] - Migration journal that records every file written, for rollback
  * @returns {Promise<Object>} Configuration creation result with created files list
  * @throws {Error} When file creation operations fail
  */
-async function createSpecUpTConfig(directory) {
+async function createSpecUpTConfig(directory, journal = null) {
   try {
     const createdFiles = [];
     
@@ -133,34 +141,20 @@ TERMINOLOGY_ENABLED=true
 TERMINOLOGY_AUTOLINK=true
 `;
       
+      await trackPath(journal, envExamplePath);
       await fs.writeFile(envExamplePath, envContent);
       createdFiles.push('.env.example');
     }
     
-    // Read specs.json to get the correct spec directory
-    let specDirName = 'spec'; // default fallback
-    try {
-      const specsJsonPath = path.join(directory, 'specs.json');
-      if (await fileExists(specsJsonPath)) {
-        const specsContent = await fs.readFile(specsJsonPath, 'utf8');
-        const specsData = JSON.parse(specsContent);
-        if (specsData.specs && specsData.specs[0] && specsData.specs[0].spec_directory) {
-          // Remove leading './' if present to get just the directory name
-          specDirName = specsData.specs[0].spec_directory.replace(/^\.\//, '');
-        }
-      }
-    } catch (error) {
-      console.warn(`Warning: Could not read specs.json, using default 'spec' directory: ${error.message}`);
-    }
-    
-    // Create the spec directory based on specs.json configuration
-    const specDir = path.join(directory, specDirName);
-    if (!await fileExists(specDir)) {
-      await fs.mkdir(specDir, { recursive: true });
+    // Create the spec directory of every spec in specs.json
+    for (const specDirName of await readSpecDirectories(directory)) {
+      const specDir = path.join(directory, specDirName);
+      if (!await fileExists(specDir)) {
+        await makeDirectory(journal, specDir);
       
-      // Create a sample spec file
-      const sampleSpecPath = path.join(specDir, 'sample.md');
-      const sampleContent = `# Sample Specification
+        // Create a sample spec file
+        const sampleSpecPath = path.join(specDir, 'sample.md');
+        const sampleContent = `# Sample Specification
 
 This is a sample specification file for Spec-Up-T.
 
@@ -173,8 +167,9 @@ Your specification content goes here.
 [[ref: Sample Term]] - This demonstrates terminology linking.
 `;
       
-      await fs.writeFile(sampleSpecPath, sampleContent);
-      createdFiles.push(`${specDirName}/sample.md`);
+        await fs.writeFile(sampleSpecPath, sampleContent);
+        createdFiles.push(`${specDirName}/sample.md`);
+      }
     }
     
     return {
@@ -207,31 +202,17 @@ async function runInitialSetup(directory, skipInstall) {
     // Validate configuration
     steps.push('Validated Spec-Up-T configuration');
     
-    // Read specs.json to get the correct spec directory
-    let specDirName = 'spec'; // default fallback
-    try {
-      const specsJsonPath = path.join(directory, 'specs.json');
-      if (await fileExists(specsJsonPath)) {
-        const specsContent = await fs.readFile(specsJsonPath, 'utf8');
-        const specsData = JSON.parse(specsContent);
-        if (specsData.specs && specsData.specs[0] && specsData.specs[0].spec_directory) {
-          // Remove leading './' if present to get just the directory name
-          specDirName = specsData.specs[0].spec_directory.replace(/^\.\//, '');
+    // Check for spec files in the directory of every spec in specs.json
+    for (const specDirName of await readSpecDirectories(directory)) {
+      const specDir = path.join(directory, specDirName);
+      try {
+        const specStats = await fs.stat(specDir);
+        if (specStats.isDirectory()) {
+          steps.push(`Found existing specification source files in ${specDirName}/`);
         }
+      } catch (error) {
+        steps.push(`No ${specDirName}/ directory found - create one and add your markdown files`);
       }
-    } catch (error) {
-      console.warn(`Warning: Could not read specs.json, using default 'spec' directory: ${error.message}`);
-    }
-    
-    // Check for spec files in the configured directory
-    const specDir = path.join(directory, specDirName);
-    try {
-      const specStats = await fs.stat(specDir);
-      if (specStats.isDirectory()) {
-        steps.push(`Found existing specification source files in ${specDirName}/`);
-      }
-    } catch (error) {
-      steps.push(`No ${specDirName}/ directory found - create one and add your markdown files`);
     }
     
     // Check if we can run spec-up-t commands (would fail in demo since package doesn't exist)
@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Journal of filesystem mutations made during a migration, used to roll a project back
+ * @module lib/journal
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Before a phase touches a path it asks the journal to track it. The journal stores the
+ * original content (or the fact that the path did not exist) under `.spec-up-migrate/journal/`, so
+ * replaying the entries in reverse restores the pre-migration state.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, safeJsonParse, getToolPath, copyRecursive } = require('./utils');
+
+/**
+ * Get the locations of the journal file and its content store for a project
+ * @param {string} directory - Project root directory
+ * @returns {Object} Object with `root`, `file` and `store` absolute paths
+ */
+function getJournalPaths(directory) {
+  const root = getToolPath(directory, 'journal');
+  return {
+    root,
+    file: path.join(root, 'journal.json'),
+    store: path.join(root, 'store')
+  };
+}
+
+/**
+ * Start a fresh journal for a project, discarding any journal left by a previous run
+ * @param {string} directory - Project root directory
+ * @returns {Promise<Object>} Journal object to pass to the phases as `options.journal`
+ * @example
+ * const journal = await createJournal('./my-project');
+ * await cleanup('./my-project', { journal });
+ */
+async function createJournal(directory) {
+  const absoluteDir = path.resolve(directory);
+  await discardJournal(absoluteDir);
+
+  const journal = {
+    directory: absoluteDir,
+    startedAt: new Date().toISOString(),
+    entries: []
+  };
+  await saveJournal(journal);
+  return journal;
+}
+
+/**
+ * Load the journal persisted for a project
+ * @param {string} directory - Project root directory
+ * @returns {Promise<Object|null>} Journal object, or null when no journal exists
+ */
+async function loadJournal(directory) {
+  const absoluteDir = path.resolve(directory);
+  const { file } = getJournalPaths(absoluteDir);
+
+  if (!await fileExists(file)) {
+    return null;
+  }
+
+  const data = safeJsonParse(await fs.readFile(file, 'utf8'), null);
+  if (!data || !Array.isArray(data.entries)) {
+    return null;
+  }
+
+  return { ...data, directory: absoluteDir };
+}
+
+/**
+ * Persist the journal to disk so it survives an interrupted process
+ * @param {Object} journal - Journal object
+ * @returns {Promise<void>}
+ */
+async function saveJournal(journal) {
+  const { root, file } = getJournalPaths(journal.directory);
+  await fs.mkdir(root, { recursive: true });
+  const { directory, ...data } = journal;
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Remove the journal and its content store
+ * @param {string} directory - Project root directory
+ * @returns {Promise<void>}
+ */
+async function discardJournal(directory) {
+  const { root } = getJournalPaths(directory);
+  await fs.rm(root, { recursive: true, force: true });
+}
+
+/**
+ * Find the journal entry for a path, if the path is already tracked
+ * @param {Object} journal - Journal object
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {Object|undefined} Matching entry
+ */
+function findEntry(journal, relativePath) {
+  return journal.entries.find(entry => entry.path === relativePath);
+}
+
+/**
+ * Record the current state of a path before it is created or overwritten.
+ * Only the first call for a path matters: later calls keep the original state.
+ * Does nothing when no journal is given, so callers can pass `options.journal` unconditionally.
+ * @param {Object|null} journal - Journal object
+ * @param {string} absolutePath - Path about to be written
+ * @returns {Promise<void>}
+ * @example
+ * await trackPath(journal, path.join(directory, 'package.json'));
+ * await fs.writeFile(path.join(directory, 'package.json'), content);
+ */
+async function trackPath(journal, absolutePath) {
+  if (!journal) {
+    return;
+  }
+
+  const relativePath = path.relative(journal.directory, absolutePath);
+  if (findEntry(journal, relativePath)) {
+    return;
+  }
+
+  const entry = { path: relativePath, existed: await fileExists(absolutePath) };
+
+  if (entry.existed) {
+    entry.stored = String(journal.entries.length);
+    const storePath = path.join(getJournalPaths(journal.directory).store, entry.stored);
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await copyRecursive(absolutePath, storePath);
+  }
+
+  journal.entries.push(entry);
+  await saveJournal(journal);
+}
+
+/**
+ * Create a directory (and missing parents), tracking the topmost directory that did not exist yet
+ * @param {Object|null} journal - Journal object
+ * @param {string} absolutePath - Directory to create
+ * @returns {Promise<void>}
+ */
+async function makeDirectory(journal, absolutePath) {
+  let topmostMissing = null;
+  let current = absolutePath;
+
+  while (!await fileExists(current)) {
+    topmostMissing = current;
+    current = path.dirname(current);
+  }
+
+  if (topmostMissing) {
+    await trackPath(journal, topmostMissing);
+    await fs.mkdir(absolutePath, { recursive: true });
+  }
+}
+
+/**
+ * Remove a path, moving it into the journal store instead of deleting it when a journal is given
+ * @param {Object|null} journal - Journal object
+ * @param {string} absolutePath - File or directory to remove
+ * @returns {Promise<void>}
+ * @throws {Error} When the path cannot be removed
+ */
+async function removePath(journal, absolutePath) {
+  const relativePath = journal && path.relative(journal.directory, absolutePath);
+
+  if (!journal || findEntry(journal, relativePath)) {
+    await fs.rm(absolutePath, { recursive: true });
+    return;
+  }
+
+  const entry = { path: relativePath, existed: true, stored: String(journal.entries.length) };
+  const storePath = path.join(getJournalPaths(journal.directory).store, entry.stored);
+  await fs.mkdir(path.dirname(storePath), { recursive: true });
+  await fs.rename(absolutePath, storePath);
+
+  journal.entries.push(entry);
+  await saveJournal(journal);
+}
+
+/**
+ * Replay a journal in reverse, restoring every tracked path to its original state.
+ * The journal is discarded afterwards unless some entries could not be restored.
+ * @param {Object} journal - Journal object, as returned by createJournal() or loadJournal()
+ * @param {Object} [options={}] - Rollback options
+ * @param {boolean} [options.dryRun=false] - Only report what would be restored
+ * @returns {Promise<Object>} Rollback result with per-entry status and summary
+ */
+async function rollbackJournal(journal, options = {}) {
+  const { dryRun = false } = options;
+  const { store } = getJournalPaths(journal.directory);
+  const results = [];
+
+  for (const entry of [...journal.entries].reverse()) {
+    const targetPath = path.join(journal.directory, entry.path);
+    const result = {
+      path: entry.path,
+      action: entry.existed ? 'restore' : 'remove',
+      success: false
+    };
+
+    if (dryRun) {
+      result.dryRun = true;
+      results.push(result);
+      continue;
+    }
+
+    try {
+      await fs.rm(targetPath, { recursive: true, force: true });
+      if (entry.existed) {
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await fs.rename(path.join(store, entry.stored), targetPath);
+      }
+      result.success = true;
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  const failed = results.filter(r => !r.dryRun && !r.success).length;
+  if (!dryRun && failed === 0) {
+    await discardJournal(journal.directory);
+  }
+
+  return {
+    directory: journal.directory,
+    startedAt: journal.startedAt,
+    entries: results,
+    summary: {
+      total: results.length,
+      restored: results.filter(r => r.success).length,
+      failed
+    }
+  };
+}
+
+/**
+ * Roll back the last migration of a project using its persisted journal
+ * @param {string} [directory='.'] - Project root directory
+ * @param {Object} [options={}] - Rollback options
+ * @param {boolean} [options.dryRun=false] - Only report what would be restored
+ * @returns {Promise<Object>} Rollback result, see rollbackJournal()
+ * @throws {Error} When the project has no journal
+ * @example
+ * const result = await rollback('./my-project');
+ * console.log(`Restored ${result.summary.restored} paths`);
+ */
+async function rollback(directory = '.', options = {}) {
+  const journal = await loadJournal(directory);
+  if (!journal) {
+    throw new Error(`No migration journal found in ${path.resolve(directory)}`);
+  }
+  return rollbackJournal(journal, options);
+}
+
+module.exports = {
+  createJournal,
+  loadJournal,
+  saveJournal,
+  discardJournal,
+  trackPath,
+  makeDirectory,
+  removePath,
+  rollbackJournal,
+  rollback
+};
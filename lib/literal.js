@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Parser for JavaScript object literals, used to read configuration from JS files without running them
+ * @module lib/literal
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Understands the data subset of JavaScript: objects (quoted or bare keys), arrays, single- or
+ * double-quoted strings, numbers, `true`, `false`, `null`, comments and trailing commas. Anything else, such
+ * as expressions, function calls or template literals, is a syntax error rather than something to execute.
+ */
+
+/**
+ * Bare object keys and keywords
+ */
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+
+/**
+ * JSON-style numbers, optionally negative
+ */
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Characters allowed after a backslash in a string, and what they stand for
+ */
+const ESCAPES = new Map(Object.entries({ n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0', '\\': '\\', '/': '/', '"': '"', "'": "'" }));
+
+/**
+ * Keywords that are literal values
+ */
+const KEYWORDS = new Map([['true', true], ['false', false], ['null', null]]);
+
+/**
+ * Build a syntax error that points at the offending position
+ * @param {Object} state - Parser state with `source` and `index`
+ * @param {string} message - What went wrong
+ * @returns {SyntaxError} Error with line and column
+ */
+function syntaxError(state, message) {
+  const before = state.source.slice(0, state.index).split('\n');
+  return new SyntaxError(`${message} at line ${before.length}, column ${before[before.length - 1].length + 1}`);
+}
+
+/**
+ * Describe the character at the current position for error messages
+ * @param {Object} state - Parser state
+ * @returns {string} Quoted character, or `end of input`
+ */
+function currentToken(state) {
+  return state.index < state.source.length ? `"${state.source[state.index]}"` : 'end of input';
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {Object} state - Parser state
+ */
+function skipTrivia(state) {
+  const { source } = state;
+  while (state.index < source.length) {
+    if (/\s/.test(source[state.index])) {
+      state.index++;
+    } else if (source.startsWith('//', state.index)) {
+      const end = source.indexOf('\n', state.index);
+      state.index = end === -1 ? source.length : end + 1;
+    } else if (source.startsWith('/*', state.index)) {
+      const end = source.indexOf('*/', state.index + 2);
+      if (end === -1) {
+        throw syntaxError(state, 'Unterminated comment');
+      }
+      state.index = end + 2;
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * Match a sticky regular expression at the current position and advance past it
+ * @param {Object} state - Parser state
+ * @param {RegExp} pattern - Sticky pattern
+ * @returns {string|null} Matched text, or null
+ */
+function matchToken(state, pattern) {
+  pattern.lastIndex = state.index;
+  const match = pattern.exec(state.source);
+  if (!match) {
+    return null;
+  }
+  state.index += match[0].length;
+  return match[0];
+}
+
+/**
+ * Parse a single- or double-quoted string
+ * @param {Object} state - Parser state, positioned at the opening quote
+ * @returns {string} String value
+ */
+function parseString(state) {
+  const { source } = state;
+  const quote = source[state.index++];
+  let value = '';
+
+  while (state.index < source.length && source[state.index] !== quote) {
+    const char = source[state.index++];
+    if (char === '\n') {
+      throw syntaxError(state, 'Unterminated string');
+    }
+    if (char !== '\\') {
+      value += char;
+    } else if (source[state.index] === 'u') {
+      const hex = source.slice(state.index + 1, state.index + 5);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        throw syntaxError(state, 'Invalid unicode escape');
+      }
+      value += String.fromCharCode(parseInt(hex, 16));
+      state.index += 5;
+    } else if (ESCAPES.has(source[state.index])) {
+      value += ESCAPES.get(source[state.index++]);
+    } else {
+      throw syntaxError(state, `Unsupported escape \\${source[state.index]}`);
+    }
+  }
+
+  if (state.index >= source.length) {
+    throw syntaxError(state, 'Unterminated string');
+  }
+  state.index++;
+  return value;
+}
+
+/**
+ * Parse a sequence of entries between brackets, allowing a trailing comma
+ * @param {Object} state - Parser state, positioned at the opening bracket
+ * @param {string} close - Closing bracket
+ * @param {Function} parseEntry - Parses one entry
+ */
+function parseEntries(state, close, parseEntry) {
+  state.index++;
+  skipTrivia(state);
+  while (state.source[state.index] !== close) {
+    parseEntry();
+    skipTrivia(state);
+    if (state.source[state.index] === ',') {
+      state.index++;
+      skipTrivia(state);
+    } else if (state.source[state.index] !== close) {
+      throw syntaxError(state, `Expected "," or "${close}" but found ${currentToken(state)}`);
+    }
+  }
+  state.index++;
+}
+
+/**
+ * Parse an object literal
+ * @param {Object} state - Parser state, positioned at `{`
+ * @returns {Object} Object value
+ */
+function parseObject(state) {
+  const object = {};
+  parseEntries(state, '}', () => {
+    const quoted = state.source[state.index] === '"' || state.source[state.index] === "'";
+    const key = quoted ? parseString(state) : matchToken(state, IDENTIFIER);
+    if (key === null) {
+      throw syntaxError(state, `Expected a property name but found ${currentToken(state)}`);
+    }
+    skipTrivia(state);
+    if (state.source[state.index] !== ':') {
+      throw syntaxError(state, `Expected ":" after "${key}" but found ${currentToken(state)}`);
+    }
+    state.index++;
+    Object.defineProperty(object, key, { value: parseValue(state), enumerable: true, writable: true, configurable: true });
+  });
+  return object;
+}
+
+/**
+ * Parse an array literal
+ * @param {Object} state - Parser state, positioned at `[`
+ * @returns {Array} Array value
+ */
+function parseArray(state) {
+  const array = [];
+  parseEntries(state, ']', () => {
+    array.push(parseValue(state));
+  });
+  return array;
+}
+
+/**
+ * Parse any literal value
+ * @param {Object} state - Parser state
+ * @returns {*} Value
+ */
+function parseValue(state) {
+  skipTrivia(state);
+  const char = state.source[state.index];
+  if (char === '{') {
+    return parseObject(state);
+  }
+  if (char === '[') {
+    return parseArray(state);
+  }
+  if (char === '"' || char === "'") {
+    return parseString(state);
+  }
+
+  const number = matchToken(state, NUMBER);
+  if (number !== null) {
+    return Number(number);
+  }
+  const start = state.index;
+  const word = matchToken(state, IDENTIFIER);
+  if (KEYWORDS.has(word)) {
+    return KEYWORDS.get(word);
+  }
+  state.index = start;
+  throw syntaxError(state, `Unexpected ${currentToken(state)}; only literal values are supported`);
+}
+
+/**
+ * Parse a JavaScript literal at a position in a source text
+ * @param {string} source - Source text
+ * @param {number} [start=0] - Index where the literal starts (leading whitespace and comments are skipped)
+ * @returns {Object} `value` and `end`, the index just after the literal
+ * @throws {SyntaxError} When the text at `start` is not a literal
+ * @example
+ * parseLiteral("{ edit: 'spec-up-t edit', }").value; // { edit: 'spec-up-t edit' }
+ */
+function parseLiteral(source, start = 0) {
+  const state = { source, index: start };
+  const value = parseValue(state);
+  return { value, end: state.index };
+}
+
+/**
+ * Read the literal a top-level `const`, `let` or `var` declaration assigns
+ * @param {string} source - JavaScript source text
+ * @param {string} name - Variable name
+ * @returns {*} Value of the literal
+ * @throws {Error} When the declaration is missing or is not initialized with a literal
+ * @example
+ * readDeclaredLiteral('const keys = { "render": "node render.js" };', 'keys'); // { render: 'node render.js' }
+ */
+function readDeclaredLiteral(source, name) {
+  const declaration = new RegExp(`\\b(?:const|let|var)\\s+${name}\\s*=`).exec(source);
+  if (!declaration) {
+    throw new Error(`No declaration of ${name} found`);
+  }
+  const { value, end } = parseLiteral(source, declaration.index + declaration[0].length);
+
+  // The literal must be the whole initializer: `{ ... } + more` is an expression, not data
+  const state = { source, index: end };
+  skipTrivia(state);
+  const terminated = state.index >= source.length || source[state.index] === ';' || source.slice(end, state.index).includes('\n');
+  if (!terminated) {
+    throw syntaxError(state, `Unexpected ${currentToken(state)} after the value of ${name}`);
+  }
+  return value;
+}
+
+module.exports = {
+  parseLiteral,
+  readDeclaredLiteral
+};
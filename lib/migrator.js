@@ -12,12 +12,19 @@ const chalk = require('chalk');
 
 // Import modular components
 const { detect, findProjectRoot } = require('./detector');
-const { backup } = require('./backup');
+const { backup, restore, verifyBackup, createVerifiedBackup } = require('./backup');
 const { cleanup } = require('./cleanup');
-const { updateConfigurations } = require('./updater');
+const { emptyTrash, restoreTrash } = require('./trash');
+const { updateConfigurations, resolveBoilerplateSource, preloadBoilerplateFiles } = require('./updater');
+const { applyMultiSpecMode } = require('./split-project');
 const { install } = require('./installer');
 const { processDefinitions } = require('./splitter');
-const { isSpecUpFile, processContent } = require('./utils');
+const { createJournal, loadJournal, rollbackJournal, rollback } = require('./journal');
+const { getGitStatus, assertCleanWorkingTree, createBranch, commitAll, getHeadCommit, resetToStart, DEFAULT_MIGRATION_BRANCH } = require('./git');
+const { describePhaseChanges, formatPhaseCommitMessage, PHASE_COMMIT_SUBJECTS } = require('./phases');
+const { createState, loadState, saveState, clearState, findCompletedPhase } = require('./state');
+const { isSpecUpFile, processContent, safeJsonParse } = require('./utils');
+const { assertValidSpecsJson } = require('./schema');
 
 /**
  * Main migration function - migrates files or directories from Spec-Up to Spec-Up-T
@@ -178,17 +185,38 @@ async function validate(source) {
 
 /**
  * Complete migration process - runs all phases in sequence
+ * Every file the phases remove or write is recorded in a journal under `.spec-up-migrate/journal/`.
+ * When a phase throws, the journal is replayed in reverse so the project is left as it was found;
+ * after a successful run the journal is kept so `rollback()` can still undo the migration.
+ * In a git repository the migration refuses to start on a dirty working tree unless `allowDirty` is set,
+ * and with `branch` or `commitPhases` it commits the result of each phase separately, with a message
+ * generated from the phase's `changes` list.
+ * Progress is saved to `.spec-up-migrate/state.json` after every phase; with `resume` the phases an
+ * interrupted run completed are skipped and the journal of that run is continued.
+ * A specs.json that does not match the Spec-Up schema (see lib/schema.js) stops the migration before any phase runs.
  * @param {string} directory - Directory path to start searching for Spec-Up installation
  * @param {Object} options - Migration options
+ * @param {boolean} [options.allowDirty=false] - Run even when the git working tree has uncommitted changes
+ * @param {string|boolean} [options.branch] - Branch to commit the phases to; `true` uses `spec-up-t-migration`
+ * @param {boolean} [options.commitPhases=false] - Commit each phase separately on the current branch
+ * @param {boolean} [options.resume=false] - Continue the interrupted migration recorded in the state file
+ * @param {boolean} [options.offline=false] - Use the vendored boilerplate snapshot instead of fetching upstream
+ * @param {string} [options.boilerplateRef] - Tag or commit SHA of spec-up-t to read the boilerplate at
+ * @param {string} [options.boilerplateDir] - Local spec-up-t checkout or `node_modules/spec-up-t` to read the boilerplate from
+ * @param {string} [options.scriptsStrategy='merge'] - How existing package.json scripts are combined with the Spec-Up-T scripts
+ * @param {string} [options.multiSpec='in-place'] - Keep several specs in the project (`in-place`) or split them into projects (`split`)
+ * @param {string} [options.externalSpecsDir] - Mirrors of the repositories of external specs, see convertExternalSpecs()
+ * @param {boolean} [options.force=false] - Clean up stock Spec-Up directories even when their files could not be checked against a stock copy
  * @returns {Object} - Complete migration result
  */
 async function completeMigration(directory = '.', options = {}) {
   const startDir = path.resolve(directory);
-  const { dryRun = false, skipBackup = false, skipInstall = false, skipDetection = false } = options;
+  const { dryRun = false, resume = false } = options;
   
   const phases = [];
-  let overallSuccess = true;
   let projectRoot = startDir;
+  let journal = null;
+  const run = { phases, previous: null, state: null, gitContext: null };
   
   try {
     // Phase 0: Find project root
@@ -206,74 +234,174 @@ async function completeMigration(directory = '.', options = {}) {
     
     projectRoot = rootResult.root;
     console.log(chalk.green(`✅ Found project root: ${projectRoot} (${rootResult.type} project)`));
+
+    if (resume) {
+      run.previous = await loadResumableState(projectRoot);
+      console.log(chalk.blue(`Resuming the migration started at ${run.previous.startedAt}`));
+    }
+    // A resumed run keeps the phase options of the run it continues
+    const settings = run.previous ? { ...options, ...run.previous.options } : options;
+    const { skipBackup = false, skipInstall = false, skipDetection = false } = settings;
     
     // Phase 1: Detection (can be skipped)
-    if (!skipDetection) {
+    await runPhase(run, 'Detection', async () => {
+      if (skipDetection) {
+        console.log(chalk.yellow('Phase 1: Detection skipped - assuming valid Spec-Up installation'));
+        return { 
+          name: 'Detection', 
+          result: { confidence: 100, message: 'Skipped by user request' }, 
+          success: true,
+          skipped: true
+        };
+      }
+
       console.log(chalk.blue('Phase 1: Detecting Spec-Up installation...'));
       const detection = await detect(projectRoot);
-      phases.push({ name: 'Detection', result: detection, success: detection.confidence >= 70 });
-      
       if (detection.confidence < 70) {
+        phases.push({ name: 'Detection', result: detection, success: false });
         throw new Error(`Directory does not appear to contain a valid Spec-Up installation (confidence: ${detection.confidence}%)`);
       }
-    } else {
-      console.log(chalk.yellow('Phase 1: Detection skipped - assuming valid Spec-Up installation'));
-      phases.push({ 
-        name: 'Detection', 
-        result: { confidence: 100, message: 'Skipped by user request' }, 
-        success: true,
-        skipped: true
-      });
+      return { name: 'Detection', result: detection, success: true };
+    });
+
+    // Checked before any phase changes the project, also when detection is skipped; a missing specs.json is
+    // created from the boilerplate in Phase 4
+    const specsContent = await fs.readFile(path.join(projectRoot, 'specs.json'), 'utf8').catch(() => null);
+    if (specsContent !== null) {
+      assertValidSpecsJson(safeJsonParse(specsContent), 'spec-up');
+    }
+
+    run.gitContext = await prepareGit(projectRoot, settings, Boolean(run.previous));
+    if (run.previous && run.previous.git) {
+      run.gitContext.start = run.previous.git;
+    }
+
+    if (!dryRun) {
+      journal = run.previous
+        ? await loadJournal(projectRoot) || await createJournal(projectRoot)
+        : await createJournal(projectRoot);
+      run.state = run.previous
+        ? { ...run.previous, status: 'running' }
+        : { ...createState(projectRoot, settings), phases: phases.slice(1), git: run.gitContext.start };
+      await saveState(run.state);
     }
 
     // Phase 2: Backup (optional)
     if (!skipBackup && !dryRun) {
-      console.log(chalk.blue('Phase 2: Creating backups...'));
-      const backupResult = await backup(projectRoot);
-      phases.push({ name: 'Backup', result: backupResult, success: backupResult.summary.backed_up > 0 });
+      await runPhase(run, 'Backup', async () => {
+        console.log(chalk.blue('Phase 2: Creating backups...'));
+        const backupResult = await createVerifiedBackup(projectRoot);
+
+        // Cleanup deletes the originals, so only continue when the copies match their manifest
+        if (!backupResult.verified) {
+          phases.push({ name: 'Backup', result: backupResult, success: false });
+          const { missing, truncated, modified } = backupResult.verification.summary;
+          throw new Error(`Backup verification failed (${missing} missing, ${truncated} truncated, ${modified} modified); cleanup was not started`);
+        }
+        return { name: 'Backup', result: backupResult, success: backupResult.summary.backed_up > 0 };
+      });
     }
     
+    // Resolved before cleanup, which would remove a boilerplate directory inside the project (node_modules/spec-up-t)
+    let boilerplateSource = null;
+    if (!findCompletedPhase(run.previous, 'Update Configurations')) {
+      boilerplateSource = await resolveBoilerplateSource(projectRoot, settings);
+      if (boilerplateSource.directory) {
+        await preloadBoilerplateFiles(boilerplateSource);
+      }
+    }
+
+    const boilerplateOptions = {
+      offline: settings.offline,
+      boilerplateRef: settings.boilerplateRef,
+      boilerplateDir: settings.boilerplateDir,
+      boilerplateSource,
+      externalSpecsDir: settings.externalSpecsDir
+    };
+
+    // Split before cleanup removes the shared assets the projects copy, and before specs.json is rewritten,
+    // so the other specs are read as they were
+    let split = null;
+    if (settings.multiSpec && settings.multiSpec !== 'in-place') {
+      const splitPhase = await runPhase(run, 'Split Specs', async () => {
+        console.log(chalk.blue('Splitting the other specs into projects of their own...'));
+        const splitResult = await applyMultiSpecMode(projectRoot, settings.multiSpec, { dryRun, journal, ...boilerplateOptions });
+        return { name: 'Split Specs', result: splitResult, success: true };
+      });
+      split = splitPhase.result;
+    }
+
     // Phase 3: Cleanup
-    console.log(chalk.blue('Phase 3: Cleaning up obsolete files...'));
-    const cleanupResult = await cleanup(projectRoot, { dryRun });
-    phases.push({ name: 'Cleanup', result: cleanupResult, success: true });
+    await runPhase(run, 'Cleanup', async () => {
+      console.log(chalk.blue('Phase 3: Cleaning up obsolete files...'));
+      const cleanupResult = await cleanup(projectRoot, { dryRun, journal, force: settings.force });
+      return { name: 'Cleanup', result: cleanupResult, success: true };
+    });
     
     // Phase 4: Update configurations
-    console.log(chalk.blue('Phase 4: Updating configurations...'));
-    const updateResult = await updateConfigurations(projectRoot, { dryRun });
-    phases.push({ name: 'Update Configurations', result: updateResult, success: updateResult.summary.successful > 0 });
-    
-    // Phase 5: Process definitions (extract and convert to iref)
-    console.log(chalk.blue('Phase 5: Processing definitions (extract and convert)...'));
-    try {
-      const processResult = await processDefinitions({ 
-        directory: projectRoot, 
-        dryRun, 
-        verbose: false 
-      });
-      phases.push({ name: 'Definition Processing', result: processResult, success: processResult.success });
-    } catch (error) {
-      // Definition processing is optional - if it fails, we don't fail the entire migration
-      console.log(chalk.yellow(`⚠️ Definition processing failed: ${error.message}`));
-      phases.push({ 
-        name: 'Definition Processing', 
-        result: { success: false, messages: [error.message] }, 
-        success: false,
-        optional: true 
+    await runPhase(run, 'Update Configurations', async () => {
+      console.log(chalk.blue('Phase 4: Updating configurations...'));
+      const updateResult = await updateConfigurations(projectRoot, {
+        dryRun,
+        journal,
+        ...boilerplateOptions,
+        scriptsStrategy: settings.scriptsStrategy,
+        split
       });
-    }
+      return { name: 'Update Configurations', result: updateResult, success: updateResult.summary.successful > 0 };
+    });
+    
+    // Phase 5: Process definitions (extract, convert to iref and convert references)
+    await runPhase(run, 'Definition Processing', async () => {
+      console.log(chalk.blue('Phase 5: Processing definitions (extract and convert)...'));
+      try {
+        const processResult = await processDefinitions({ 
+          directory: projectRoot, 
+          dryRun, 
+          verbose: false,
+          journal
+        });
+        // Split projects are only written outside a dry run
+        processResult.projects = [];
+        for (const project of split && !dryRun ? split.projects : []) {
+          const projectResult = await processDefinitions({ directory: project.directory, dryRun, verbose: false, journal });
+          processResult.projects.push({ name: project.name, directory: project.directory, result: projectResult });
+        }
+        const success = processResult.success && processResult.projects.every(project => project.result.success);
+        return { name: 'Definition Processing', result: processResult, success };
+      } catch (error) {
+        // Definition processing is optional - if it fails, we don't fail the entire migration
+        console.log(chalk.yellow(`⚠️ Definition processing failed: ${error.message}`));
+        return { 
+          name: 'Definition Processing', 
+          result: { success: false, messages: [error.message] }, 
+          success: false,
+          optional: true 
+        };
+      }
+    });
 
     // Phase 6: Install Spec-Up-T (final step)
     if (!dryRun) {
-      console.log(chalk.blue('Phase 6: Installing Spec-Up-T...'));
-      const installResult = await install(projectRoot, { skipInstall });
-      phases.push({ name: 'Installation', result: installResult, success: installResult.summary.successful > 0 });
+      await runPhase(run, 'Installation', async () => {
+        console.log(chalk.blue('Phase 6: Installing Spec-Up-T...'));
+        const installResult = await install(projectRoot, { skipInstall, journal });
+        return { name: 'Installation', result: installResult, success: installResult.summary.successful > 0 };
+      });
+    }
+
+    const success = phases.every(phase => phase.success || phase.optional);
+    if (run.state) {
+      run.state.status = success ? 'completed' : 'failed';
+      await saveState(run.state);
     }
     
     return {
       directory: projectRoot,
       phases,
-      success: phases.every(phase => phase.success || phase.optional),
+      git: run.gitContext,
+      resumed: Boolean(run.previous),
+      success,
       summary: {
         total_phases: phases.length,
         successful_phases: phases.filter(p => p.success).length,
@@ -282,11 +410,26 @@ async function completeMigration(directory = '.', options = {}) {
     };
     
   } catch (error) {
+    let rollbackResult;
+    if (journal && journal.entries.length > 0) {
+      console.log(chalk.yellow('Rolling back changes made by the completed phases...'));
+      rollbackResult = await rollbackJournal(journal);
+    }
+    const gitRollback = await rollbackGit(run.gitContext);
+    // After a rollback the project is back where it started, so there is nothing left to resume
+    if (run.state) {
+      await clearState(projectRoot);
+    }
+
     return {
       directory: projectRoot,
       phases,
+      git: run.gitContext,
+      resumed: Boolean(run.previous),
       success: false,
       error: error.message,
+      rollback: rollbackResult,
+      gitRollback,
       summary: {
         total_phases: phases.length,
         successful_phases: phases.filter(p => p.success).length,
@@ -296,16 +439,154 @@ async function completeMigration(directory = '.', options = {}) {
   }
 }
 
+/**
+ * Load the state of an interrupted migration for `complete --resume`
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} State object of the interrupted run
+ * @throws {Error} When there is no state, or the recorded migration already completed
+ */
+async function loadResumableState(projectRoot) {
+  const state = await loadState(projectRoot);
+  if (!state) {
+    throw new Error(`No interrupted migration to resume in ${projectRoot}`);
+  }
+  if (state.status === 'completed') {
+    throw new Error('The last migration completed successfully; there is nothing to resume');
+  }
+  return state;
+}
+
+/**
+ * Check the git state before any file is touched and switch to the migration branch when requested
+ * A resumed run continues on the tree and branch the interrupted run left behind, so it skips both.
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - completeMigration() options
+ * @param {boolean} [resumed=false] - Whether an interrupted run is being resumed
+ * @returns {Promise<Object>} Git context with `isRepository`, `branch`, `dirty`, `directory`, `commit`, `commits`
+ * and, when phases are committed, `start` (see rollbackGit())
+ * @throws {Error} When the working tree is dirty and `allowDirty` is not set
+ */
+async function prepareGit(projectRoot, options, resumed = false) {
+  const { dryRun = false, allowDirty = false, branch = null, commitPhases = false } = options;
+  const status = dryRun || resumed
+    ? await getGitStatus(projectRoot)
+    : await assertCleanWorkingTree(projectRoot, { allowDirty });
+  const context = { ...status, directory: projectRoot, commit: false, commits: [] };
+
+  if (!(branch || commitPhases) || dryRun) {
+    return context;
+  }
+  if (!status.isRepository) {
+    console.log(chalk.yellow('⚠️ Not a git repository - migration branch and commits skipped'));
+    return context;
+  }
+
+  if (!resumed) {
+    context.start = { commit: await getHeadCommit(projectRoot), branch: status.branch, migrationBranch: null };
+  }
+  if (branch && !resumed) {
+    context.branch = await createBranch(projectRoot, branch === true ? DEFAULT_MIGRATION_BRANCH : branch);
+    context.start.migrationBranch = context.branch;
+    console.log(chalk.green(`✅ Switched to branch ${context.branch}`));
+  }
+  context.commit = true;
+  return context;
+}
+
+/**
+ * Undo the phase commits and the migration branch after the journal rollback of a failed migration
+ * Without this the restored files would show up as uncommitted changes against the migration commits.
+ * @param {Object|null} gitContext - Git context from prepareGit(); `start` holds the commit and branch the
+ * migration started from
+ * @returns {Promise<Object|null>} Result of resetToStart(), an object with `error` and `instructions` when the
+ * commits could not be undone, or null when nothing was committed
+ */
+async function rollbackGit(gitContext) {
+  if (!gitContext || !gitContext.commit || !gitContext.start) {
+    return null;
+  }
+  const { start } = gitContext;
+  try {
+    if (!start.commit) {
+      throw new Error('the repository had no commit to return to');
+    }
+    const result = await resetToStart(gitContext.directory, start);
+    console.log(chalk.yellow(`Reset the migration commits back to ${start.commit.slice(0, 7)}`));
+    if (result.deletedBranch) {
+      console.log(chalk.yellow(`Switched back to ${result.branch} and deleted branch ${result.deletedBranch}`));
+    }
+    return result;
+  } catch (error) {
+    const instructions = start.migrationBranch
+      ? `switch back to ${start.branch} and delete branch ${start.migrationBranch}`
+      : `reset ${start.branch} to ${start.commit || 'its first commit'} to drop the migration commits`;
+    console.log(chalk.red(`⚠️ Could not undo the migration commits (${error.message}); ${instructions}`));
+    return { error: error.message, instructions };
+  }
+}
+
+/**
+ * Run a phase unless the interrupted run being resumed already completed it
+ * @param {Object} run - Migration run with `phases`, `previous`, `state` and `gitContext`
+ * @param {string} name - Phase name
+ * @param {Function} execute - Async function performing the phase and returning the phase entry
+ * @returns {Promise<Object>} The phase entry
+ */
+async function runPhase(run, name, execute) {
+  const completed = findCompletedPhase(run.previous, name);
+  if (completed) {
+    console.log(chalk.gray(`⏭️  ${name} already completed in the interrupted run - skipped`));
+    const resumedPhase = { ...completed, resumed: true };
+    run.phases.push(resumedPhase);
+    return resumedPhase;
+  }
+
+  const phase = await execute();
+  await recordPhase(run, phase);
+  return phase;
+}
+
+/**
+ * Add a finished phase with its `changes` list to the result, commit it when phase commits are
+ * enabled, and save the progress to the state file
+ * @param {Object} run - Migration run with `phases`, `state` and `gitContext`
+ * @param {Object} phase - Phase with `name`, `result` and `success`
+ */
+async function recordPhase(run, phase) {
+  phase.changes = describePhaseChanges(phase);
+  run.phases.push(phase);
+
+  const { gitContext, state } = run;
+  if (gitContext && gitContext.commit && PHASE_COMMIT_SUBJECTS[phase.name]) {
+    // Every phase gets its own commit, even the backup phase whose snapshot is not tracked by git
+    const commit = await commitAll(gitContext.directory, formatPhaseCommitMessage(phase), { allowEmpty: true });
+    if (commit.committed) {
+      gitContext.commits.push({ phase: phase.name, sha: commit.sha, message: commit.message });
+    }
+  }
+
+  if (state) {
+    state.phases = state.phases.filter(p => p.name !== phase.name).concat(phase);
+    await saveState(state);
+  }
+}
+
 module.exports = {
   migrate,
   detect,
   backup,
+  restore,
+  verifyBackup,
+  createVerifiedBackup,
   validate,
   migrateFile,
   migrateDirectory,
   processContent,
   cleanup,
+  emptyTrash,
+  restoreTrash,
   updateConfigurations,
   install,
-  completeMigration
+  completeMigration,
+  rollback
 };
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Handling of specs.json files that describe more than one spec
+ * @module lib/multispec
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Spec-Up repositories can host several specs in one specs.json. The migration either keeps
+ * them all in the project (`in-place`) or, with `split`, keeps the first spec in the project and moves every
+ * other spec into a Spec-Up-T project of its own under `projects/<name>/`. The split itself is done by
+ * `splitProject()` in `lib/split-project.js` (see applyMultiSpecMode()); this module holds the modes and the
+ * naming and writing helpers both share.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists } = require('./utils');
+const { trackPath, makeDirectory } = require('./journal');
+
+/**
+ * Ways to migrate a specs.json with several specs
+ */
+const MULTI_SPEC_MODES = ['in-place', 'split'];
+
+/**
+ * Directory, relative to the project root, that split-off projects are created in
+ */
+const SPLIT_PROJECTS_DIRECTORY = 'projects';
+
+/**
+ * Turn a spec title or directory into a directory name
+ * @param {string} name - Spec title or directory
+ * @returns {string} Lowercase name of letters, digits and dashes
+ * @example
+ * slugify('KERI Spec (draft)'); // 'keri-spec-draft'
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Choose a directory name for a split-off project that is not taken yet
+ * @param {string} parent - Directory the project is created in
+ * @param {Object} spec - Spec-Up-T spec
+ * @param {number} index - Position of the spec in specs.json, used when the spec has no usable name
+ * @param {Set<string>} taken - Names already chosen in this run; the chosen name is added
+ * @returns {Promise<string>} Directory name
+ */
+async function chooseProjectName(parent, spec, index, taken) {
+  const base = slugify(spec.title || '') || slugify(path.basename(spec.spec_directory || '')) || `spec-${index + 1}`;
+  let name = base;
+  for (let suffix = 2; taken.has(name) || await fileExists(path.join(parent, name)); suffix++) {
+    name = `${base}-${suffix}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Write a file of a split-off project, recording it in the journal
+ * @param {Object|null} journal - Migration journal
+ * @param {string} filePath - Absolute path
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeProjectFile(journal, filePath, content) {
+  await makeDirectory(journal, path.dirname(filePath));
+  await trackPath(journal, filePath);
+  await fs.writeFile(filePath, content);
+}
+
+module.exports = {
+  chooseProjectName,
+  writeProjectFile,
+  slugify,
+  MULTI_SPEC_MODES,
+  SPLIT_PROJECTS_DIRECTORY
+};
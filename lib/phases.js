@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Human-readable descriptions of what each migration phase changed
+ * @module lib/phases
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Turns the result objects of the `completeMigration()` phases into `changes` lists and
+ * commit messages, so per-phase commits and reports describe the same work in the same words.
+ */
+
+const path = require('path');
+
+/**
+ * Commit subject per phase; phases not listed here are never committed separately
+ */
+const PHASE_COMMIT_SUBJECTS = {
+  'Backup': 'Back up Spec-Up files before migrating to Spec-Up-T',
+  'Split Specs': 'Split the other specs into projects of their own',
+  'Cleanup': 'Remove obsolete Spec-Up files',
+  'Update Configurations': 'Update configuration files for Spec-Up-T',
+  'Definition Processing': 'Move definitions into term files and convert them to [[iref:]]',
+  'Installation': 'Install Spec-Up-T'
+};
+
+/**
+ * Maximum number of changes listed in a commit message body
+ */
+const MAX_LISTED_CHANGES = 40;
+
+/**
+ * List the term files created and the files converted by definition processing
+ * @param {Object} result - processDefinitions() result
+ * @returns {Array<string>} One sentence per change
+ */
+function describeDefinitionChanges(result) {
+  return [
+    ...(result.extraction ? result.extraction.filesCreated.map(file => `Created term file ${file}`) : []),
+    ...(result.conversion ? [...new Set(result.conversion.conversions.map(c => c.file))]
+      .map(file => `Converted [[def:]] to [[iref:]] in ${file}`) : []),
+    ...(result.references ? result.references.filesProcessed.map(file => `Converted references to Spec-Up-T syntax in ${file.file}`) : [])
+  ];
+}
+
+/**
+ * Change describers per phase, each taking the phase result
+ */
+const DESCRIBERS = {
+  'Backup': result => [
+    `Created backup snapshot ${result.snapshot ? path.basename(result.snapshot) : '(legacy sibling copies)'}`,
+    ...result.files.filter(file => file.backed_up).map(file => `Backed up ${file.source}`)
+  ],
+  'Cleanup': result => [
+    ...result.items.filter(item => item.removed).map(item => `Removed ${item.path} (${item.reason})`),
+    ...result.skipped.map(item => `Kept ${item.path}: ${item.reason}`)
+  ],
+  'Split Specs': result => [
+    ...result.projects.map(project => `Moved spec "${project.title}" into ${path.relative(result.directory, project.directory).split(path.sep).join('/')}`),
+    ...(result.removed || []).map(directory => `Removed ${directory}, now part of a split project`)
+  ],
+  'Update Configurations': result => result.updates.flatMap(update => update.changes || []),
+  'Definition Processing': result => [
+    ...describeDefinitionChanges(result),
+    ...(result.projects || []).flatMap(project => describeDefinitionChanges(project.result).map(change => `${project.name}: ${change}`))
+  ],
+  'Installation': result => result.steps.map(step => `${step.step}: ${step.success ? step.message : step.error}`)
+};
+
+/**
+ * List what a phase changed
+ * @param {Object} phase - Phase entry with `name` and `result`
+ * @returns {Array<string>} One sentence per change; empty for phases that change nothing
+ * @example
+ * describePhaseChanges({ name: 'Cleanup', result: cleanupResult });
+ * // ['Removed gulpfile.js (Gulp build system replaced by Spec-Up-T)', ...]
+ */
+function describePhaseChanges(phase) {
+  const describe = DESCRIBERS[phase.name];
+  if (!describe || !phase.result) {
+    return [];
+  }
+  try {
+    return describe(phase.result);
+  } catch {
+    // Results of failed phases may be incomplete; they simply have no change list
+    return [];
+  }
+}
+
+/**
+ * Build the commit message for a phase from its subject and `changes` list
+ * @param {Object} phase - Phase entry with `name` and `changes`
+ * @returns {string|null} Commit message, or null when the phase is not committed separately
+ */
+function formatPhaseCommitMessage(phase) {
+  const subject = PHASE_COMMIT_SUBJECTS[phase.name];
+  if (!subject) {
+    return null;
+  }
+
+  const changes = phase.changes || [];
+  const listed = changes.slice(0, MAX_LISTED_CHANGES).map(change => `- ${change}`);
+  if (changes.length > MAX_LISTED_CHANGES) {
+    listed.push(`- ...and ${changes.length - MAX_LISTED_CHANGES} more`);
+  }
+  return listed.length > 0 ? `${subject}\n\n${listed.join('\n')}` : subject;
+}
+
+module.exports = {
+  describePhaseChanges,
+  formatPhaseCommitMessage,
+  PHASE_COMMIT_SUBJECTS
+};
@@ -0,0 +1,574 @@
+/**
+ * @fileoverview Markdown and HTML reports of a complete migration
+ * @module lib/report
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Turns the result of `completeMigration()` into a self-contained document that can be
+ * attached to the migration pull request: detection verdict and checks, backed up files, removed items,
+ * configuration changes, extracted definitions, iref conversions and installation steps. The sections
+ * are built once as plain data and then rendered as Markdown or HTML.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { formatFileSize } = require('./utils');
+
+/**
+ * Build the sections of a migration report
+ * @param {Object} result - Result returned by completeMigration()
+ * @returns {Array<Object>} Sections with a `title` and `blocks` (text, list or table)
+ */
+function buildReportSections(result) {
+  const phase = name => result.phases.find(p => p.name === name);
+
+  return [
+    summarySection(result),
+    phaseSection('Detection', phase('Detection'), detectionBlocks),
+    phaseSection('Backup', phase('Backup'), backupBlocks),
+    ...(phase('Split Specs') ? [phaseSection('Split Projects', phase('Split Specs'), splitBlocks)] : []),
+    phaseSection('Cleanup', phase('Cleanup'), cleanupBlocks),
+    phaseSection('Configuration Changes', phase('Update Configurations'), updateBlocks),
+    phaseSection('Definitions', phase('Definition Processing'), definitionBlocks),
+    phaseSection('Installation', phase('Installation'), installationBlocks)
+  ];
+}
+
+/**
+ * Build the overview section
+ * @param {Object} result - Result returned by completeMigration()
+ * @returns {Object} Section
+ */
+function summarySection(result) {
+  const rows = [
+    ['Project', result.directory],
+    ['Outcome', result.success ? 'Succeeded' : 'Failed'],
+    ['Dry run', result.summary.dry_run ? 'Yes' : 'No'],
+    ['Phases', `${result.summary.successful_phases} of ${result.summary.total_phases} successful`]
+  ];
+  if (result.resumed) {
+    rows.push(['Resumed', 'Yes, continued an interrupted migration']);
+  }
+  if (result.git && result.git.commits && result.git.commits.length > 0) {
+    rows.push(['Git commits', result.git.commits.map(c => `${c.sha.slice(0, 7)} ${c.message.split('\n')[0]}`).join('; ')]);
+  }
+  if (result.error) {
+    rows.push(['Error', result.error]);
+  }
+  if (result.rollback) {
+    rows.push(['Rollback', `${result.rollback.summary.restored} of ${result.rollback.summary.total} changed paths restored`]);
+  }
+
+  return {
+    title: 'Summary',
+    blocks: [{ type: 'table', headers: ['Item', 'Value'], rows }]
+  };
+}
+
+/**
+ * Build the section of a phase, or a note when the phase did not run
+ * @param {string} title - Section title
+ * @param {Object|undefined} phase - Phase entry from the result
+ * @param {Function} describe - Builds the blocks from the phase result
+ * @returns {Object} Section
+ */
+function phaseSection(title, phase, describe) {
+  if (!phase) {
+    return { title, blocks: [{ type: 'text', text: 'This phase did not run.' }] };
+  }
+  if (phase.resumed && !phase.result) {
+    return { title, blocks: [{ type: 'text', text: 'Completed in an earlier, interrupted run.' }] };
+  }
+  try {
+    return { title, blocks: describe(phase.result, phase) };
+  } catch {
+    // Phases that failed half-way may not have the usual result shape
+    return { title, blocks: [{ type: 'text', text: `Phase did not complete. ${plainText(phase.result.messages)}` }] };
+  }
+}
+
+/**
+ * Describe the detection verdict and checks
+ * @param {Object} result - Detection result
+ * @param {Object} phase - Phase entry
+ * @returns {Array<Object>} Blocks
+ */
+function detectionBlocks(result, phase) {
+  if (phase.skipped) {
+    return [{ type: 'text', text: 'Skipped by user request.' }];
+  }
+  return [
+    { type: 'text', text: `Verdict: ${result.verdict} (confidence ${result.confidence}%)` },
+    {
+      type: 'table',
+      headers: ['Check', 'Found', 'Details'],
+      rows: result.checks.map(check => [check.description, check.found ? 'Yes' : 'No', check.details || ''])
+    }
+  ];
+}
+
+/**
+ * Describe the backup snapshot and the files it holds
+ * @param {Object} result - Backup result
+ * @returns {Array<Object>} Blocks
+ */
+function backupBlocks(result) {
+  const blocks = [{ type: 'text', text: `Snapshot: ${result.snapshot || 'legacy sibling copies'}` }];
+  if (result.verification) {
+    blocks.push({
+      type: 'table',
+      headers: ['File', 'Size', 'Checksum'],
+      rows: result.verification.files.map(file => [file.path, formatFileSize(file.expectedSize), file.status])
+    });
+  } else {
+    blocks.push({
+      type: 'table',
+      headers: ['Item', 'Backup', 'Backed up'],
+      rows: result.files.filter(file => file.exists).map(file => [file.source, file.backup, file.backed_up ? 'Yes' : 'No'])
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Describe the projects the other specs were split into and the spec directories they left
+ * @param {Object|null} result - applyMultiSpecMode() result, null when specs.json has fewer than two specs
+ * @returns {Array<Object>} Blocks
+ */
+function splitBlocks(result) {
+  if (!result) {
+    return [{ type: 'text', text: 'specs.json describes fewer than two specs; nothing was split.' }];
+  }
+  const blocks = [{
+    type: 'table',
+    headers: ['Spec', 'Project', 'Files', 'Shared assets', 'Cross-references'],
+    rows: result.projects.map(project => [
+      project.title,
+      path.relative(result.directory, project.directory).split(path.sep).join('/'),
+      String(project.files.length),
+      String(project.assets),
+      String(project.crossReferences.length)
+    ])
+  }];
+  if (result.removed && result.removed.length > 0) {
+    blocks.push({ type: 'list', title: 'Spec directories removed from this project', items: result.removed });
+  }
+  return blocks;
+}
+
+/**
+ * Describe the removed, failed and kept items and the local customizations found
+ * Items of a dry run are listed as items that would be deleted.
+ * @param {Object} result - Cleanup result
+ * @returns {Array<Object>} Blocks
+ */
+function cleanupBlocks(result) {
+  const removed = result.items.filter(item => item.removed || item.dryRun);
+  const failed = result.items.filter(item => item.exists && !item.removed && !item.dryRun);
+  const blocks = [{
+    type: 'table',
+    headers: [result.items.some(item => item.dryRun) ? 'Item to delete' : 'Deleted item', 'Type', 'Size', 'Reason'],
+    rows: removed.map(item => [item.path, item.type, formatFileSize(item.size), item.reason])
+  }];
+  if (failed.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Not deleted', 'Type', 'Error'],
+      rows: failed.map(item => [item.path, item.type, item.error || 'Not removed'])
+    });
+  }
+  if (result.skipped.length > 0) {
+    blocks.push({ type: 'list', title: 'Kept', items: result.skipped.map(item => `${item.path}: ${item.reason}`) });
+  }
+  if (result.customizations && result.customizations.files.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Customized file', 'Status', 'Suggested Spec-Up-T location'],
+      rows: result.customizations.files.map(file => [file.path, file.status, file.suggestion])
+    });
+  }
+  if (result.customizations && result.customizations.unverified && result.customizations.unverified.length > 0) {
+    blocks.push({ type: 'list', title: 'Not checked for local changes (no stock Spec-Up copy)', items: result.customizations.unverified });
+  }
+  return blocks;
+}
+
+/**
+ * Describe the changes made to each configuration file
+ * @param {Object} result - Update result
+ * @returns {Array<Object>} Blocks
+ */
+function updateBlocks(result) {
+  const blocks = result.updates.map(update => ({
+    type: 'list',
+    title: update.file,
+    items: update.changes && update.changes.length > 0 ? update.changes : [update.error || update.message || 'No changes']
+  }));
+  const specsUpdate = result.updates.find(update => update.file === 'specs.json');
+  if (specsUpdate && specsUpdate.specs && specsUpdate.specs.length > 1) {
+    blocks.push(specOutcomeBlock(specsUpdate.specs));
+  }
+  if (specsUpdate && specsUpdate.externalSpecs && specsUpdate.externalSpecs.length > 0) {
+    blocks.push(externalSpecBlock(specsUpdate.externalSpecs));
+  }
+  if (specsUpdate && specsUpdate.schemaErrors && specsUpdate.schemaErrors.length > 0) {
+    blocks.push({ type: 'list', title: 'specs.json does not match the Spec-Up-T schema', items: specsUpdate.schemaErrors });
+  }
+  const packageUpdate = result.updates.find(update => update.file === 'package.json');
+  if (packageUpdate && packageUpdate.scripts && packageUpdate.scripts.conflicts.length > 0) {
+    blocks.push(scriptConflictBlock(packageUpdate.scripts));
+  }
+  if (packageUpdate && packageUpdate.dependencies && packageUpdate.dependencies.length > 0) {
+    blocks.push(dependencyBlock(packageUpdate.dependencies));
+  }
+  if (result.boilerplate) {
+    blocks.push(...boilerplateBlocks(result.boilerplate));
+  }
+  return blocks;
+}
+
+/**
+ * List how each Spec-Up external spec was converted
+ * @param {Array<Object>} resolutions - The `externalSpecs` of the specs.json update
+ * @returns {Object} Table block
+ */
+function externalSpecBlock(resolutions) {
+  return {
+    type: 'table',
+    headers: ['External spec', 'Source', 'Repository', 'terms_dir', 'Status'],
+    rows: resolutions.map(resolution => [
+      resolution.external_spec,
+      resolution.source,
+      resolution.repository || '-',
+      resolution.terms_dir_origin === 'default' ? 'default' : `from ${resolution.terms_dir_origin} specs.json`,
+      resolution.resolved ? 'Resolved' : `Unresolved: ${resolution.reason}`
+    ])
+  };
+}
+
+/**
+ * List what happened to each spec of a specs.json with several specs
+ * @param {Array<Object>} specs - The `specs` of the specs.json update
+ * @returns {Object} Table block
+ */
+function specOutcomeBlock(specs) {
+  return {
+    type: 'table',
+    headers: ['Spec', 'Spec directory', 'Outcome'],
+    rows: specs.map((spec, index) => [
+      spec.title || `spec ${index + 1}`,
+      spec.spec_directory,
+      spec.outcome === 'split' ? `Split into ${spec.project}` : 'Transformed in place'
+    ])
+  };
+}
+
+/**
+ * List the package.json scripts that differed from the Spec-Up-T scripts
+ * @param {Object} scripts - The `scripts` of the package.json update, with `strategy` and `conflicts`
+ * @returns {Object} Table block
+ */
+function scriptConflictBlock(scripts) {
+  return {
+    type: 'table',
+    headers: [`Script conflict (strategy: ${scripts.strategy})`, 'Existing script', 'Spec-Up-T script', 'Resolution'],
+    rows: scripts.conflicts.map(conflict => [conflict.script, conflict.existing, conflict.boilerplate || 'None', conflict.resolution])
+  };
+}
+
+/**
+ * List how each existing dependency was classified and what happened to it
+ * @param {Array<Object>} dependencies - The `dependencies` of the package.json update
+ * @returns {Object} Table block
+ */
+function dependencyBlock(dependencies) {
+  const actions = { obsolete: 'Removed', template: 'Set to the Spec-Up-T version', user: 'Kept' };
+  return {
+    type: 'table',
+    headers: ['Dependency', 'Section', 'Classification', 'Action'],
+    rows: dependencies.map(entry => [
+      `${entry.name}@${entry.version}`,
+      entry.section,
+      entry.reason ? `${entry.classification} (${entry.reason})` : entry.classification,
+      actions[entry.classification]
+    ])
+  };
+}
+
+/**
+ * Name the place a boilerplate file was read from
+ * @param {Object} file - Entry of the boilerplate `files` list
+ * @returns {string} `Upstream`, `Local directory` or `Snapshot`, with the reason a fetch failed
+ */
+function describeFileOrigin(file) {
+  if (file.origin === 'upstream') {
+    return 'Upstream';
+  }
+  if (file.origin === 'local') {
+    return 'Local directory';
+  }
+  return file.reason ? `Snapshot (${file.reason})` : 'Snapshot';
+}
+
+/**
+ * Describe where the boilerplate files came from and which ones differ from the vendored snapshot
+ * @param {Object} boilerplate - The `boilerplate` summary of the update result
+ * @returns {Array<Object>} Blocks
+ */
+function boilerplateBlocks(boilerplate) {
+  const { repository, ref, commit, capturedAt } = boilerplate.snapshot;
+  let mode = 'Fetched upstream, snapshot as fallback';
+  if (boilerplate.offline) {
+    mode = 'Offline, only the snapshot was used';
+  } else if (boilerplate.directory) {
+    mode = 'Read from the local directory, without snapshot fallback';
+  } else if (boilerplate.ref) {
+    mode = 'Fetched upstream at the pinned ref, without snapshot fallback';
+  }
+  let origin = `Boilerplate ref: ${boilerplate.ref ? `pinned to ${boilerplate.ref}` : 'latest from the default branch'}`;
+  if (boilerplate.directory) {
+    origin = `Boilerplate directory: ${boilerplate.directory}`;
+  }
+  return [
+    { type: 'text', text: `${origin}. Boilerplate snapshot: ${repository}@${ref}, commit ${commit || 'not recorded'}, captured ${capturedAt}. ${mode}.` },
+    {
+      type: 'table',
+      headers: ['Boilerplate file', 'Read from', 'Differs from snapshot'],
+      rows: boilerplate.files.map(file => [
+        file.path,
+        describeFileOrigin(file),
+        file.differs ? 'Yes' : 'No'
+      ])
+    }
+  ];
+}
+
+/**
+ * Describe the extracted definitions, the [[iref:]] conversions and the reference conversions
+ * @param {Object} result - Definition processing result
+ * @returns {Array<Object>} Blocks
+ */
+function definitionBlocks(result) {
+  const blocks = [];
+  if (result.extraction) {
+    blocks.push({
+      type: 'table',
+      headers: ['Extracted term', 'Source file', 'Term file'],
+      rows: result.extraction.definitionsFound.map(def => [def.term, def.sourceFile, def.filename])
+    });
+  }
+  if (result.conversion) {
+    blocks.push({
+      type: 'table',
+      headers: ['[[iref:]] conversion', 'File'],
+      rows: result.conversion.conversions.map(conversion => [conversion.term, conversion.file])
+    });
+  }
+  if (result.references && result.references.conversions.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Reference', 'Converted to', 'File'],
+      rows: result.references.conversions.map(conversion => [conversion.original, conversion.replacement, conversion.file])
+    });
+  }
+  if (result.references && result.references.unresolved.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Unresolved reference', 'Reason', 'File'],
+      rows: result.references.unresolved.map(reference => [reference.reference, reference.reason, reference.file])
+    });
+  }
+  if (blocks.length === 0) {
+    blocks.push({ type: 'text', text: plainText(result.messages) || 'No definitions processed.' });
+  }
+  (result.projects || []).forEach(project => {
+    blocks.push({ type: 'text', text: `Split project ${project.name}:` }, ...definitionBlocks(project.result));
+  });
+  return blocks;
+}
+
+/**
+ * Describe the installation steps
+ * @param {Object} result - Installation result
+ * @returns {Array<Object>} Blocks
+ */
+function installationBlocks(result) {
+  return [{
+    type: 'table',
+    headers: ['Step', 'Result', 'Details'],
+    rows: result.steps.map(step => [step.step, stepStatus(step), step.error || step.message || ''])
+  }];
+}
+
+/**
+ * Label the outcome of an installation step
+ * @param {Object} step - Installation step
+ * @returns {string} Skipped, Succeeded or Failed
+ */
+function stepStatus(step) {
+  if (step.skipped) {
+    return 'Skipped';
+  }
+  return step.success ? 'Succeeded' : 'Failed';
+}
+
+/**
+ * Join phase messages into one line without the terminal colours some of them carry
+ * @param {Array<string>} [messages=[]] - Phase messages
+ * @returns {string} Plain text
+ */
+function plainText(messages = []) {
+  return messages.join(' ').replace(/\u001b\[[0-9;]*m/g, '').trim();
+}
+
+/**
+ * Escape a value for use in a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+function markdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render report sections as Markdown
+ * @param {Array<Object>} sections - Sections from buildReportSections()
+ * @param {string} generatedAt - ISO timestamp
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(sections, generatedAt) {
+  const lines = ['# Spec-Up-T Migration Report', '', `Generated ${generatedAt}`, ''];
+
+  for (const section of sections) {
+    lines.push(`## ${section.title}`, '');
+    for (const block of section.blocks) {
+      lines.push(...renderMarkdownBlock(block), '');
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render one block as Markdown lines
+ * @param {Object} block - Text, list or table block
+ * @returns {Array<string>} Lines
+ */
+function renderMarkdownBlock(block) {
+  if (block.type === 'text') {
+    return [block.text];
+  }
+  if (block.type === 'list') {
+    return [`**${block.title}**`, '', ...block.items.map(item => `- ${item}`)];
+  }
+  if (block.rows.length === 0) {
+    return [`_No ${block.headers[0].toLowerCase()} entries._`];
+  }
+  return [
+    `| ${block.headers.map(markdownCell).join(' | ')} |`,
+    `| ${block.headers.map(() => '---').join(' | ')} |`,
+    ...block.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+  ];
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render report sections as a standalone HTML page
+ * @param {Array<Object>} sections - Sections from buildReportSections()
+ * @param {string} generatedAt - ISO timestamp
+ * @returns {string} HTML document
+ */
+function renderHtml(sections, generatedAt) {
+  const body = sections.map(section => [
+    `<h2>${escapeHtml(section.title)}</h2>`,
+    ...section.blocks.map(renderHtmlBlock)
+  ].join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Spec-Up-T Migration Report</title>
+<style>
+body { font-family: sans-serif; max-width: 60em; margin: 2em auto; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Spec-Up-T Migration Report</h1>
+<p>Generated ${escapeHtml(generatedAt)}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render one block as HTML
+ * @param {Object} block - Text, list or table block
+ * @returns {string} HTML fragment
+ */
+function renderHtmlBlock(block) {
+  if (block.type === 'text') {
+    return `<p>${escapeHtml(block.text)}</p>`;
+  }
+  if (block.type === 'list') {
+    const items = block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    return `<h3>${escapeHtml(block.title)}</h3>\n<ul>${items}</ul>`;
+  }
+  if (block.rows.length === 0) {
+    return `<p><em>No ${escapeHtml(block.headers[0].toLowerCase())} entries.</em></p>`;
+  }
+  const head = block.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const rows = block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+}
+
+/**
+ * Render a migration result as a Markdown or HTML report
+ * @param {Object} result - Result returned by completeMigration()
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.format='markdown'] - `markdown` or `html`
+ * @returns {string} Report document
+ * @example
+ * const markdown = generateReport(await completeMigration('./my-project'));
+ */
+function generateReport(result, options = {}) {
+  const { format = 'markdown' } = options;
+  const sections = buildReportSections(result);
+  const generatedAt = new Date().toISOString();
+  return format === 'html' ? renderHtml(sections, generatedAt) : renderMarkdown(sections, generatedAt);
+}
+
+/**
+ * Write a migration report; the format follows the file extension (`.html`/`.htm` or Markdown otherwise)
+ * @param {Object} result - Result returned by completeMigration()
+ * @param {string} file - Report file path
+ * @returns {Promise<Object>} Object with the absolute `path` and `format` of the written report
+ */
+async function writeReport(result, file) {
+  const reportPath = path.resolve(file);
+  const format = ['.html', '.htm'].includes(path.extname(reportPath).toLowerCase()) ? 'html' : 'markdown';
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, generateReport(result, { format }));
+  return { path: reportPath, format };
+}
+
+module.exports = {
+  generateReport,
+  writeReport,
+  buildReportSections
+};
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview JSON Schema validation of Spec-Up and Spec-Up-T specs.json files
+ * @module lib/schema
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description The schemas in `schemas/` describe specs.json before migration (Spec-Up) and after it
+ * (Spec-Up-T). The validator implements the JSON Schema keywords those schemas use (`type`, `required`,
+ * `properties`, `additionalProperties`, `items`, `minItems`, `minLength`, `enum` and `format: uri`) and
+ * reports every problem with the JSON pointer of the offending value, for example
+ * `/specs/0/external_specs/2/gh_page must be a URL`.
+ */
+
+/**
+ * Bundled specs.json schemas by format
+ */
+const SPECS_JSON_SCHEMAS = {
+  'spec-up': require('../schemas/spec-up.schema.json'),
+  'spec-up-t': require('../schemas/spec-up-t.schema.json')
+};
+
+/**
+ * Names of the specs.json formats used in messages
+ */
+const FORMAT_LABELS = {
+  'spec-up': 'Spec-Up',
+  'spec-up-t': 'Spec-Up-T'
+};
+
+/**
+ * Names of the JSON types, with the article used in messages
+ */
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  null: 'null'
+};
+
+/**
+ * Determine the JSON type of a value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} JSON Schema type name
+ */
+function jsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Escape an object key for use in a JSON pointer (RFC 6901)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Escaped pointer segment
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ * @param {string} value - String to check
+ * @returns {boolean} True for URLs such as `https://example.org/spec/`
+ */
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a value against the `type` keyword
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Allowed type or types
+ * @returns {boolean} True when the value has one of the types; integers also count as numbers
+ */
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate the keywords that apply to one value without descending into it
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema of the value
+ * @returns {Array<string>} Messages, such as `must be a URL`
+ */
+function checkValue(value, schema) {
+  const messages = [];
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    messages.push(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      messages.push('must not be empty');
+    } else if (schema.format === 'uri' && !isUrl(value)) {
+      messages.push('must be a URL');
+    }
+  }
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    messages.push(`must have at least ${schema.minItems} item(s)`);
+  }
+  return messages;
+}
+
+/**
+ * Validate the properties of an object value
+ * @param {Object} value - Object to check
+ * @param {Object} schema - Schema of the object
+ * @param {string} pointer - JSON pointer of the object
+ * @param {Array<Object>} errors - Collected errors; appended to
+ */
+function validateProperties(value, schema, pointer, errors) {
+  (schema.required || [])
+    .filter(key => !Object.prototype.hasOwnProperty.call(value, key))
+    .forEach(key => errors.push({ pointer: `${pointer}/${escapePointer(key)}`, message: 'is required' }));
+
+  Object.entries(value).forEach(([key, propertyValue]) => {
+    const propertySchema = schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)
+      ? schema.properties[key]
+      : schema.additionalProperties;
+    if (propertySchema && typeof propertySchema === 'object') {
+      validateNode(propertyValue, propertySchema, `${pointer}/${escapePointer(key)}`, errors);
+    }
+  });
+}
+
+/**
+ * Validate a value and everything in it
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema of the value
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Array<Object>} errors - Collected errors; appended to
+ */
+function validateNode(value, schema, pointer, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ pointer, message: `must be ${[].concat(schema.type).map(type => TYPE_NAMES[type]).join(' or ')}` });
+    return;
+  }
+  checkValue(value, schema).forEach(message => errors.push({ pointer, message }));
+
+  if (jsonType(value) === 'object') {
+    validateProperties(value, schema, pointer, errors);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${pointer}/${index}`, errors));
+  }
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {*} data - Parsed JSON
+ * @param {Object} schema - JSON Schema using the supported keywords
+ * @returns {Array<Object>} Errors, each with `pointer` (JSON pointer, `''` for the document itself) and `message`
+ */
+function validateSchema(data, schema) {
+  const errors = [];
+  validateNode(data, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Validate the content of a specs.json file
+ * @param {Object} specsData - Parsed specs.json
+ * @param {string} format - `spec-up` for a project before migration, `spec-up-t` after it
+ * @returns {Object} `valid` and `errors`, each with `pointer` and `message`
+ * @throws {Error} When the format is unknown
+ * @example
+ * validateSpecsJson({ specs: [] }, 'spec-up-t').errors;
+ * // [{ pointer: '/specs', message: 'must have at least 1 item(s)' }]
+ */
+function validateSpecsJson(specsData, format) {
+  const schema = SPECS_JSON_SCHEMAS[format];
+  if (!schema) {
+    throw new Error(`Unknown specs.json format "${format}"; expected ${Object.keys(SPECS_JSON_SCHEMAS).join(', ')}`);
+  }
+  const errors = validateSchema(specsData, schema);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format a schema error as one line
+ * @param {Object} error - Error with `pointer` and `message`
+ * @returns {string} For example `/specs/0/external_specs/2/gh_page must be a URL`
+ */
+function formatSchemaError(error) {
+  return `${error.pointer || '/'} ${error.message}`;
+}
+
+/**
+ * Refuse a specs.json that does not match its schema
+ * @param {Object} specsData - Parsed specs.json
+ * @param {string} format - `spec-up` or `spec-up-t`
+ * @throws {Error} Listing every schema error, for example
+ * `specs.json does not match the Spec-Up schema: /specs/0/markdown_paths must be an array`
+ */
+function assertValidSpecsJson(specsData, format) {
+  const { valid, errors } = validateSpecsJson(specsData, format);
+  if (!valid) {
+    throw new Error(`specs.json does not match the ${FORMAT_LABELS[format]} schema: ${errors.map(formatSchemaError).join('; ')}`);
+  }
+}
+
+module.exports = {
+  validateSpecsJson,
+  assertValidSpecsJson,
+  validateSchema,
+  formatSchemaError,
+  SPECS_JSON_SCHEMAS
+};
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Split a multi-spec Spec-Up repository into one Spec-Up-T project per spec
+ * @module lib/split-project
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Spec-Up-T builds one spec per project. `splitProject()` turns a specs.json with N specs into
+ * N sibling project directories. Each gets its own specs.json (transformed by transformSpecToSpecUpT()),
+ * package.json, the markdown files its `markdown_paths` list, and a copy of the shared assets. A `[[ref:]]`
+ * to a term that only another spec defines becomes an `[[xref:]]` to that spec's new project, which is added
+ * to `external_specs`. The source project is only read, never changed. `--multi-spec split` uses the same
+ * function through applyMultiSpecMode(), keeping the first spec in the project and splitting off the others.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, listFilesRecursive, matchesGlob, safeJsonParse } = require('./utils');
+const { transformSpecToSpecUpT, updateConfigurations } = require('./updater');
+const { chooseProjectName, writeProjectFile, MULTI_SPEC_MODES, SPLIT_PROJECTS_DIRECTORY } = require('./multispec');
+const { assertValidSpecsJson } = require('./schema');
+const { STOCK_SPEC_UP_FILES } = require('./customizations');
+const { removePath } = require('./journal');
+
+/**
+ * Project directories whose files every split project gets a copy of (stock Spec-Up files excluded)
+ */
+const SHARED_ASSET_DIRECTORIES = ['assets', 'static'];
+
+/**
+ * `[[def: term, alias]]` definitions
+ */
+const DEFINITION_PATTERN = /\[\[def:\s*([^\]]+?)\s*\]\]/g;
+
+/**
+ * `[[ref: term]]` references
+ */
+const REFERENCE_PATTERN = /\[\[ref:\s*([^\]]+?)\s*\]\]/g;
+
+/**
+ * Normalize a term for comparison
+ * @param {string} term - Term as written
+ * @returns {string} Trimmed, lowercase term
+ */
+function normalizeTerm(term) {
+  return term.trim().toLowerCase();
+}
+
+/**
+ * Read the markdown files of a spec: its `markdown_paths` and the files in its terms directory
+ * @param {string} directory - Source project root
+ * @param {Object} spec - Spec-Up-T spec
+ * @returns {Promise<Object>} `files`, each with `path` (relative to the spec directory) and `content`, and
+ * `missing`, the `markdown_paths` entries that do not exist
+ */
+async function readSpecFiles(directory, spec) {
+  const specDirectory = path.join(directory, spec.spec_directory);
+  const termsDirectory = path.join(specDirectory, spec.spec_terms_directory);
+  const termFiles = await fileExists(termsDirectory)
+    ? (await listFilesRecursive(termsDirectory)).map(file => `${spec.spec_terms_directory}/${file}`)
+    : [];
+
+  const files = [];
+  const missing = [];
+  for (const file of [...new Set([...spec.markdown_paths, ...termFiles])]) {
+    const filePath = path.join(specDirectory, file);
+    if (await fileExists(filePath)) {
+      files.push({ path: file, content: await fs.readFile(filePath, 'utf8') });
+    } else if (file !== 'terms-and-definitions-intro.md') {
+      // The intro is created by updateConfigurations() when it is missing
+      missing.push(file);
+    }
+  }
+  return { files, missing };
+}
+
+/**
+ * Collect the terms, including aliases, that a set of markdown files defines
+ * @param {Array<Object>} files - Files with `content`
+ * @returns {Set<string>} Normalized terms
+ */
+function collectDefinedTerms(files) {
+  const terms = new Set();
+  files.forEach(file => {
+    for (const match of file.content.matchAll(DEFINITION_PATTERN)) {
+      match[1].split(',').map(normalizeTerm).filter(Boolean).forEach(term => terms.add(term));
+    }
+  });
+  return terms;
+}
+
+/**
+ * Rewrite references to terms that another spec defines into xrefs to that spec's project
+ * @param {string} content - Markdown content
+ * @param {Set<string>} ownTerms - Terms the spec defines itself; references to them are left alone
+ * @param {Map<string, string>} termOwners - Project name of the first spec defining each term
+ * @returns {Object} `content` and `references`, each with `term` and `external_spec`
+ * @example
+ * rewriteCrossReferences('See [[ref: KEL]].', new Set(), new Map([['kel', 'keri-spec']])).content;
+ * // 'See [[xref: keri-spec, KEL]].'
+ */
+function rewriteCrossReferences(content, ownTerms, termOwners) {
+  const references = [];
+  const rewritten = content.replace(REFERENCE_PATTERN, (match, term) => {
+    const key = normalizeTerm(term);
+    if (ownTerms.has(key) || !termOwners.has(key)) {
+      return match;
+    }
+    references.push({ term, external_spec: termOwners.get(key) });
+    return `[[xref: ${termOwners.get(key)}, ${term}]]`;
+  });
+  return { content: rewritten, references };
+}
+
+/**
+ * Create the external_specs entry for the project of another spec
+ * The GitHub Pages and repository URLs follow from the `source.account` of that spec; without it they are left
+ * empty and the entry is marked unresolved, to be completed once the project is published. `terms_dir` is the
+ * spec's own terms directory inside `spec/`, or inside its original spec directory when it stays in the source project.
+ * @param {Object} plan - Planned project with `name`, `kept` and `spec`
+ * @returns {Object} external_specs entry, with `resolved`
+ */
+function createExternalSpec(plan) {
+  const account = plan.spec.source && plan.spec.source.account;
+  return {
+    external_spec: plan.name,
+    gh_page: account ? `https://${account}.github.io/${plan.name}/` : '',
+    url: account ? `https://github.com/${account}/${plan.name}` : '',
+    terms_dir: path.posix.join(plan.kept ? plan.spec.spec_directory : 'spec', plan.spec.spec_terms_directory),
+    resolved: Boolean(account)
+  };
+}
+
+/**
+ * List the shared asset files of the source project
+ * @param {string} directory - Source project root
+ * @returns {Promise<Array<string>>} Paths relative to the project root
+ */
+async function listSharedAssets(directory) {
+  const assets = [];
+  for (const assetDirectory of SHARED_ASSET_DIRECTORIES) {
+    if (await fileExists(path.join(directory, assetDirectory))) {
+      const files = await listFilesRecursive(path.join(directory, assetDirectory));
+      assets.push(...files.map(file => `${assetDirectory}/${file}`));
+    }
+  }
+  return assets.filter(file => !STOCK_SPEC_UP_FILES.some(pattern => matchesGlob(file, pattern)));
+}
+
+/**
+ * Build the specs.json content of a planned project, with xrefs to other projects added to external_specs
+ * @param {Object} plan - Planned project
+ * @param {Array<Object>} externalSpecs - Entries from createExternalSpec()
+ * @returns {Object} specs.json content
+ */
+function buildProjectSpecs(plan, externalSpecs) {
+  const known = new Set(plan.spec.external_specs.map(entry => entry.external_spec));
+  const spec = {
+    ...plan.spec,
+    spec_directory: './spec',
+    output_path: './docs',
+    external_specs: [
+      ...plan.spec.external_specs,
+      ...externalSpecs.filter(entry => !known.has(entry.external_spec)).map(({ resolved, ...entry }) => entry)
+    ]
+  };
+  if (plan.spec.source) {
+    spec.source = { ...plan.spec.source, repo: plan.name };
+  }
+  return { specs: [spec] };
+}
+
+/**
+ * Write one planned project and finish it with updateConfigurations()
+ * @param {Object} plan - Planned project
+ * @param {Object} context - `plans`, `termOwners`, `sourceDirectory`, `assets`, `packageData` and the splitProject() options
+ * @returns {Promise<Object>} Project result
+ */
+async function writeSplitProject(plan, context) {
+  const { plans, termOwners, sourceDirectory, assets, packageData, dryRun, journal = null } = context;
+  const target = path.join(context.output, plan.name);
+
+  const files = plan.files.map(file => ({ ...file, ...rewriteCrossReferences(file.content, plan.terms, termOwners) }));
+  const crossReferences = files.flatMap(file => file.references.map(reference => ({ ...reference, file: file.path })));
+  const referenced = [...new Set(crossReferences.map(reference => reference.external_spec))];
+  const externalSpecs = referenced.map(name => createExternalSpec(plans.find(other => other.name === name)));
+
+  let update = null;
+  if (!dryRun) {
+    const projectPackage = { ...packageData, name: packageData.name ? `${packageData.name}-${plan.name}` : plan.name };
+    await writeProjectFile(journal, path.join(target, 'specs.json'), JSON.stringify(buildProjectSpecs(plan, externalSpecs), null, 2));
+    await writeProjectFile(journal, path.join(target, 'package.json'), JSON.stringify(projectPackage, null, 2));
+    for (const file of files) {
+      await writeProjectFile(journal, path.join(target, 'spec', file.path), file.content);
+    }
+    for (const asset of assets) {
+      await writeProjectFile(journal, path.join(target, asset), await fs.readFile(path.join(sourceDirectory, asset)));
+    }
+    const result = await updateConfigurations(target, {
+      journal,
+      boilerplateSource: context.boilerplateSource,
+      offline: context.offline,
+      boilerplateRef: context.boilerplateRef,
+      boilerplateDir: context.boilerplateDir,
+      externalSpecsDir: context.externalSpecsDir
+    });
+    update = result.summary;
+  }
+
+  return {
+    index: plan.index,
+    title: plan.spec.title || `spec ${plan.index + 1}`,
+    name: plan.name,
+    directory: target,
+    files: files.map(file => file.path),
+    missing: plan.missing,
+    assets: assets.length,
+    crossReferences,
+    externalSpecs: externalSpecs.map(entry => ({ external_spec: entry.external_spec, resolved: entry.resolved })),
+    changes: plan.changes,
+    update
+  };
+}
+
+/**
+ * Split a project whose specs.json describes several specs into one Spec-Up-T project per spec
+ * @param {string} [directory='.'] - Source project with a multi-spec specs.json; it is not modified
+ * @param {Object} [options={}] - Split options
+ * @param {string} [options.output] - Directory to create the projects in; defaults to the parent of `directory`,
+ * so the projects become its siblings
+ * @param {boolean} [options.dryRun=false] - Only report what would be created
+ * @param {boolean} [options.offline=false] - Finish the projects with the vendored boilerplate snapshot
+ * @param {string} [options.boilerplateRef] - Tag or commit SHA of spec-up-t to read the boilerplate at
+ * @param {string} [options.boilerplateDir] - Local spec-up-t checkout to read the boilerplate from
+ * @param {string} [options.externalSpecsDir] - Mirrors of the repositories of external specs, see convertExternalSpecs()
+ * @param {Object} [options.boilerplateSource] - Boilerplate source shared by the projects, see updateConfigurations()
+ * @param {number} [options.keep] - Position of a spec that stays in the source project: no project is created for
+ * it, and references to its terms become xrefs to the source project (named after its `source.repo` or directory)
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
+ * @returns {Promise<Object>} Result with `directory`, `output`, `projects` (one per spec, with the copied `files`,
+ * `missing` markdown paths, rewritten `crossReferences`, added `externalSpecs` and the `update` summary), the
+ * `kept` spec (`index`, `title` and `name`, or null) and `summary`
+ * @throws {Error} When specs.json cannot be read or describes fewer than two specs
+ * @example
+ * const result = await splitProject('./specs-repo', { dryRun: true });
+ * result.projects.map(project => project.directory); // ['/work/main-spec', '/work/keri-spec']
+ */
+async function splitProject(directory = '.', options = {}) {
+  const sourceDirectory = path.resolve(directory);
+  const { dryRun = false } = options;
+  const output = path.resolve(options.output || path.dirname(sourceDirectory));
+
+  const specsData = safeJsonParse(await fs.readFile(path.join(sourceDirectory, 'specs.json'), 'utf8'), null);
+  if (!specsData || !Array.isArray(specsData.specs) || specsData.specs.length < 2) {
+    throw new Error(`${path.join(sourceDirectory, 'specs.json')} describes fewer than two specs; there is nothing to split`);
+  }
+
+  const taken = new Set();
+  const plans = [];
+  for (const [index, original] of specsData.specs.entries()) {
+    // Only discover markdown files for specs without markdown_paths: specs often share a spec directory,
+    // and each project should get just the files of its own spec
+    const listed = Array.isArray(original.markdown_paths) && original.markdown_paths.length > 0;
+    const { transformedSpec: spec, changes } = await transformSpecToSpecUpT(original, {
+      trackChanges: true,
+      specTitle: original.title || `spec ${index + 1}`,
+      baseDirectory: listed ? null : sourceDirectory,
+      externalSpecOptions: { offline: Boolean(options.offline), mirrorDirectory: options.externalSpecsDir }
+    });
+    const kept = index === options.keep;
+    const name = kept
+      ? (spec.source && spec.source.repo) || path.basename(sourceDirectory)
+      : await chooseProjectName(output, spec, index, taken);
+    const { files, missing } = await readSpecFiles(sourceDirectory, spec);
+    plans.push({ index, name, kept, spec, changes, files, missing, terms: collectDefinedTerms(files) });
+  }
+
+  const termOwners = new Map();
+  plans.forEach(plan => plan.terms.forEach(term => {
+    if (!termOwners.has(term)) {
+      termOwners.set(term, plan.name);
+    }
+  }));
+
+  const packageContent = await fs.readFile(path.join(sourceDirectory, 'package.json'), 'utf8').catch(() => '{}');
+  const context = {
+    ...options,
+    dryRun,
+    output,
+    plans,
+    termOwners,
+    sourceDirectory,
+    assets: await listSharedAssets(sourceDirectory),
+    packageData: safeJsonParse(packageContent)
+  };
+  const projects = [];
+  for (const plan of plans.filter(candidate => !candidate.kept)) {
+    projects.push(await writeSplitProject(plan, context));
+  }
+  const kept = plans.find(plan => plan.kept);
+
+  return {
+    directory: sourceDirectory,
+    output,
+    projects,
+    kept: kept ? { index: kept.index, title: kept.spec.title || `spec ${kept.index + 1}`, name: kept.name } : null,
+    summary: {
+      specs: projects.length,
+      files: projects.reduce((total, project) => total + project.files.length, 0),
+      crossReferences: projects.reduce((total, project) => total + project.crossReferences.length, 0),
+      unresolved: projects.reduce((total, project) => total + project.externalSpecs.filter(entry => !entry.resolved).length, 0),
+      dry_run: dryRun
+    }
+  };
+}
+
+/**
+ * Check whether two paths are the same or one contains the other
+ * @param {string} first - Absolute path
+ * @param {string} second - Absolute path
+ * @returns {boolean} True when the paths overlap
+ */
+function pathsOverlap(first, second) {
+  return [path.relative(first, second), path.relative(second, first)]
+    .some(relative => !relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Remove the spec directories of the specs that were split off, now that their files live in their own projects
+ * A directory is kept when it is the project root or overlaps the directory of the spec that stays or the projects directory.
+ * @param {string} projectRoot - Project root
+ * @param {Array<Object>} specs - Specs of the original specs.json
+ * @param {Object} split - splitProject() result
+ * @param {Object} options - `dryRun` and `journal`
+ * @returns {Promise<Array<string>>} Removed (or, in a dry run, removable) directories, relative to the project root
+ */
+async function removeMovedSpecDirectories(projectRoot, specs, split, { dryRun = false, journal = null }) {
+  const specDirectory = spec => path.resolve(projectRoot, spec.spec_directory || 'spec');
+  const kept = [specDirectory(specs[split.kept.index]), split.output];
+
+  const removed = [];
+  for (const project of split.projects) {
+    const directory = specDirectory(specs[project.index]);
+    const relativePath = path.relative(projectRoot, directory).split(path.sep).join('/');
+    if (relativePath === '' || relativePath.startsWith('..') || removed.includes(relativePath)
+      || kept.some(other => pathsOverlap(directory, other)) || !await fileExists(directory)) {
+      continue;
+    }
+    if (!dryRun) {
+      await removePath(journal, directory);
+    }
+    removed.push(relativePath);
+  }
+  return removed;
+}
+
+/**
+ * Apply a `--multi-spec` mode before the configurations of a project are updated
+ * With `split`, splitProject() moves every spec after the first into a project of its own under `projects/` and the
+ * spec directories they leave behind are removed; passing the result to updateConfigurations() as `split` then keeps
+ * only the first spec in specs.json. Run it before cleanup, which removes the shared assets the projects copy.
+ * @param {string} directory - Project root
+ * @param {string} [mode='in-place'] - One of MULTI_SPEC_MODES
+ * @param {Object} [options={}] - splitProject() options: `dryRun`, `journal` and the boilerplate and external specs options
+ * @returns {Promise<Object|null>} splitProject() result with the `removed` spec directories, or null when the mode
+ * is `in-place` or specs.json has fewer than two specs
+ * @throws {Error} When the mode is unknown or specs.json does not match the Spec-Up schema
+ */
+async function applyMultiSpecMode(directory, mode = 'in-place', options = {}) {
+  if (!MULTI_SPEC_MODES.includes(mode)) {
+    throw new Error(`Invalid multi-spec mode "${mode}"; expected ${MULTI_SPEC_MODES.join(', ')}`);
+  }
+  const projectRoot = path.resolve(directory);
+  const specsData = safeJsonParse(await fs.readFile(path.join(projectRoot, 'specs.json'), 'utf8').catch(() => 'null'), null);
+  if (mode !== 'split' || !specsData) {
+    return null;
+  }
+  // The split trusts the fields it finds, like updateSpecsJson()
+  assertValidSpecsJson(specsData, 'spec-up');
+  if (!Array.isArray(specsData.specs) || specsData.specs.length < 2) {
+    return null;
+  }
+  const split = await splitProject(projectRoot, { ...options, output: path.join(projectRoot, SPLIT_PROJECTS_DIRECTORY), keep: 0 });
+  split.removed = await removeMovedSpecDirectories(projectRoot, specsData.specs, split, options);
+  return split;
+}
+
+module.exports = {
+  splitProject,
+  applyMultiSpecMode,
+  rewriteCrossReferences,
+  SHARED_ASSET_DIRECTORIES
+};
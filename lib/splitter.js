@@ -2,6 +2,8 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { trackPath, makeDirectory } = require('./journal');
+const { convertReferenceSyntax, collectDefinedTerms } = require('./utils');
 
 // Global path to specs.json, always resolved with projectDir
 function getSpecsJsonPath(projectDir = process.cwd()) {
@@ -24,6 +26,23 @@ const DEFINITION_CONFIG = {
 };
 
 
+/**
+ * Resolve the directory of the term files of a spec
+ * `spec_terms_directory` is relative to the spec directory unless it is absolute or starts with `./` or `../`.
+ * @param {string} directory - Project directory
+ * @param {Object} spec - Entry of the `specs` array of specs.json
+ * @returns {string} Absolute path of the terms directory
+ */
+function resolveTermsDirectory(directory, spec) {
+  const specTermsDirectory = spec.spec_terms_directory || 'terms-definitions';
+  if (path.isAbsolute(specTermsDirectory)) {
+    return specTermsDirectory;
+  }
+  if (specTermsDirectory.startsWith('./') || specTermsDirectory.startsWith('../')) {
+    return path.join(directory, specTermsDirectory);
+  }
+  return path.join(directory, spec.spec_directory || './spec', specTermsDirectory);
+}
 
 /**
  * Extract a single definition block from markdown content
@@ -87,6 +106,115 @@ function parseTermName(defLine) {
     .replace(/[^a-z0-9-]/g, '');
 }
 
+/**
+ * Extract the definitions of one spec into its terms directory
+ * @param {string} directory - Project directory
+ * @param {Object} spec - Entry of the `specs` array of specs.json
+ * @param {Object} result - Extraction result that scanned files, definitions, created files and messages are added to
+ * @param {Object} options - `dryRun`, `verbose` and `journal`
+ * @returns {Promise<void>}
+ */
+async function extractDefinitionsFromSpec(directory, spec, result, { dryRun, verbose, journal }) {
+  const specDirectory = spec.spec_directory || './spec';
+  const markdownPaths = spec.markdown_paths || [];
+
+  // Resolve paths
+  const specDir = path.join(directory, specDirectory);
+  const termFilesDir = resolveTermsDirectory(directory, spec);
+
+  if (verbose) {
+    console.log(chalk.blue('🔧 Extracting definitions from all markdown files...'));
+    console.log(chalk.blue(`📁 Spec directory: ${specDir}`));
+    console.log(chalk.blue(`📁 Terms output directory: ${termFilesDir}`));
+  }
+
+  result.messages.push(`📁 Scanning ${markdownPaths.length} markdown files in ${specDirectory}`);
+
+  // Create output directory if it doesn't exist
+  if (!dryRun) {
+    await makeDirectory(journal, termFilesDir);
+  }
+
+  // Track all definitions to avoid duplicates
+  const allDefinitions = new Map(); // Map<filename, {defLine, definitionText, sourceFile}>
+
+  // Scan each markdown file
+  for (const mdPath of markdownPaths) {
+    const fullPath = path.join(specDir, mdPath);
+    
+    try {
+      await fs.access(fullPath);
+      result.filesScanned.push(mdPath);
+
+      const content = await fs.readFile(fullPath, 'utf8');
+      
+      // Find all [[def: occurrences
+      let searchIndex = 0;
+      while (true) {
+        const defIndex = content.indexOf('[[def:', searchIndex);
+        if (defIndex === -1) break;
+
+        // Extract the definition block
+        const { definitionText, endIndex } = extractDefinitionBlock(content, defIndex);
+        
+        // Parse term name
+        const defLine = definitionText.split('\n')[0];
+        const termName = parseTermName(defLine);
+
+        if (termName) {
+          const filename = `${termName}.md`;
+          
+          // Check for duplicates
+          if (allDefinitions.has(filename)) {
+            result.messages.push(
+              chalk.yellow(`⚠️  Duplicate definition '${termName}' found in ${mdPath} (already in ${allDefinitions.get(filename).sourceFile})`)
+            );
+          } else {
+            allDefinitions.set(filename, {
+              defLine,
+              definitionText,
+              sourceFile: mdPath
+            });
+
+            result.definitionsFound.push({
+              term: termName,
+              sourceFile: mdPath,
+              filename
+            });
+
+            if (verbose) {
+              result.messages.push(`✅ Found: ${termName} in ${mdPath}`);
+            }
+          }
+        }
+
+        searchIndex = endIndex;
+      }
+    } catch (error) {
+      if (verbose) {
+        result.messages.push(chalk.yellow(`⚠️  Could not read ${mdPath}: ${error.message}`));
+      }
+    }
+  }
+
+  result.messages.push(`📊 Found ${allDefinitions.size} unique definitions`);
+
+  // Create individual term files
+  for (const [filename, defData] of allDefinitions) {
+    const termFilePath = path.join(termFilesDir, filename);
+    
+    if (!dryRun) {
+      await trackPath(journal, termFilePath);
+      await fs.writeFile(termFilePath, defData.definitionText + '\n');
+    }
+    
+    result.filesCreated.push(filename);
+    result.messages.push(
+      `${dryRun ? '🔍 Would create' : '✅ Created'}: ${filename}`
+    );
+  }
+}
+
 /**
  * Scan all markdown files in spec directory for [[def:]] definitions
  * and extract them to individual files in spec_terms_directory
@@ -94,13 +222,15 @@ function parseTermName(defLine) {
  * @param {string} [options.directory=process.cwd()] - Project directory containing specs.json
  * @param {boolean} [options.dryRun=false] - Preview without creating files
  * @param {boolean} [options.verbose=false] - Detailed output
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
  * @returns {Promise<Object>} Result with extracted definitions and created files
  */
 async function extractDefinitionsFromAllFiles(options = {}) {
   const {
     directory = process.cwd(),
     dryRun = false,
-    verbose = false
+    verbose = false,
+    journal = null
   } = options;
 
   const result = {
@@ -121,111 +251,8 @@ async function extractDefinitionsFromAllFiles(options = {}) {
       throw new Error('No specs configuration found in specs.json');
     }
 
-    const spec = specs.specs[0];
-    const specDirectory = spec.spec_directory || './spec';
-    const specTermsDirectory = spec.spec_terms_directory || 'terms-definitions';
-    const markdownPaths = spec.markdown_paths || [];
-
-    // Resolve paths
-    const specDir = path.join(directory, specDirectory);
-    let termFilesDir;
-    if (path.isAbsolute(specTermsDirectory)) {
-      termFilesDir = specTermsDirectory;
-    } else if (specTermsDirectory.startsWith('./') || specTermsDirectory.startsWith('../')) {
-      termFilesDir = path.join(directory, specTermsDirectory);
-    } else {
-      termFilesDir = path.join(specDir, specTermsDirectory);
-    }
-
-    if (verbose) {
-      console.log(chalk.blue('🔧 Extracting definitions from all markdown files...'));
-      console.log(chalk.blue(`📁 Spec directory: ${specDir}`));
-      console.log(chalk.blue(`📁 Terms output directory: ${termFilesDir}`));
-    }
-
-    result.messages.push(`📁 Scanning ${markdownPaths.length} markdown files`);
-
-    // Create output directory if it doesn't exist
-    if (!dryRun) {
-      await fs.mkdir(termFilesDir, { recursive: true });
-    }
-
-    // Track all definitions to avoid duplicates
-    const allDefinitions = new Map(); // Map<filename, {defLine, definitionText, sourceFile}>
-
-    // Scan each markdown file
-    for (const mdPath of markdownPaths) {
-      const fullPath = path.join(specDir, mdPath);
-      
-      try {
-        await fs.access(fullPath);
-        result.filesScanned.push(mdPath);
-
-        const content = await fs.readFile(fullPath, 'utf8');
-        
-        // Find all [[def: occurrences
-        let searchIndex = 0;
-        while (true) {
-          const defIndex = content.indexOf('[[def:', searchIndex);
-          if (defIndex === -1) break;
-
-          // Extract the definition block
-          const { definitionText, endIndex } = extractDefinitionBlock(content, defIndex);
-          
-          // Parse term name
-          const defLine = definitionText.split('\n')[0];
-          const termName = parseTermName(defLine);
-
-          if (termName) {
-            const filename = `${termName}.md`;
-            
-            // Check for duplicates
-            if (allDefinitions.has(filename)) {
-              result.messages.push(
-                chalk.yellow(`⚠️  Duplicate definition '${termName}' found in ${mdPath} (already in ${allDefinitions.get(filename).sourceFile})`)
-              );
-            } else {
-              allDefinitions.set(filename, {
-                defLine,
-                definitionText,
-                sourceFile: mdPath
-              });
-
-              result.definitionsFound.push({
-                term: termName,
-                sourceFile: mdPath,
-                filename
-              });
-
-              if (verbose) {
-                result.messages.push(`✅ Found: ${termName} in ${mdPath}`);
-              }
-            }
-          }
-
-          searchIndex = endIndex;
-        }
-      } catch (error) {
-        if (verbose) {
-          result.messages.push(chalk.yellow(`⚠️  Could not read ${mdPath}: ${error.message}`));
-        }
-      }
-    }
-
-    result.messages.push(`📊 Found ${allDefinitions.size} unique definitions`);
-
-    // Create individual term files
-    for (const [filename, defData] of allDefinitions) {
-      const termFilePath = path.join(termFilesDir, filename);
-      
-      if (!dryRun) {
-        await fs.writeFile(termFilePath, defData.definitionText + '\n');
-      }
-      
-      result.filesCreated.push(filename);
-      result.messages.push(
-        `${dryRun ? '🔍 Would create' : '✅ Created'}: ${filename}`
-      );
+    for (const spec of specs.specs) {
+      await extractDefinitionsFromSpec(directory, spec, result, { dryRun, verbose, journal });
     }
 
     result.success = true;
@@ -294,6 +321,123 @@ async function extractAllDefinitions(options = {}) {
   }
 }
 
+/**
+ * Convert the [[def:]] blocks of one spec to [[iref:]] references
+ * @param {string} directory - Project directory
+ * @param {Object} spec - Entry of the `specs` array of specs.json
+ * @param {Object} result - Conversion result that processed files, conversions and messages are added to
+ * @param {Object} options - `dryRun`, `verbose` and `journal`
+ * @returns {Promise<void>}
+ */
+async function convertSpecDefsToIrefs(directory, spec, result, { dryRun, verbose, journal }) {
+  const specDirectory = spec.spec_directory || './spec';
+  const markdownPaths = spec.markdown_paths || [];
+
+  // Resolve paths
+  const specDir = path.join(directory, specDirectory);
+
+  if (verbose) {
+    console.log(chalk.blue('🔄 Converting [[def:]] blocks to [[iref:]] references...'));
+    console.log(chalk.blue(`📁 Spec directory: ${specDir}`));
+  }
+
+  result.messages.push(`📁 Processing ${markdownPaths.length} markdown files in ${specDirectory}`);
+
+  // Process each markdown file
+  for (const mdPath of markdownPaths) {
+    const fullPath = path.join(specDir, mdPath);
+
+    try {
+      await fs.access(fullPath);
+      
+      // Read file content
+      let content = await fs.readFile(fullPath, 'utf8');
+      let modified = false;
+      let conversionsInFile = 0;
+
+      // Find all [[def: occurrences and replace with [[iref:
+      let searchIndex = 0;
+      const replacements = []; // Store replacements to apply later
+
+      while (true) {
+        const defIndex = content.indexOf('[[def:', searchIndex);
+        if (defIndex === -1) break;
+
+        // Extract the definition block
+        const { definitionText, endIndex } = extractDefinitionBlock(content, defIndex);
+        
+        // Parse the [[def: line to get the term name
+        const defLine = definitionText.split('\n')[0];
+        const termMatch = defLine.match(/\[\[def:\s*([^\],]+)/);
+        
+        if (termMatch) {
+          const termName = termMatch[1].trim();
+          
+          // Create the replacement [[iref: reference
+          const irefReplacement = `[[iref: ${termName}]]`;
+          
+          // Store this replacement
+          replacements.push({
+            start: defIndex,
+            end: endIndex,
+            original: definitionText,
+            replacement: irefReplacement,
+            termName: termName
+          });
+
+          conversionsInFile++;
+        }
+
+        searchIndex = endIndex;
+      }
+
+      // Apply replacements in reverse order to maintain indices
+      if (replacements.length > 0) {
+        modified = true;
+        
+        // Sort by start index descending
+        replacements.sort((a, b) => b.start - a.start);
+        
+        // Apply each replacement
+        for (const repl of replacements) {
+          content = content.substring(0, repl.start) + repl.replacement + content.substring(repl.end);
+          
+          result.conversions.push({
+            file: mdPath,
+            term: repl.termName,
+            original: repl.original,
+            replacement: repl.replacement
+          });
+
+          if (verbose) {
+            result.messages.push(`  ✅ ${mdPath}: ${repl.termName}`);
+          }
+        }
+
+        // Write the modified content back
+        if (!dryRun) {
+          await trackPath(journal, fullPath);
+          await fs.writeFile(fullPath, content);
+        }
+
+        result.filesProcessed.push({
+          file: mdPath,
+          conversions: conversionsInFile
+        });
+
+        result.messages.push(
+          `${dryRun ? '🔍 Would convert' : '✅ Converted'} ${conversionsInFile} definition(s) in ${mdPath}`
+        );
+      }
+
+    } catch (error) {
+      if (verbose) {
+        result.messages.push(chalk.yellow(`⚠️  Could not process ${mdPath}: ${error.message}`));
+      }
+    }
+  }
+}
+
 /**
  * Convert [[def:]] blocks to [[iref:]] references in source files
  * This replaces definition blocks with inline references after extraction
@@ -301,13 +445,15 @@ async function extractAllDefinitions(options = {}) {
  * @param {string} [options.directory=process.cwd()] - Project directory
  * @param {boolean} [options.dryRun=false] - Preview mode
  * @param {boolean} [options.verbose=false] - Detailed output
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
  * @returns {Promise<Object>} Conversion result
  */
 async function convertDefsToIrefs(options = {}) {
   const {
     directory = process.cwd(),
     dryRun = false,
-    verbose = false
+    verbose = false,
+    journal = null
   } = options;
 
   const result = {
@@ -327,111 +473,8 @@ async function convertDefsToIrefs(options = {}) {
       throw new Error('No specs configuration found in specs.json');
     }
 
-    const spec = specs.specs[0];
-    const specDirectory = spec.spec_directory || './spec';
-    const markdownPaths = spec.markdown_paths || [];
-
-    // Resolve paths
-    const specDir = path.join(directory, specDirectory);
-
-    if (verbose) {
-      console.log(chalk.blue('🔄 Converting [[def:]] blocks to [[iref:]] references...'));
-      console.log(chalk.blue(`📁 Spec directory: ${specDir}`));
-    }
-
-    result.messages.push(`📁 Processing ${markdownPaths.length} markdown files`);
-
-    // Process each markdown file
-    for (const mdPath of markdownPaths) {
-      const fullPath = path.join(specDir, mdPath);
-
-      try {
-        await fs.access(fullPath);
-        
-        // Read file content
-        let content = await fs.readFile(fullPath, 'utf8');
-        let modified = false;
-        let conversionsInFile = 0;
-
-        // Find all [[def: occurrences and replace with [[iref:
-        let searchIndex = 0;
-        const replacements = []; // Store replacements to apply later
-
-        while (true) {
-          const defIndex = content.indexOf('[[def:', searchIndex);
-          if (defIndex === -1) break;
-
-          // Extract the definition block
-          const { definitionText, endIndex } = extractDefinitionBlock(content, defIndex);
-          
-          // Parse the [[def: line to get the term name
-          const defLine = definitionText.split('\n')[0];
-          const termMatch = defLine.match(/\[\[def:\s*([^\],]+)/);
-          
-          if (termMatch) {
-            const termName = termMatch[1].trim();
-            
-            // Create the replacement [[iref: reference
-            const irefReplacement = `[[iref: ${termName}]]`;
-            
-            // Store this replacement
-            replacements.push({
-              start: defIndex,
-              end: endIndex,
-              original: definitionText,
-              replacement: irefReplacement,
-              termName: termName
-            });
-
-            conversionsInFile++;
-          }
-
-          searchIndex = endIndex;
-        }
-
-        // Apply replacements in reverse order to maintain indices
-        if (replacements.length > 0) {
-          modified = true;
-          
-          // Sort by start index descending
-          replacements.sort((a, b) => b.start - a.start);
-          
-          // Apply each replacement
-          for (const repl of replacements) {
-            content = content.substring(0, repl.start) + repl.replacement + content.substring(repl.end);
-            
-            result.conversions.push({
-              file: mdPath,
-              term: repl.termName,
-              original: repl.original,
-              replacement: repl.replacement
-            });
-
-            if (verbose) {
-              result.messages.push(`  ✅ ${mdPath}: ${repl.termName}`);
-            }
-          }
-
-          // Write the modified content back
-          if (!dryRun) {
-            await fs.writeFile(fullPath, content);
-          }
-
-          result.filesProcessed.push({
-            file: mdPath,
-            conversions: conversionsInFile
-          });
-
-          result.messages.push(
-            `${dryRun ? '🔍 Would convert' : '✅ Converted'} ${conversionsInFile} definition(s) in ${mdPath}`
-          );
-        }
-
-      } catch (error) {
-        if (verbose) {
-          result.messages.push(chalk.yellow(`⚠️  Could not process ${mdPath}: ${error.message}`));
-        }
-      }
+    for (const spec of specs.specs) {
+      await convertSpecDefsToIrefs(directory, spec, result, { dryRun, verbose, journal });
     }
 
     result.messages.push(`📊 Total conversions: ${result.conversions.length} [[def:]] → [[iref:]]`);
@@ -502,25 +545,207 @@ async function convertDefinitionsToIrefs(options = {}) {
 }
 
 /**
- * Process definitions: Extract all [[def:]] from markdown files and convert them to [[iref:]]
+ * List the keys of the external specs of a spec, in Spec-Up (`{ "PE": url }`) or Spec-Up-T (`external_spec`) form
+ * @param {Object} spec - Entry of the `specs` array of specs.json
+ * @returns {Array<string>} External spec keys
+ */
+function listExternalSpecKeys(spec) {
+  return (spec.external_specs || []).flatMap(entry => {
+    if (!entry || typeof entry !== 'object') {
+      return [];
+    }
+    return typeof entry.external_spec === 'string' ? [entry.external_spec] : Object.keys(entry);
+  });
+}
+
+/**
+ * Convert the [[ref:]] and [[xref:]] references of one spec to their Spec-Up-T forms
+ * Processes the markdown files and the term files of the spec; terms are looked up in both, so it does not matter
+ * whether the definitions were already extracted.
+ * @param {string} directory - Project directory
+ * @param {Object} spec - Entry of the `specs` array of specs.json
+ * @param {Object} result - Conversion result that processed files, conversions, unresolved references and messages are added to
+ * @param {Object} options - `dryRun`, `verbose` and `journal`
+ * @returns {Promise<void>}
+ */
+async function convertSpecReferences(directory, spec, result, { dryRun, verbose, journal }) {
+  const specDir = path.join(directory, spec.spec_directory || './spec');
+  const termFilesDir = resolveTermsDirectory(directory, spec);
+  const termFiles = fsSync.existsSync(termFilesDir)
+    ? (await fs.readdir(termFilesDir)).filter(file => file.endsWith('.md')).sort()
+    : [];
+
+  const files = [
+    ...(spec.markdown_paths || []).map(mdPath => ({ fullPath: path.join(specDir, mdPath), inTermsFile: false })),
+    ...termFiles.map(file => ({ fullPath: path.join(termFilesDir, file), inTermsFile: true }))
+  ];
+
+  const contents = new Map();
+  for (const file of files) {
+    try {
+      contents.set(file.fullPath, await fs.readFile(file.fullPath, 'utf8'));
+    } catch (error) {
+      if (verbose) {
+        result.messages.push(chalk.yellow(`⚠️  Could not process ${path.relative(directory, file.fullPath)}: ${error.message}`));
+      }
+    }
+  }
+
+  const definedTerms = new Set([...contents.values()].flatMap(collectDefinedTerms));
+  const externalSpecs = listExternalSpecKeys(spec);
+
+  result.messages.push(`📁 Checking references in ${contents.size} files of ${spec.spec_directory || './spec'}`);
+
+  for (const { fullPath, inTermsFile } of files) {
+    if (!contents.has(fullPath)) {
+      continue;
+    }
+    const file = path.relative(directory, fullPath);
+    const converted = convertReferenceSyntax(contents.get(fullPath), { externalSpecs, definedTerms, inTermsFile });
+
+    converted.unresolved.forEach(reference => result.unresolved.push({ file, ...reference }));
+    if (converted.conversions.length === 0) {
+      continue;
+    }
+
+    converted.conversions.forEach(conversion => {
+      result.conversions.push({ file, ...conversion });
+      if (verbose) {
+        result.messages.push(`  ✅ ${file}: ${conversion.original} → ${conversion.replacement}`);
+      }
+    });
+
+    if (!dryRun) {
+      await trackPath(journal, fullPath);
+      await fs.writeFile(fullPath, converted.content);
+    }
+
+    result.filesProcessed.push({ file, conversions: converted.conversions.length });
+    result.messages.push(
+      `${dryRun ? '🔍 Would convert' : '✅ Converted'} ${converted.conversions.length} reference(s) in ${file}`
+    );
+  }
+}
+
+/**
+ * Convert Spec-Up [[ref:]] and [[xref:]] references to their Spec-Up-T forms in all specs
+ * References that cannot be resolved are left as written and listed in `unresolved`.
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.directory=process.cwd()] - Project directory
+ * @param {boolean} [options.dryRun=false] - Preview mode
+ * @param {boolean} [options.verbose=false] - Detailed output
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
+ * @returns {Promise<Object>} Conversion result with `filesProcessed`, `conversions` and `unresolved`, each reference
+ * with the `file` it is in
+ */
+async function convertReferences(options = {}) {
+  const {
+    directory = process.cwd(),
+    dryRun = false,
+    verbose = false,
+    journal = null
+  } = options;
+
+  const result = {
+    success: false,
+    filesProcessed: [],
+    conversions: [],
+    unresolved: [],
+    messages: []
+  };
+
+  try {
+    const specs = JSON.parse(await fs.readFile(getSpecsJsonPath(directory), 'utf8'));
+
+    if (!specs.specs || !Array.isArray(specs.specs) || specs.specs.length === 0) {
+      throw new Error('No specs configuration found in specs.json');
+    }
+
+    for (const spec of specs.specs) {
+      await convertSpecReferences(directory, spec, result, { dryRun, verbose, journal });
+    }
+
+    result.unresolved.forEach(({ file, reference, reason }) => {
+      result.messages.push(`⚠️  Unresolved ${reference} in ${file}: ${reason}`);
+    });
+    result.messages.push(`📊 Total conversions: ${result.conversions.length} reference(s), ${result.unresolved.length} unresolved`);
+    result.success = true;
+    result.messages.push(
+      chalk.green(`✅ Reference conversion ${dryRun ? 'simulation ' : ''}completed: ${result.conversions.length} references converted`)
+    );
+
+  } catch (error) {
+    result.messages.push(chalk.red(`❌ Error during reference conversion: ${error.message}`));
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Main function to convert Spec-Up references to Spec-Up-T references
+ * Entry point for the convert-references command
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.directory=process.cwd()] - Project directory
+ * @param {boolean} [options.dryRun=false] - Preview mode
+ * @param {boolean} [options.verbose=false] - Detailed output
+ * @returns {Promise<Object>} Conversion result
+ */
+async function convertReferencesToSpecUpT(options = {}) {
+  const {
+    directory = process.cwd(),
+    dryRun = false,
+    verbose = false
+  } = options;
+
+  try {
+    if (verbose) {
+      console.log(chalk.blue('🚀 Starting [[ref:]]/[[xref:]] conversion...'));
+    }
+
+    const result = await convertReferences({ directory, dryRun, verbose });
+
+    result.messages.forEach(message => {
+      if (message.startsWith('⚠️')) {
+        console.log(chalk.yellow(message));
+      } else if (message.startsWith('🔍') || message.startsWith('📁') || message.startsWith('📊')) {
+        console.log(chalk.blue(message));
+      } else {
+        console.log(message);
+      }
+    });
+
+    return result;
+  } catch (error) {
+    console.error(chalk.red(`❌ Reference conversion error: ${error.message}`));
+    throw error;
+  }
+}
+
+/**
+ * Process definitions: Extract all [[def:]] from markdown files, convert them to [[iref:]] and convert the
+ * [[ref:]]/[[xref:]] references to their Spec-Up-T forms
  * This is the recommended workflow that combines extraction and conversion in one operation
  * @param {Object} [options={}] - Processing options
  * @param {string} [options.directory=process.cwd()] - Project directory
  * @param {boolean} [options.dryRun=false] - Preview mode
  * @param {boolean} [options.verbose=false] - Detailed output
- * @returns {Promise<Object>} Processing result with both extraction and conversion results
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
+ * @returns {Promise<Object>} Processing result with the extraction, conversion and reference conversion results
  */
 async function processDefinitions(options = {}) {
   const {
     directory = process.cwd(),
     dryRun = false,
-    verbose = false
+    verbose = false,
+    journal = null
   } = options;
 
   const overallResult = {
     success: false,
     extraction: null,
     conversion: null,
+    references: null,
     messages: []
   };
 
@@ -529,11 +754,12 @@ async function processDefinitions(options = {}) {
     console.log('');
 
     // Step 1: Extract all definitions
-    console.log(chalk.blue('📖 Step 1/2: Extracting definitions...'));
+    console.log(chalk.blue('📖 Step 1/3: Extracting definitions...'));
     const extractionResult = await extractDefinitionsFromAllFiles({
       directory,
       dryRun,
-      verbose
+      verbose,
+      journal
     });
 
     overallResult.extraction = extractionResult;
@@ -548,11 +774,12 @@ async function processDefinitions(options = {}) {
     console.log('');
 
     // Step 2: Convert definitions to irefs
-    console.log(chalk.blue('🔄 Step 2/2: Converting [[def:]] to [[iref:]]...'));
+    console.log(chalk.blue('🔄 Step 2/3: Converting [[def:]] to [[iref:]]...'));
     const conversionResult = await convertDefsToIrefs({
       directory,
       dryRun,
-      verbose
+      verbose,
+      journal
     });
 
     overallResult.conversion = conversionResult;
@@ -567,12 +794,35 @@ async function processDefinitions(options = {}) {
     console.log(chalk.green(`✅ Converted ${conversionResult.conversions.length} definitions to [[iref:]]`));
     console.log('');
 
+    // Step 3: Convert references to their Spec-Up-T forms
+    console.log(chalk.blue('🔗 Step 3/3: Converting [[ref:]]/[[xref:]] references...'));
+    const referencesResult = await convertReferences({
+      directory,
+      dryRun,
+      verbose,
+      journal
+    });
+
+    overallResult.references = referencesResult;
+
+    console.log('');
+    console.log(chalk.green(`✅ Converted ${referencesResult.conversions.length} references`));
+    if (referencesResult.unresolved.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${referencesResult.unresolved.length} reference(s) could not be resolved`));
+      referencesResult.unresolved.forEach(({ file, reference, reason }) => {
+        console.log(chalk.yellow(`   ${file}: ${reference} (${reason})`));
+      });
+    }
+    console.log('');
+
     overallResult.success = true;
     overallResult.messages.push(chalk.green('🎉 Definition processing completed successfully!'));
     overallResult.messages.push('');
     overallResult.messages.push(chalk.blue('Summary:'));
     overallResult.messages.push(chalk.gray(`  Definitions extracted: ${extractionResult.filesCreated.length}`));
     overallResult.messages.push(chalk.gray(`  Definitions converted to [[iref:]]: ${conversionResult.conversions.length}`));
+    overallResult.messages.push(chalk.gray(`  References converted: ${referencesResult.conversions.length}`));
+    overallResult.messages.push(chalk.gray(`  Unresolved references: ${referencesResult.unresolved.length}`));
     overallResult.messages.push('');
     overallResult.messages.push(chalk.blue('Next steps:'));
     overallResult.messages.push(chalk.gray('  1. Review the extracted term files in spec_terms_directory'));
@@ -592,6 +842,8 @@ module.exports = {
   extractDefinitionsFromAllFiles,
   convertDefinitionsToIrefs,
   convertDefsToIrefs,
+  convertReferencesToSpecUpT,
+  convertReferences,
   processDefinitions,
   extractDefinitionBlock,
   parseTermName,
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Persisted progress of a complete migration, used to resume an interrupted run
+ * @module lib/state
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description `completeMigration()` writes `.spec-up-migrate/state.json` after every phase. When the
+ * process is interrupted (for example with Ctrl-C during `npm install`), `complete --resume` reads the
+ * file back and skips the phases that already completed successfully.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, safeJsonParse, getToolPath } = require('./utils');
+
+/**
+ * Options of the interrupted run that a resumed run reuses
+ */
+const RESUMED_OPTIONS = ['skipBackup', 'skipInstall', 'skipDetection', 'branch', 'commitPhases', 'offline', 'boilerplateRef', 'boilerplateDir', 'scriptsStrategy', 'multiSpec', 'externalSpecsDir'];
+
+/**
+ * Get the location of the state file of a project
+ * @param {string} directory - Project root directory
+ * @returns {string} Absolute path of `state.json`
+ */
+function getStatePath(directory) {
+  return getToolPath(directory, 'state.json');
+}
+
+/**
+ * Start the state of a new migration run
+ * @param {string} directory - Project root directory
+ * @param {Object} options - completeMigration() options; only the ones a resumed run needs are kept
+ * @returns {Object} State object with `status` set to `running` and no phases
+ */
+function createState(directory, options) {
+  const now = new Date().toISOString();
+  return {
+    directory: path.resolve(directory),
+    startedAt: now,
+    updatedAt: now,
+    status: 'running',
+    options: Object.fromEntries(RESUMED_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]])),
+    phases: []
+  };
+}
+
+/**
+ * Load the state of the last migration run of a project
+ * @param {string} directory - Project root directory
+ * @returns {Promise<Object|null>} State object, or null when there is none
+ */
+async function loadState(directory) {
+  const absoluteDir = path.resolve(directory);
+  const file = getStatePath(absoluteDir);
+
+  if (!await fileExists(file)) {
+    return null;
+  }
+
+  const data = safeJsonParse(await fs.readFile(file, 'utf8'), null);
+  if (!data || !Array.isArray(data.phases)) {
+    return null;
+  }
+
+  return { ...data, directory: absoluteDir };
+}
+
+/**
+ * Persist a state object
+ * @param {Object} state - State object
+ * @returns {Promise<void>}
+ */
+async function saveState(state) {
+  const file = getStatePath(state.directory);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  state.updatedAt = new Date().toISOString();
+  const { directory, ...data } = state;
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Remove the state file of a project
+ * @param {string} directory - Project root directory
+ * @returns {Promise<void>}
+ */
+async function clearState(directory) {
+  await fs.rm(getStatePath(directory), { force: true });
+}
+
+/**
+ * Find a phase that an earlier run finished, so a resumed run can skip it
+ * Phases that failed are not returned, and neither are optional phases that failed.
+ * @param {Object|null} state - State object
+ * @param {string} name - Phase name
+ * @returns {Object|undefined} The recorded phase
+ */
+function findCompletedPhase(state, name) {
+  return state ? state.phases.find(phase => phase.name === name && phase.success) : undefined;
+}
+
+module.exports = {
+  createState,
+  loadState,
+  saveState,
+  clearState,
+  findCompletedPhase
+};
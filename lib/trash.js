@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Reversible removal of obsolete files by moving them into a project-local trash
+ * @module lib/trash
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Each cleanup run gets its own batch directory `.spec-up-migrate/trash/<timestamp>/`
+ * in which removed items keep their project-relative path. A `trash.json` file in the batch lists
+ * the items so they can be moved back.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, getToolPath, createTimestampName, getDirectorySize } = require('./utils');
+
+/**
+ * Name of the item list written into every trash batch
+ */
+const TRASH_INDEX_FILE = 'trash.json';
+
+/**
+ * Create a new, empty trash batch for a project
+ * @param {string} directory - Project root directory
+ * @returns {Object} Batch object with `directory`, `name`, `path` and `items`
+ */
+function createTrashBatch(directory) {
+  const name = createTimestampName();
+  return {
+    directory: path.resolve(directory),
+    name,
+    path: getToolPath(directory, 'trash', name),
+    items: []
+  };
+}
+
+/**
+ * Move a project path into a trash batch, keeping its relative location
+ * @param {Object} batch - Batch object from createTrashBatch()
+ * @param {Object} item - Item with project-relative `path`, `type` and `reason`
+ * @returns {Promise<string>} Location of the item inside the trash
+ * @throws {Error} When the item cannot be moved
+ */
+async function moveToTrash(batch, item) {
+  const trashPath = path.join(batch.path, item.path);
+  await fs.mkdir(path.dirname(trashPath), { recursive: true });
+  await fs.rename(path.join(batch.directory, item.path), trashPath);
+
+  batch.items.push({ path: item.path, type: item.type, reason: item.reason });
+  await fs.writeFile(
+    path.join(batch.path, TRASH_INDEX_FILE),
+    JSON.stringify({ createdAt: new Date().toISOString(), items: batch.items }, null, 2)
+  );
+
+  return trashPath;
+}
+
+/**
+ * List the trash batches of a project, oldest first
+ * @param {string} [directory='.'] - Project root directory
+ * @returns {Promise<Array<Object>>} Batches with `name`, `path`, `createdAt` and `items`
+ */
+async function listTrash(directory = '.') {
+  const root = getToolPath(directory, 'trash');
+  if (!await fileExists(root)) {
+    return [];
+  }
+
+  const batches = [];
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  for (const entry of entries) {
+    const indexPath = path.join(root, entry.name, TRASH_INDEX_FILE);
+    if (entry.isDirectory() && await fileExists(indexPath)) {
+      const index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+      batches.push({ name: entry.name, path: path.join(root, entry.name), ...index });
+    }
+  }
+
+  return batches.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Permanently delete everything in the trash of a project
+ * @param {string} [directory='.'] - Project root directory
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+ * @returns {Promise<Object>} Result with the deleted batches and the space freed
+ */
+async function emptyTrash(directory = '.', options = {}) {
+  const { dryRun = false } = options;
+  const root = getToolPath(directory, 'trash');
+  const batches = await listTrash(directory);
+  const size = await getDirectorySize(root);
+
+  if (!dryRun) {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+
+  return {
+    directory: path.resolve(directory),
+    batches,
+    dryRun,
+    summary: {
+      batches: batches.length,
+      items: batches.reduce((sum, batch) => sum + batch.items.length, 0),
+      sizeFreed: dryRun ? 0 : size
+    }
+  };
+}
+
+/**
+ * Move the items of a trash batch back into the project
+ * Items whose original location is occupied again are left in the trash and reported.
+ * @param {string} [directory='.'] - Project root directory
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.batch] - Batch name to restore, defaults to the latest
+ * @param {boolean} [options.dryRun=false] - Only report what would be restored
+ * @returns {Promise<Object>} Result with per-item status and summary
+ * @throws {Error} When the trash is empty or the named batch does not exist
+ * @example
+ * const result = await restoreTrash('./my-project');
+ * console.log(`Restored ${result.summary.restored} items`);
+ */
+async function restoreTrash(directory = '.', options = {}) {
+  const absoluteDir = path.resolve(directory);
+  const { batch: batchName = null, dryRun = false } = options;
+  const batches = await listTrash(absoluteDir);
+  const batch = batchName ? batches.find(b => b.name === batchName) : batches[batches.length - 1];
+
+  if (!batch) {
+    throw new Error(batchName ? `Trash batch not found: ${batchName}` : 'The trash is empty');
+  }
+
+  const items = [];
+  for (const item of batch.items) {
+    const targetPath = path.join(absoluteDir, item.path);
+    const result = { path: item.path, type: item.type, restored: false };
+
+    if (await fileExists(targetPath)) {
+      result.error = 'A file or directory already exists at the original location';
+    } else if (!dryRun) {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.rename(path.join(batch.path, item.path), targetPath);
+      result.restored = true;
+    }
+
+    items.push(result);
+  }
+
+  const remaining = batch.items.filter(item => !items.find(i => i.path === item.path).restored);
+  if (!dryRun && remaining.length === 0) {
+    await fs.rm(batch.path, { recursive: true, force: true });
+  } else if (!dryRun) {
+    await fs.writeFile(
+      path.join(batch.path, TRASH_INDEX_FILE),
+      JSON.stringify({ createdAt: batch.createdAt, items: remaining }, null, 2)
+    );
+  }
+
+  return {
+    directory: absoluteDir,
+    batch: batch.name,
+    items,
+    dryRun,
+    summary: {
+      total: items.length,
+      restored: items.filter(i => i.restored).length,
+      conflicts: items.filter(i => i.error).length
+    }
+  };
+}
+
+module.exports = {
+  createTrashBatch,
+  moveToTrash,
+  listTrash,
+  emptyTrash,
+  restoreTrash,
+  TRASH_INDEX_FILE
+};
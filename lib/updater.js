@@ -8,8 +8,24 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const https = require('https');
-const { fileExists, safeJsonParse } = require('./utils');
+const { fileExists, safeJsonParse, readSpecDirectories, readSpecTermsDirectories, TOOL_DIRECTORY } = require('./utils');
+const { trackPath, makeDirectory } = require('./journal');
+const { loadMigrateConfig } = require('./config');
+const { fetchText } = require('./fetch');
+const { createUnifiedDiff } = require('./diff');
+const { classifyDependencies, buildDependencies, DEPENDENCY_SECTIONS } = require('./dependencies');
+const { convertExternalSpecs, DEFAULT_TERMS_DIRECTORY } = require('./external-specs');
+const { validateSpecsJson, assertValidSpecsJson, formatSchemaError } = require('./schema');
+const {
+  readSnapshotFile,
+  createBoilerplateSource,
+  assertSnapshotRef,
+  assertBoilerplateDirectory,
+  compareWithSnapshot,
+  parseScriptsConfig,
+  summarizeBoilerplateSource,
+  BOILERPLATE_FILES
+} = require('./boilerplate');
 
 /**
  * Repository configuration for external dependencies
@@ -37,6 +53,7 @@ const REPO_CONFIG = {
  * @param {string} repo.name - Repository name
  * @param {string} repo.branch - Git branch name
  * @param {string} filePath - Path to the file within the repository
+ * @param {string} [ref] - Tag or commit SHA to read the file at instead of the head of `repo.branch`
  * @returns {string} Full GitHub raw content URL
  * @example
  * const url = generateGitHubRawUrl(
@@ -44,8 +61,9 @@ const REPO_CONFIG = {
  *   'src/install-from-boilerplate/boilerplate/specs.json'
  * );
  */
-function generateGitHubRawUrl(repo, filePath) {
-  return `https://raw.githubusercontent.com/${repo.owner}/${repo.name}/refs/heads/${repo.branch}/${filePath}`;
+function generateGitHubRawUrl(repo, filePath, ref = null) {
+  const revision = ref || `refs/heads/${repo.branch}`;
+  return `https://raw.githubusercontent.com/${repo.owner}/${repo.name}/${revision}/${filePath}`;
 }
 
 /**
@@ -64,282 +82,225 @@ function generateGitHubRepoUrl(repo) {
 }
 
 /**
- * Generate fallback specification configuration for Spec-Up-T when remote fetching fails
- * @returns {Object} Complete fallback spec configuration object with default settings
- * @description Provides a working configuration that matches the remote boilerplate structure
- * @example
- * const fallbackConfig = generateFallbackSpecConfig();
- * // Returns a complete spec configuration with title, author, directories, etc.
+ * Read a boilerplate file from upstream, a local boilerplate directory, or the vendored snapshot
+ * Every file is read once per source; fetched and local files are compared with their snapshot copy.
+ * @param {Object} source - Boilerplate source from createBoilerplateSource()
+ * @param {string} filePath - Path relative to the root of the spec-up-t repository
+ * @returns {Promise<string>} File content
+ * @throws {Error} When the file can be neither fetched nor read from the snapshot
  */
-function generateFallbackSpecConfig() {
-  return {
-    "title": "Spec-Up-T Starterpack",
-    "description": "Create technical specifications in markdown. Based on the original Spec-Up, extended with Terminology tooling",
-    "author": "Trust over IP Foundation",
-    "spec_directory": "./spec",
-    "spec_terms_directory": "terms-definitions",
-    "output_path": "./docs",
-    "markdown_paths": [
-      "terms-and-definitions-intro.md"
-    ],
-    "logo": generateGitHubRawUrl(
-      REPO_CONFIG.TRUSTOVERIP_SPEC_UP_T_REPO,
-      'src/install-from-boilerplate/boilerplate/static/logo.svg'
-    ),
-    "logo_link": generateGitHubRepoUrl(REPO_CONFIG.TRUSTOVERIP_SPEC_UP_T_REPO),
-    "favicon": generateGitHubRawUrl(
-      REPO_CONFIG.TRUSTOVERIP_SPEC_UP_T_REPO,
-      'src/install-from-boilerplate/boilerplate/static/favicon.ico'
-    ),
-    "source": {
-      "host": "github",
-      "account": "trustoverip",
-      "repo": "spec-up-t-starter-pack"
-    },
-    "external_specs": [
-      {
-        "external_spec": "vLEI",
-        "gh_page": "https://henkvancann.github.io/vlei-glossary/",
-        "url": "https://github.com/henkvancann/vlei-glossary",
-        "terms_dir": "spec/terms-definitions"
-      },
-      {
-        "external_spec": "KERISuite",
-        "gh_page": "https://weboftrust.github.io/kerisuite-glossary/",
-        "url": "https://github.com/weboftrust/kerisuite-glossary",
-        "terms_dir": "spec/terms-definitions"
-      },
-      {
-        "external_spec": "ToIP",
-        "gh_page": "https://glossary.trustoverip.org/",
-        "url": "https://github.com/trustoverip/ctwg-main-glossary",
-        "terms_dir": "spec/terms-definitions"
-      },
-      {
-        "external_spec": "GenIT",
-        "gh_page": "https://trustoverip.github.io/ctwg-general-glossary/",
-        "url": "https://github.com/trustoverip/ctwg-general-glossary",
-        "terms_dir": "spec/terms-definitions"
-      }
-    ],
-    "katex": false
-  };
+async function readBoilerplateFile(source, filePath) {
+  if (source.cache.has(filePath)) {
+    return source.cache.get(filePath);
+  }
+
+  const snapshotContent = await readSnapshotFile(filePath);
+  let entry;
+  if (source.offline) {
+    if (snapshotContent === null) {
+      throw new Error(`${filePath} is not part of the boilerplate snapshot`);
+    }
+    entry = { path: filePath, origin: 'snapshot', content: snapshotContent };
+  } else if (source.directory) {
+    entry = await readLocalBoilerplateFile(source.directory, filePath, snapshotContent);
+  } else {
+    entry = await fetchBoilerplateFile(source, filePath, snapshotContent);
+  }
+
+  const { content, ...record } = entry;
+  source.files.push(record);
+  source.cache.set(filePath, content);
+  return content;
 }
 
 /**
- * Fetch JSON data from a URL
- * @param {string} url - URL to fetch from
- * @returns {Promise<Object>} - Parsed JSON data
+ * Read a boilerplate file from a local spec-up-t checkout or installed package
+ * @param {string} directory - Absolute path of the checkout or `node_modules/spec-up-t`
+ * @param {string} filePath - Path relative to the root of the spec-up-t repository
+ * @param {string|null} snapshotContent - Snapshot copy of the file, for the drift comparison
+ * @returns {Promise<Object>} Entry with `path`, `origin` (`local`), `content` and the snapshot comparison
+ * @throws {Error} When the directory does not contain the file
  */
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
+async function readLocalBoilerplateFile(directory, filePath, snapshotContent) {
+  const file = path.join(directory, filePath);
+  if (!await fileExists(file)) {
+    throw new Error(`${filePath} not found in boilerplate directory ${directory}`);
+  }
+  const content = await fs.readFile(file, 'utf8');
+  return { path: filePath, origin: 'local', content, ...compareWithSnapshot(filePath, content, snapshotContent, 'local') };
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+/**
+ * Fetch a boilerplate file from upstream, falling back to its snapshot copy
+ * With a pinned `ref` a failed fetch is an error, because the snapshot may hold a different version of the file.
+ * @param {Object} source - Boilerplate source from createBoilerplateSource()
+ * @param {string} filePath - Path relative to the root of the spec-up-t repository
+ * @param {string|null} snapshotContent - Snapshot copy of the file
+ * @returns {Promise<Object>} Entry with `path`, `origin` (`upstream` or `snapshot`), `content` and the snapshot
+ * comparison or the `reason` the fetch failed
+ * @throws {Error} When fetching fails and the snapshot cannot stand in
+ */
+async function fetchBoilerplateFile(source, filePath, snapshotContent) {
+  try {
+    const fetched = await fetchText(generateGitHubRawUrl(REPO_CONFIG.SPEC_UP_T_REPO, filePath, source.ref));
+    return { path: filePath, origin: 'upstream', content: fetched, ...compareWithSnapshot(filePath, fetched, snapshotContent) };
+  } catch (error) {
+    if (snapshotContent === null || source.ref) {
+      throw error;
+    }
+    return { path: filePath, origin: 'snapshot', content: snapshotContent, reason: error.message };
+  }
+}
 
-      res.on('end', () => {
-        try {
-          const jsonData = JSON.parse(data);
-          resolve(jsonData);
-        } catch (error) {
-          reject(new Error(`Failed to parse JSON: ${error.message}`));
-        }
-      });
-    }).on('error', (error) => {
-      reject(new Error(`HTTP request failed: ${error.message}`));
-    });
-  });
+/**
+ * Work out which boilerplate the update run reads, from the options and the project configuration
+ * `options.boilerplateRef` and `options.boilerplateDir` win over `boilerplate.ref` and `boilerplate.dir` in
+ * `.spec-up-migrate.json` (or the specs.json `migrate` section); a configured `dir` is relative to the project root.
+ * @param {string} directory - Project root directory
+ * @param {Object} options - updateConfigurations() options
+ * @returns {Promise<Object>} Boilerplate source from createBoilerplateSource()
+ * @throws {Error} When the ref is malformed, the directory is not a spec-up-t boilerplate, sources are combined,
+ * or offline mode is asked for a ref the snapshot was not taken at
+ */
+async function resolveBoilerplateSource(directory, options) {
+  const { config } = await loadMigrateConfig(directory);
+  const settings = config.boilerplate || {};
+  const { offline = false, boilerplateRef = settings.ref || null, boilerplateDir = settings.dir || null } = options;
+
+  if (boilerplateDir !== null) {
+    if (offline || boilerplateRef !== null) {
+      throw new Error('A boilerplate directory cannot be combined with offline mode or a boilerplate ref');
+    }
+    return createBoilerplateSource({ directory: await assertBoilerplateDirectory(path.resolve(directory, boilerplateDir)) });
+  }
+  if (boilerplateRef !== null && (!/^\w[\w./-]*$/.test(boilerplateRef) || boilerplateRef.includes('..'))) {
+    throw new Error(`Invalid boilerplate ref "${boilerplateRef}"; expected a tag, branch or commit SHA`);
+  }
+  if (offline && boilerplateRef !== null) {
+    await assertSnapshotRef(boilerplateRef);
+  }
+  return createBoilerplateSource({ offline, ref: boilerplateRef });
 }
 
 /**
- * Fetch GitHub files from remote boilerplate
- * @returns {Promise<Array<Object>>} - Array of GitHub file objects with path and content
+ * Read every boilerplate file of a source into its cache up front
+ * `complete` does this before cleanup, which removes a boilerplate directory inside the project such as
+ * `node_modules/spec-up-t`. Files the source cannot provide are left out, so reading them later fails as before.
+ * @param {Object} source - Boilerplate source from resolveBoilerplateSource()
+ * @returns {Promise<Object>} The source
  */
-async function fetchGitHubFiles() {
-  // Known GitHub workflow files from the boilerplate directory
-  const boilerplateGithubFiles = [
-    'src/install-from-boilerplate/boilerplate/.github/workflows/menu.yml',
-    'src/install-from-boilerplate/boilerplate/.github/workflows/set-gh-pages.yml'
-  ];
+async function preloadBoilerplateFiles(source) {
+  const filePaths = [BOILERPLATE_FILES.specs, BOILERPLATE_FILES.gitignore, BOILERPLATE_FILES.scriptsConfig, ...BOILERPLATE_FILES.workflows];
+  for (const filePath of filePaths) {
+    await readBoilerplateFile(source, filePath).catch(() => null);
+  }
+  return source;
+}
 
-  const fetchedFiles = [];
+/**
+ * Describe the boilerplate a source reads from, for change messages
+ * @param {Object} source - Boilerplate source from createBoilerplateSource()
+ * @returns {string} `boilerplate snapshot`, `boilerplate directory <path>` or `remote boilerplate`
+ */
+function describeBoilerplateSource(source) {
+  if (source.offline) {
+    return 'boilerplate snapshot';
+  }
+  return source.directory ? `boilerplate directory ${source.directory}` : 'remote boilerplate';
+}
 
-  for (const boilerplatePath of boilerplateGithubFiles) {
-    try {
-      const fileUrl = generateGitHubRawUrl(
-        REPO_CONFIG.SPEC_UP_T_REPO,
-        boilerplatePath
-      );
+/**
+ * Describe where a boilerplate file was read from, for change messages
+ * @param {Object} source - Boilerplate source from createBoilerplateSource()
+ * @param {string} filePath - Path relative to the root of the spec-up-t repository
+ * @returns {string} Description such as `remote boilerplate` or `boilerplate snapshot (offline)`
+ */
+function describeBoilerplateOrigin(source, filePath) {
+  const file = source.files.find(entry => entry.path === filePath);
+  if (!file || file.origin === 'upstream') {
+    return 'remote boilerplate';
+  }
+  if (file.origin === 'local') {
+    return `boilerplate directory ${source.directory}`;
+  }
+  return source.offline ? 'boilerplate snapshot (offline)' : 'boilerplate snapshot (remote fetch failed)';
+}
 
-      const fileContent = await fetchText(fileUrl);
+/**
+ * Fetch GitHub files from the boilerplate
+ * @param {Object} [source] - Boilerplate source; defaults to upstream with the snapshot as fallback
+ * @returns {Promise<Object>} `files`, GitHub file objects with path and content, and `skipped`, the workflows the
+ * source could not provide, each with `path` and `reason`
+ */
+async function fetchGitHubFiles(source = createBoilerplateSource()) {
+  const fetchedFiles = [];
+  const skipped = [];
 
-      // Extract the relative path for the target project (remove boilerplate prefix)
-      const targetPath = boilerplatePath.replace('src/install-from-boilerplate/boilerplate/', '');
+  for (const boilerplatePath of BOILERPLATE_FILES.workflows) {
+    try {
+      const fileContent = await readBoilerplateFile(source, boilerplatePath);
 
       fetchedFiles.push({
-        path: targetPath,
+        path: toProjectPath(boilerplatePath),
         content: fileContent
       });
     } catch (error) {
-      // Skip files that don't exist in the repository - this is normal
-      // Don't log warnings for missing files as it clutters the output
+      // Reported by the caller, so an offline run without vendored workflows does not look complete
+      skipped.push({ path: toProjectPath(boilerplatePath), reason: error.message });
     }
   }
 
-  return fetchedFiles;
+  return { files: fetchedFiles, skipped };
 }
 
 /**
- * Fetch text data from a URL
- * @param {string} url - URL to fetch from
- * @returns {Promise<string>} - Text content
+ * Map a boilerplate path to the path of the file in the project
+ * @param {string} boilerplatePath - Path relative to the root of the spec-up-t repository
+ * @returns {string} Project-relative path, e.g. `.github/workflows/render-specs.yml`
  */
-function fetchText(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        resolve(data);
-      });
-    }).on('error', (error) => {
-      reject(new Error(`HTTP request failed: ${error.message}`));
-    });
-  });
+function toProjectPath(boilerplatePath) {
+  return boilerplatePath.replace('src/install-from-boilerplate/boilerplate/', '');
 }
 
 /**
- * Fetch and parse gitignore entries from remote boilerplate
+ * Fetch and parse gitignore entries from the boilerplate
+ * @param {Object} [source] - Boilerplate source; defaults to upstream with the snapshot as fallback
  * @returns {Promise<Array<string>>} - Array of gitignore entries
  */
-async function fetchGitignoreEntries() {
-  const GITIGNORE_URL = generateGitHubRawUrl(
-    REPO_CONFIG.SPEC_UP_T_REPO,
-    'src/install-from-boilerplate/boilerplate/gitignore'
-  );
-
-  try {
-    const gitignoreContent = await fetchText(GITIGNORE_URL);
-    // Parse gitignore content into array, filter out empty lines and comments
-    const entries = gitignoreContent
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line !== '' && !line.startsWith('#'));
-
-    return entries;
-  } catch (error) {
-    // Fallback to default gitignore entries
-    return [
-      'node_modules',
-      '*.log',
-      'dist',
-      '*.bak',
-      '*.tmp',
-      '.DS_Store',
-      '.env',
-      'coverage',
-      'build',
-      '.history',
-      '/.cache/'
-    ];
-  }
+async function fetchGitignoreEntries(source = createBoilerplateSource()) {
+  const gitignoreContent = await readBoilerplateFile(source, BOILERPLATE_FILES.gitignore);
+
+  // Parse gitignore content into array, filter out empty lines and comments
+  return gitignoreContent
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '' && !line.startsWith('#'));
 }
 
 /**
- * Fetch and parse scripts configuration from remote boilerplate
+ * Fetch and parse scripts configuration from the boilerplate
+ * The file is JavaScript; its object literals are parsed as data and never executed.
+ * @param {Object} [source] - Boilerplate source; defaults to upstream with the snapshot as fallback
  * @returns {Promise<Object>} - Scripts configuration object
+ * @throws {Error} When the file is not made of literals or the script maps have an unexpected shape
  */
-async function fetchScriptsConfig() {
-  const SCRIPTS_CONFIG_URL = generateGitHubRawUrl(
-    REPO_CONFIG.SPEC_UP_T_REPO,
-    'src/install-from-boilerplate/config-scripts-keys.js'
-  );
-
-  try {
-    const scriptsConfigContent = await fetchText(SCRIPTS_CONFIG_URL);
-
-    // Parse the module.exports from the config file
-    // This is a simple regex-based extraction since we know the structure
-    const configScriptsKeysMatch = scriptsConfigContent.match(/const configScriptsKeys = ({[\s\S]*?};)/);
-    const configOverwriteScriptsKeysMatch = scriptsConfigContent.match(/const configOverwriteScriptsKeys = ({[\s\S]*?};)/);
-
-    if (configScriptsKeysMatch && configOverwriteScriptsKeysMatch) {
-      // Use eval to parse the object literals (safe since we control the source)
-      // Remove the trailing semicolon before parsing
-      const configScriptsKeysStr = configScriptsKeysMatch[1].replace(/;$/, '');
-      const configOverwriteScriptsKeysStr = configOverwriteScriptsKeysMatch[1].replace(/;$/, '');
-
-      const configScriptsKeys = eval(`(${configScriptsKeysStr})`);
-      const configOverwriteScriptsKeys = eval(`(${configOverwriteScriptsKeysStr})`);
-
-      return { configScriptsKeys, configOverwriteScriptsKeys };
-    }
-
-    throw new Error('Could not parse scripts configuration');
-  } catch (error) {
-    // Fallback to default configuration
-    return {
-      configScriptsKeys: {
-        "edit": "node -e \"require('spec-up-t')()\"",
-        "render": "node --no-warnings -e \"require('spec-up-t/index.js')({ nowatch: true })\"",
-        "dev": "node -e \"require('spec-up-t')({ dev: true })\"",
-        "collectExternalReferences": "node --no-warnings -e \"require('spec-up-t/src/collect-external-references.js').collectExternalReferences()\"",
-        "topdf": "node -e \"require('spec-up-t/src/create-pdf.js')\"",
-        "todocx": "node -e \"require('spec-up-t/src/create-docx.js')\"",
-        "freeze": "node -e \"require('spec-up-t/src/freeze.js')\"",
-        "references": "node -e \"require('spec-up-t/src/references.js')\"",
-        "help": "cat ./node_modules/spec-up-t/src/install-from-boilerplate/help.txt",
-        "menu": "bash ./node_modules/spec-up-t/src/install-from-boilerplate/menu.sh",
-        "addremovexrefsource": "node --no-warnings -e \"require('spec-up-t/src/add-remove-xref-source.js')\"",
-        "configure": "node --no-warnings -e \"require('spec-up-t/src/configure.js')\"",
-        "healthCheck": "node --no-warnings -e \"require('spec-up-t/src/health-check.js')\"",
-        "custom-update": "npm update && node -e \"require('spec-up-t/src/install-from-boilerplate/custom-update.js')\""
-      },
-      configOverwriteScriptsKeys: {
-        "edit": true,
-        "render": true,
-        "dev": true,
-        "collectExternalReferences": true,
-        "topdf": true,
-        "todocx": true,
-        "freeze": true,
-        "references": true,
-        "help": true,
-        "menu": true,
-        "addremovexrefsource": true,
-        "configure": true,
-        "healthCheck": true,
-        "custom-update": true
-      }
-    };
-  }
+async function fetchScriptsConfig(source = createBoilerplateSource()) {
+  const scriptsConfigContent = await readBoilerplateFile(source, BOILERPLATE_FILES.scriptsConfig);
+  return parseScriptsConfig(scriptsConfigContent);
 }
+
 /**
- * Fetch Spec-Up-T boilerplate configuration from remote repository
+ * Fetch Spec-Up-T boilerplate configuration
+ * @param {Object} [source] - Boilerplate source; defaults to upstream with the snapshot as fallback
  * @returns {Promise<Object>} Boilerplate configuration object with specs and metadata
- * @throws {Error} When remote fetching fails and fallback is used
+ * @throws {Error} When the boilerplate specs.json is not valid JSON
  */
-async function fetchSpecUpTBoilerplate() {
-  const BOILERPLATE_URL = generateGitHubRawUrl(
-    REPO_CONFIG.SPEC_UP_T_REPO,
-    'src/install-from-boilerplate/boilerplate/specs.json'
-  );
-
+async function fetchSpecUpTBoilerplate(source = createBoilerplateSource()) {
+  const content = await readBoilerplateFile(source, BOILERPLATE_FILES.specs);
   try {
-    const boilerplateSpecs = await fetchJson(BOILERPLATE_URL);
-    return boilerplateSpecs;
+    return JSON.parse(content);
   } catch (error) {
-    // Fallback to full default configuration matching remote boilerplate structure
-    return {
-      "specs": [generateFallbackSpecConfig()]
-    };
+    throw new Error(`Failed to parse JSON: ${error.message}`);
   }
 }
 
@@ -355,7 +316,9 @@ async function fetchSpecUpTBoilerplate() {
  * @param {Object} [options={}] - Transformation options
  * @param {Object} [options.boilerplate] - Boilerplate configuration to merge
  * @param {string} [options.baseDirectory] - Base directory to discover markdown files from
- * @returns {Promise<Object>} Transformed Spec-Up-T specification object
+ * @param {Object} [options.externalSpecOptions] - `offline` and `mirrorDirectory` for convertExternalSpecs()
+ * @returns {Promise<Object>} `transformedSpec`, `changes` and `externalSpecs`, the resolution of every converted
+ * Spec-Up external spec
  */
 async function transformSpecToSpecUpT(spec, options = {}) {
   const {
@@ -363,7 +326,8 @@ async function transformSpecToSpecUpT(spec, options = {}) {
     trackChanges = false,
     specTitle = spec.title || 'spec',
     baseDirectory = null,
-    referenceMarkdownPaths = null
+    referenceMarkdownPaths = null,
+    externalSpecOptions = {}
   } = options;
 
   const transformedSpec = { ...spec };
@@ -479,44 +443,21 @@ async function transformSpecToSpecUpT(spec, options = {}) {
   }
 
   // Convert external_specs format from Spec-Up to Spec-Up-T
+  let externalSpecReport = [];
   if (transformedSpec.external_specs && Array.isArray(transformedSpec.external_specs) &&
     transformedSpec.external_specs.length > 0 &&
     typeof transformedSpec.external_specs[0] === 'object' &&
     !transformedSpec.external_specs[0].external_spec) {
 
-    const convertedExternalSpecs = [];
-
-    transformedSpec.external_specs.forEach(specGroup => {
-      Object.entries(specGroup).forEach(([key, url]) => {
-        // Extract GitHub info from URL if possible
-        let gitHubUrl = '';
-        // Use the spec's directory for terms_dir, removing ./ prefix if present
-        let specDir = transformedSpec.spec_directory || './spec';
-        if (specDir.startsWith('./')) {
-          specDir = specDir.substring(2);
-        }
-        let termsDir = `${specDir}/term-definitions`;
-
-        if (typeof url === 'string' && url.includes('github.io')) {
-          // Try to convert GitHub Pages URL to repository URL
-          const match = url.match(/https:\/\/([^.]+)\.github\.io\/([^\/]+)/);
-          if (match) {
-            const [, account, repo] = match;
-            gitHubUrl = `https://github.com/${account}/${repo}`;
-          }
-        }
-
-        convertedExternalSpecs.push({
-          "external_spec": key,
-          "gh_page": url,
-          "url": gitHubUrl || url,
-          "terms_dir": termsDir
-        });
-      });
-    });
-
-    transformedSpec.external_specs = convertedExternalSpecs;
-    if (trackChanges) changes.push(`Converted external_specs format to Spec-Up-T for ${specTitle}`);
+    const converted = await convertExternalSpecs(transformedSpec.external_specs, externalSpecOptions);
+    transformedSpec.external_specs = converted.externalSpecs;
+    externalSpecReport = converted.report;
+    if (trackChanges) {
+      changes.push(`Converted external_specs format to Spec-Up-T for ${specTitle}`);
+      externalSpecReport
+        .filter(resolution => !resolution.resolved)
+        .forEach(resolution => changes.push(`Could not resolve external spec ${resolution.external_spec} (${resolution.source}): ${resolution.reason}; terms_dir set to ${DEFAULT_TERMS_DIRECTORY}`));
+    }
   } else if (!transformedSpec.external_specs) {
     transformedSpec.external_specs = [];
     if (trackChanges) changes.push(`Added external_specs array for ${specTitle}`);
@@ -534,7 +475,7 @@ async function transformSpecToSpecUpT(spec, options = {}) {
     if (trackChanges) changes.push(`Removed assets configuration (handled differently in Spec-Up-T) for ${specTitle}`);
   }
 
-  return { transformedSpec, changes };
+  return { transformedSpec, changes, externalSpecs: externalSpecReport };
 }
 
 /**
@@ -592,8 +533,24 @@ const BOILERPLATE_CONFIG = {
  * @param {string} [directory='.'] - Directory path containing Spec-Up installation
  * @param {Object} [options={}] - Update options
  * @param {boolean} [options.dryRun=false] - Whether to perform a dry run without making changes
- * @returns {Promise<Object>} Update result with modified files and summary statistics
- * @throws {Error} When configuration update operations fail
+ * @param {Object} [options.journal] - Migration journal that records every file written, for rollback
+ * @param {boolean} [options.offline=false] - Use the vendored boilerplate snapshot instead of fetching upstream
+ * @param {string} [options.boilerplateRef] - Tag or commit SHA of spec-up-t to read the boilerplate at; defaults to
+ * `boilerplate.ref` in the project configuration, then to the head of the default branch
+ * @param {string} [options.boilerplateDir] - Local spec-up-t checkout or `node_modules/spec-up-t` to read the
+ * boilerplate from instead of GitHub; defaults to `boilerplate.dir` in the project configuration
+ * @param {Object} [options.boilerplateSource] - Source already resolved with resolveBoilerplateSource(); the offline,
+ * ref and directory options are then ignored
+ * @param {string} [options.scriptsStrategy='merge'] - How existing package.json scripts are combined with the Spec-Up-T
+ * scripts: `replace`, `merge` (overwrite only the scripts `configOverwriteScriptsKeys` flags) or `keep`
+ * @param {Object} [options.split] - Result of applyMultiSpecMode() (`lib/split-project.js`) when the other specs of a
+ * multi-spec specs.json were split into projects of their own; only the spec that stayed is kept in specs.json
+ * @param {string} [options.externalSpecsDir] - Directory with `<account>/<repo>/specs.json` copies of the repositories
+ * of external specs, read before fetching them to find their terms directory
+ * @returns {Promise<Object>} Update result with modified files and summary statistics; in dry-run mode the
+ * package.json, specs.json and .gitignore updates carry a unified `diff` of the content that would be written.
+ * `boilerplate` records the pinned ref or local directory, where every boilerplate file came from and which fetched files differ from the snapshot.
+ * @throws {Error} When configuration update operations fail or the scripts strategy is unknown
  * @example
  * // Dry run to preview changes
  * const preview = await updateConfigurations('./project', { dryRun: true });
@@ -603,54 +560,62 @@ const BOILERPLATE_CONFIG = {
  */
 async function updateConfigurations(directory = '.', options = {}) {
   const absoluteDir = path.resolve(directory);
-  const { dryRun = false } = options;
+  const { dryRun = false, journal = null, scriptsStrategy = 'merge', split = null } = options;
+  if (!SCRIPTS_STRATEGIES.includes(scriptsStrategy)) {
+    throw new Error(`Invalid scripts strategy "${scriptsStrategy}"; expected ${SCRIPTS_STRATEGIES.join(', ')}`);
+  }
+  const boilerplate = options.boilerplateSource || await resolveBoilerplateSource(absoluteDir, options);
 
   const updates = [];
   let successful = 0;
 
   // Update package.json
-  const packageResult = await updatePackageJson(absoluteDir, dryRun);
+  const packageResult = await updatePackageJson(absoluteDir, dryRun, journal, boilerplate, scriptsStrategy);
   updates.push(packageResult);
   if (packageResult.success) successful++;
 
   // Update specs.json
-  const specsResult = await updateSpecsJson(absoluteDir, dryRun);
+  const specsResult = await updateSpecsJson(absoluteDir, dryRun, journal, boilerplate, split, {
+    offline: Boolean(options.offline),
+    mirrorDirectory: options.externalSpecsDir
+  });
   updates.push(specsResult);
   if (specsResult.success) successful++;
 
   // Update .gitignore
-  const gitignoreResult = await updateGitignore(absoluteDir, dryRun);
+  const gitignoreResult = await updateGitignore(absoluteDir, dryRun, journal, boilerplate);
   updates.push(gitignoreResult);
   if (gitignoreResult.success) successful++;
 
   // Create required directories and files
-  const directoryResult = await createRequiredDirectories(absoluteDir, dryRun);
+  const directoryResult = await createRequiredDirectories(absoluteDir, dryRun, journal);
   updates.push(directoryResult);
   if (directoryResult.success) successful++;
 
   // Create asset files
-  const assetsResult = await createAssetFiles(absoluteDir, dryRun);
+  const assetsResult = await createAssetFiles(absoluteDir, dryRun, journal);
   updates.push(assetsResult);
   if (assetsResult.success) successful++;
 
   // Create root files
-  const rootFilesResult = await createRootFiles(absoluteDir, dryRun);
+  const rootFilesResult = await createRootFiles(absoluteDir, dryRun, journal);
   updates.push(rootFilesResult);
   if (rootFilesResult.success) successful++;
 
   // Create specification files if needed
-  const specFilesResult = await createSpecificationFiles(absoluteDir, dryRun);
+  const specFilesResult = await createSpecificationFiles(absoluteDir, dryRun, journal);
   updates.push(specFilesResult);
   if (specFilesResult.success) successful++;
 
   // Create GitHub workflow files
-  const gitHubFilesResult = await createGitHubFiles(absoluteDir, dryRun);
+  const gitHubFilesResult = await createGitHubFiles(absoluteDir, dryRun, journal, boilerplate);
   updates.push(gitHubFilesResult);
   if (gitHubFilesResult.success) successful++;
 
   return {
     directory: absoluteDir,
     updates,
+    boilerplate: await summarizeBoilerplateSource(boilerplate),
     summary: {
       total: updates.length,
       successful,
@@ -659,16 +624,168 @@ async function updateConfigurations(directory = '.', options = {}) {
   };
 }
 
+/**
+ * In dry-run mode, attach a unified diff of the file content that would be written to an update result
+ * @param {Object} result - Update result with `file` and `dryRun`
+ * @param {string} oldContent - Current file content ('' when the file does not exist)
+ * @param {string} newContent - Content that would be written
+ * @returns {Object} The result, with a `diff` string in dry-run mode
+ */
+function withDiffPreview(result, oldContent, newContent) {
+  if (result.dryRun) {
+    result.diff = createUnifiedDiff(oldContent, newContent, {
+      fromFile: `a/${result.file}`,
+      toFile: `b/${result.file}`
+    });
+  }
+  return result;
+}
+
+/**
+ * Ways to combine the existing package.json scripts with the Spec-Up-T scripts
+ */
+const SCRIPTS_STRATEGIES = ['replace', 'merge', 'keep'];
+
+/**
+ * Replace the existing scripts with the Spec-Up-T scripts, listing every existing script that is lost or changed
+ * @param {Object} existingScripts - Scripts of the existing package.json
+ * @param {Object} configScriptsKeys - Spec-Up-T scripts
+ * @returns {Object} `scripts` and `conflicts`
+ */
+function replaceScripts(existingScripts, configScriptsKeys) {
+  const conflicts = Object.entries(existingScripts)
+    .filter(([script, existing]) => configScriptsKeys[script] !== existing)
+    .map(([script, existing]) => ({
+      script,
+      existing,
+      boilerplate: Object.prototype.hasOwnProperty.call(configScriptsKeys, script) ? configScriptsKeys[script] : null,
+      resolution: Object.prototype.hasOwnProperty.call(configScriptsKeys, script) ? 'overwritten' : 'removed'
+    }));
+  return { scripts: { ...configScriptsKeys }, conflicts };
+}
+
+/**
+ * Combine the existing package.json scripts with the Spec-Up-T scripts
+ * - `replace`: only the Spec-Up-T scripts remain
+ * - `merge`: missing Spec-Up-T scripts are added and existing ones are overwritten only when
+ *   `configOverwriteScriptsKeys` flags them; scripts Spec-Up-T does not know are kept
+ * - `keep`: missing Spec-Up-T scripts are added and every existing script is left as it is
+ * @param {Object} existingScripts - Scripts of the existing package.json
+ * @param {Object} scriptsConfig - `configScriptsKeys` and `configOverwriteScriptsKeys` from fetchScriptsConfig()
+ * @param {string} [strategy='merge'] - One of SCRIPTS_STRATEGIES
+ * @returns {Object} `scripts`, plus `conflicts`: existing scripts that differ from the Spec-Up-T script of the same
+ * name (or, with `replace`, have none), each with `script`, `existing`, `boilerplate` and a `resolution` of
+ * `overwritten`, `kept` or `removed`
+ * @example
+ * mergeScripts({ lint: 'eslint .' }, scriptsConfig).scripts; // { lint: 'eslint .', edit: ..., render: ... }
+ */
+function mergeScripts(existingScripts, scriptsConfig, strategy = 'merge') {
+  const { configScriptsKeys, configOverwriteScriptsKeys } = scriptsConfig;
+  if (strategy === 'replace') {
+    return replaceScripts(existingScripts, configScriptsKeys);
+  }
+
+  const scripts = { ...existingScripts };
+  const conflicts = [];
+  Object.entries(configScriptsKeys).forEach(([script, boilerplate]) => {
+    if (!Object.prototype.hasOwnProperty.call(existingScripts, script)) {
+      scripts[script] = boilerplate;
+      return;
+    }
+    if (existingScripts[script] === boilerplate) {
+      return;
+    }
+    const overwrite = strategy === 'merge' && configOverwriteScriptsKeys[script] === true;
+    if (overwrite) {
+      scripts[script] = boilerplate;
+    }
+    conflicts.push({ script, existing: existingScripts[script], boilerplate, resolution: overwrite ? 'overwritten' : 'kept' });
+  });
+  return { scripts, conflicts };
+}
+
+/**
+ * Describe a script conflict for the change list
+ * @param {Object} conflict - Entry of the `conflicts` of mergeScripts()
+ * @returns {string} Change message
+ */
+function describeScriptConflict(conflict) {
+  const { script, existing, boilerplate, resolution } = conflict;
+  if (resolution === 'removed') {
+    return `Script conflict: removed "${script}" (${existing}), which is not a Spec-Up-T script`;
+  }
+  if (resolution === 'overwritten') {
+    return `Script conflict: overwrote "${script}" (${existing}) with the Spec-Up-T script`;
+  }
+  return `Script conflict: kept "${script}" (${existing}) instead of the Spec-Up-T script (${boilerplate})`;
+}
+
+/**
+ * Describe the outcome of combining scripts, for the change list
+ * @param {Object} existingScripts - Scripts of the existing package.json
+ * @param {Object} configScriptsKeys - Spec-Up-T scripts
+ * @param {Object} merged - Result of mergeScripts()
+ * @param {string} strategy - Strategy that was used
+ * @returns {Array<string>} Change messages
+ */
+function describeScriptsMerge(existingScripts, configScriptsKeys, merged, strategy) {
+  const changes = [];
+  if (strategy === 'replace') {
+    changes.push('Replaced scripts section with Spec-Up-T scripts');
+  } else {
+    const added = Object.keys(configScriptsKeys).filter(script => !Object.prototype.hasOwnProperty.call(existingScripts, script));
+    const own = Object.keys(existingScripts).filter(script => !Object.prototype.hasOwnProperty.call(configScriptsKeys, script));
+    if (added.length > 0) {
+      changes.push(`Added Spec-Up-T scripts: ${added.join(', ')}`);
+    }
+    if (own.length > 0) {
+      changes.push(`Kept existing scripts: ${own.join(', ')}`);
+    }
+  }
+  return [...changes, ...merged.conflicts.map(describeScriptConflict)];
+}
+
+/**
+ * Describe the outcome of the dependency classification, for the change list
+ * @param {Array<Object>} dependencies - Result of classifyDependencies()
+ * @param {Object} templateDependencies - Dependencies the Spec-Up-T template sets
+ * @returns {Array<string>} Change messages
+ */
+function describeDependencies(dependencies, templateDependencies) {
+  const changes = dependencies
+    .filter(entry => entry.classification === 'obsolete')
+    .map(entry => `Removed obsolete dependency ${entry.name} from ${entry.section} (${entry.reason})`);
+  DEPENDENCY_SECTIONS.forEach(section => {
+    const kept = dependencies.filter(entry => entry.classification === 'user' && entry.section === section);
+    if (kept.length > 0) {
+      changes.push(`Kept project ${section}: ${kept.map(entry => entry.name).join(', ')}`);
+    }
+  });
+  const changed = Object.entries(templateDependencies)
+    .filter(([name, version]) => !dependencies.some(entry => entry.name === name && entry.version === version && entry.section === 'dependencies'));
+  if (changed.length > 0) {
+    changes.push(`Set Spec-Up-T dependencies: ${changed.map(([name, version]) => `${name}@${version}`).join(', ')}`);
+  }
+  return changes;
+}
+
 /**
  * Update package.json for Spec-Up-T using template-based approach
+ * @param {string} directory - Project root directory
+ * @param {boolean} dryRun - Only report what would change
+ * @param {Object} [journal] - Migration journal that records every file written
+ * @param {Object} [source] - Boilerplate source
+ * @param {string} [scriptsStrategy='merge'] - How existing scripts are combined with the Spec-Up-T scripts, see mergeScripts()
+ * @returns {Promise<Object>} Update result; an existing package.json also gets `scripts` with the `strategy` and its
+ * `conflicts`, and `dependencies`, the classification of every existing dependency from classifyDependencies()
  */
-async function updatePackageJson(directory, dryRun) {
+async function updatePackageJson(directory, dryRun, journal = null, source = createBoilerplateSource(), scriptsStrategy = 'merge') {
   const packagePath = path.join(directory, 'package.json');
 
   try {
     // Ensure directory exists
     if (!dryRun) {
-      await fs.mkdir(directory, { recursive: true });
+      await makeDirectory(journal, directory);
     }
 
     if (!await fileExists(packagePath)) {
@@ -694,17 +811,11 @@ async function updatePackageJson(directory, dryRun) {
         }
       };
 
-      // Add scripts from remote configuration
-      let scriptsConfig;
-      try {
-        scriptsConfig = await fetchScriptsConfig();
-      } catch (fetchError) {
-        scriptsConfig = await fetchScriptsConfig(); // This will return fallback
-      }
-
-      const { configScriptsKeys } = scriptsConfig;
+      // Add scripts from the boilerplate configuration
+      const { configScriptsKeys } = await fetchScriptsConfig(source);
       starterPackageTemplate.scripts = configScriptsKeys;
 
+      await trackPath(journal, packagePath);
       await fs.writeFile(packagePath, JSON.stringify(starterPackageTemplate, null, 2));
 
       return {
@@ -743,48 +854,43 @@ async function updatePackageJson(directory, dryRun) {
       }
     });
 
-    // Ensure template dependencies are used (not preserved from existing)
-    newPackage.dependencies = { ...starterPackageTemplate.dependencies };
-    if (JSON.stringify(existingPackage.dependencies) !== JSON.stringify(newPackage.dependencies)) {
-      changes.push('Replaced dependencies with starter pack template');
-    }
-
-    // Clean up devDependencies and remove main entry point
-    if (existingPackage.devDependencies && Object.keys(existingPackage.devDependencies).length > 0) {
-      delete newPackage.devDependencies;
-      changes.push('Removed devDependencies (not needed for spec-up-t)');
+    // Remove obsolete Spec-Up packages, keep the project's own and set the template dependencies
+    const dependencies = classifyDependencies(existingPackage, starterPackageTemplate.dependencies);
+    const sections = buildDependencies(dependencies, starterPackageTemplate.dependencies);
+    newPackage.dependencies = sections.dependencies;
+    if (Object.keys(sections.devDependencies).length > 0) {
+      newPackage.devDependencies = sections.devDependencies;
     }
+    changes.push(...describeDependencies(dependencies, starterPackageTemplate.dependencies));
 
+    // Remove main entry point
     if (existingPackage.main) {
       delete newPackage.main;
       changes.push('Removed main entry point (CLI-based now)');
     }
 
-    // Replace the entire scripts section with the correct Spec-Up-T scripts
-    let scriptsConfig;
-    try {
-      scriptsConfig = await fetchScriptsConfig();
-      changes.push('Fetched scripts configuration from remote boilerplate');
-    } catch (fetchError) {
-      // Will use fallback values defined in fetchScriptsConfig
-      scriptsConfig = await fetchScriptsConfig(); // This will return fallback
-      changes.push('Used fallback scripts configuration (remote fetch failed)');
-    }
-
-    const { configScriptsKeys } = scriptsConfig;
-    newPackage.scripts = configScriptsKeys;
-    changes.push('Replaced scripts section with Spec-Up-T scripts');
+    // Combine the existing scripts with the Spec-Up-T scripts
+    const scriptsConfig = await fetchScriptsConfig(source);
+    changes.push(`Read scripts configuration from the ${describeBoilerplateOrigin(source, BOILERPLATE_FILES.scriptsConfig)}`);
+    const existingScripts = { ...existingPackage.scripts };
+    const merged = mergeScripts(existingScripts, scriptsConfig, scriptsStrategy);
+    newPackage.scripts = merged.scripts;
+    changes.push(...describeScriptsMerge(existingScripts, scriptsConfig.configScriptsKeys, merged, scriptsStrategy));
 
+    const newContent = JSON.stringify(newPackage, null, 2);
     if (!dryRun && changes.length > 0) {
-      await fs.writeFile(packagePath, JSON.stringify(newPackage, null, 2));
+      await trackPath(journal, packagePath);
+      await fs.writeFile(packagePath, newContent);
     }
 
-    return {
+    return withDiffPreview({
       file: 'package.json',
       success: true,
       changes,
+      scripts: { strategy: scriptsStrategy, conflicts: merged.conflicts },
+      dependencies,
       dryRun
-    };
+    }, content, newContent);
 
   } catch (error) {
     return {
@@ -798,101 +904,113 @@ async function updatePackageJson(directory, dryRun) {
 
 /**
  * Update specs.json for Spec-Up-T format
+ * Every spec is transformed and stays in this project, unless `split` says the others were moved into projects of
+ * their own by splitProject(); then only the spec that stayed is kept.
+ * An existing specs.json is validated against the Spec-Up schema first and refused when it does not match;
+ * the result is validated against the Spec-Up-T schema, and what does not match is reported, not fixed.
+ * @param {string} directory - Project root directory
+ * @param {boolean} dryRun - Only report what would change
+ * @param {Object} [journal] - Migration journal that records every file written
+ * @param {Object} [source] - Boilerplate source
+ * @param {Object} [split] - Result of applyMultiSpecMode(), or null when every spec stays
+ * @param {Object} [externalSpecOptions] - `offline` and `mirrorDirectory` for the external_specs conversion
+ * @returns {Promise<Object>} Update result; an existing specs.json also gets `specs`, one entry per spec with
+ * `title`, `spec_directory`, `outcome` (`in-place` or `split`) and the `project` a split spec moved to, and
+ * `schemaErrors`, the Spec-Up-T schema errors of the result such as `/specs/0/external_specs/2/gh_page must be a URL`.
+ * `externalSpecs` lists how each converted Spec-Up external spec was resolved (see convertExternalSpecs()).
  */
-async function updateSpecsJson(directory, dryRun) {
+async function updateSpecsJson(directory, dryRun, journal = null, source = createBoilerplateSource(), split = null, externalSpecOptions = {}) {
   const specsPath = path.join(directory, 'specs.json');
 
   try {
     // Ensure directory exists
     if (!dryRun) {
-      await fs.mkdir(directory, { recursive: true });
+      await makeDirectory(journal, directory);
     }
 
     if (!await fileExists(specsPath)) {
       // Create new specs.json from dynamically fetched template
-      const newSpecs = await fetchSpecUpTBoilerplate();
+      const newSpecs = await fetchSpecUpTBoilerplate(source);
+      const newContent = JSON.stringify(newSpecs, null, 2);
 
       if (!dryRun) {
-        await fs.writeFile(specsPath, JSON.stringify(newSpecs, null, 2));
+        await trackPath(journal, specsPath);
+        await fs.writeFile(specsPath, newContent);
       }
 
-      return {
+      return withDiffPreview({
         file: 'specs.json',
         success: true,
         changes: ['Created new specs.json from Spec-Up-T boilerplate template'],
         dryRun
-      };
+      }, '', newContent);
     }
 
     const content = await fs.readFile(specsPath, 'utf8');
     const specsData = safeJsonParse(content);
     const changes = [];
+    let specReport = [];
+    let externalSpecs = [];
 
-    // Fetch boilerplate to get spec-level fields like author and description
-    let boilerplateSpec = null;
-    try {
-      const boilerplate = await fetchSpecUpTBoilerplate();
-      boilerplateSpec = boilerplate.specs && boilerplate.specs[0];
-    } catch (boilerplateError) {
-      // Will use fallback values in spec processing
-    }
+    // The transformation trusts the fields it finds, so a malformed specs.json is refused before it is touched
+    assertValidSpecsJson(specsData, 'spec-up');
 
-    // Ensure specs array exists
-    if (!Array.isArray(specsData.specs)) {
-      specsData.specs = [];
-      changes.push('Created specs array');
-    }
+    // Fetch boilerplate to get spec-level fields like author and description
+    const boilerplate = await fetchSpecUpTBoilerplate(source);
+    const boilerplateSpec = boilerplate.specs && boilerplate.specs[0];
 
-    // BEFORE truncating to one spec, find a reference markdown_paths from ANY spec
+    // Find a reference markdown_paths from ANY spec
     const referenceMarkdownPaths = specsData.specs.find(spec => 
       Array.isArray(spec.markdown_paths) && spec.markdown_paths.length > 0
     )?.markdown_paths;
 
-    // If there are multiple specs, keep only the first one
-    if (specsData.specs.length > 1) {
-      const originalCount = specsData.specs.length;
-      specsData.specs = [specsData.specs[0]];
-      changes.push(`Kept only the first spec object, removed ${originalCount - 1} additional spec(s)`);
-      if (referenceMarkdownPaths) {
-        changes.push(`Preserved markdown_paths pattern from other spec(s) for reference`);
-      }
-    }
-
-    // Transform existing specs to Spec-Up-T format
-    if (specsData.specs.length > 0) {
-      // Transform each spec, passing reference markdown_paths if found
-      const transformPromises = specsData.specs.map(async (spec, index) => {
-        const { transformedSpec, changes: specChanges } = await transformSpecToSpecUpT(spec, {
-          boilerplateSpec,
-          trackChanges: true,
-          specTitle: spec.title || `spec ${index + 1}`,
-          baseDirectory: directory,
-          referenceMarkdownPaths
-        });
-        changes.push(...specChanges);
-        return transformedSpec;
+    // Transform each spec to Spec-Up-T format (the schema guarantees at least one), passing reference markdown_paths if found
+    const transformPromises = specsData.specs.map(async (spec, index) => {
+      const { transformedSpec, changes: specChanges, externalSpecs: resolutions } = await transformSpecToSpecUpT(spec, {
+        boilerplateSpec,
+        trackChanges: true,
+        specTitle: spec.title || `spec ${index + 1}`,
+        baseDirectory: directory,
+        referenceMarkdownPaths,
+        externalSpecOptions
       });
+      changes.push(...specChanges);
+      return { transformedSpec, resolutions };
+    });
 
-      const transformedSpecs = await Promise.all(transformPromises);
-      specsData.specs = transformedSpecs;
-      changes.push(`Transformed ${transformedSpecs.length} existing spec(s) to Spec-Up-T format`);
-    } else {
-      // Only use fallback when no existing specs to migrate
-      const fallbackSpec = generateFallbackSpecConfig();
-      specsData.specs = [fallbackSpec];
-      changes.push('No existing specs found - added fallback Spec-Up-T spec configuration');
+    const transformed = await Promise.all(transformPromises);
+    const transformedSpecs = transformed.map(result => result.transformedSpec);
+    externalSpecs = transformed.flatMap(result => result.resolutions);
+    changes.push(`Transformed ${transformedSpecs.length} existing spec(s) to Spec-Up-T format`);
+    specReport = transformedSpecs.map(spec => ({ title: spec.title || null, spec_directory: spec.spec_directory, outcome: 'in-place', project: null }));
+    specsData.specs = transformedSpecs;
+
+    if (split) {
+      specsData.specs = [transformedSpecs[split.kept.index]];
+      const verb = dryRun ? 'Would split' : 'Split';
+      split.projects.forEach((project) => {
+        const projectPath = path.relative(directory, project.directory).split(path.sep).join('/');
+        specReport[project.index] = { ...specReport[project.index], outcome: 'split', project: projectPath };
+        changes.push(`${verb} spec "${project.title}" into ${projectPath} (${project.files.length} markdown file(s))`);
+      });
+      changes.push(`Kept spec "${split.kept.title}" in this project`);
     }
 
+    const newContent = JSON.stringify(specsData, null, 2);
     if (!dryRun && changes.length > 0) {
-      await fs.writeFile(specsPath, JSON.stringify(specsData, null, 2));
+      await trackPath(journal, specsPath);
+      await fs.writeFile(specsPath, newContent);
     }
 
-    return {
+    return withDiffPreview({
       file: 'specs.json',
       success: true,
       changes,
+      specs: specReport,
+      externalSpecs,
+      schemaErrors: validateSpecsJson(specsData, 'spec-up-t').errors.map(formatSchemaError),
       dryRun
-    };
+    }, content, newContent);
 
   } catch (error) {
     return {
@@ -907,13 +1025,13 @@ async function updateSpecsJson(directory, dryRun) {
 /**
  * Update .gitignore for Spec-Up-T
  */
-async function updateGitignore(directory, dryRun) {
+async function updateGitignore(directory, dryRun, journal = null, source = createBoilerplateSource()) {
   const gitignorePath = path.join(directory, '.gitignore');
 
   try {
     // Ensure directory exists
     if (!dryRun) {
-      await fs.mkdir(directory, { recursive: true });
+      await makeDirectory(journal, directory);
     }
 
     let gitignoreContent = '';
@@ -933,8 +1051,8 @@ async function updateGitignore(directory, dryRun) {
     // Split content into lines and filter out empty lines
     const existingLines = gitignoreContent.split('\n').map(line => line.trim()).filter(line => line !== '');
 
-    // Fetch gitignore entries from remote boilerplate
-    const gitignoreEntries = await fetchGitignoreEntries();
+    // Fetch gitignore entries from the boilerplate, plus the migration tool's own state directory
+    const gitignoreEntries = [...await fetchGitignoreEntries(source), `/${TOOL_DIRECTORY}/`];
 
     // Add Spec-Up-T specific entries if not already present
     const newEntries = [];
@@ -955,20 +1073,22 @@ async function updateGitignore(directory, dryRun) {
       return !isDeprecated;
     });
 
+    let updatedContent = gitignoreContent;
     if (newEntries.length > 0 || filteredLines.length !== existingLines.length) {
-      const updatedContent = [...filteredLines, ...newEntries].join('\n') + '\n';
+      updatedContent = [...filteredLines, ...newEntries].join('\n') + '\n';
 
       if (!dryRun) {
+        await trackPath(journal, gitignorePath);
         await fs.writeFile(gitignorePath, updatedContent, 'utf8');
       }
     }
 
-    return {
+    return withDiffPreview({
       file: '.gitignore',
       success: true,
       changes,
       dryRun
-    };
+    }, gitignoreContent, updatedContent);
 
   } catch (error) {
     return {
@@ -983,33 +1103,14 @@ async function updateGitignore(directory, dryRun) {
 /**
  * Create required directories for Spec-Up-T
  */
-async function createRequiredDirectories(directory, dryRun) {
+async function createRequiredDirectories(directory, dryRun, journal = null) {
   const changes = [];
 
   try {
-    // Read spec_directory from specs.json
-    const specsPath = path.join(directory, 'specs.json');
-    let specDirectory = './spec'; // Default fallback
-
-    try {
-      const content = await fs.readFile(specsPath, 'utf8');
-      const specsData = safeJsonParse(content);
-
-      if (specsData.specs && specsData.specs[0] && specsData.specs[0].spec_directory) {
-        specDirectory = specsData.specs[0].spec_directory;
-
-        // Remove leading ./ if present for consistent path handling
-        if (specDirectory.startsWith('./')) {
-          specDirectory = specDirectory.substring(2);
-        }
-      }
-    } catch (error) {
-      // Use default if specs.json can't be read
-    }
-
+    // Every spec in specs.json needs its spec directory and its own spec_terms_directory
     const requiredDirs = [
-      specDirectory,
-      `${specDirectory}/terms-definitions`,
+      ...await readSpecDirectories(directory),
+      ...await readSpecTermsDirectories(directory),
       'assets'
     ];
 
@@ -1021,7 +1122,7 @@ async function createRequiredDirectories(directory, dryRun) {
       } catch (error) {
         if (error.code === 'ENOENT') {
           if (!dryRun) {
-            await fs.mkdir(dirPath, { recursive: true });
+            await makeDirectory(journal, dirPath);
           }
           changes.push(`Created directory: ${dir}`);
         }
@@ -1048,7 +1149,7 @@ async function createRequiredDirectories(directory, dryRun) {
 /**
  * Create required asset files for Spec-Up-T
  */
-async function createAssetFiles(directory, dryRun) {
+async function createAssetFiles(directory, dryRun, journal = null) {
   const changes = [];
 
   try {
@@ -1061,7 +1162,8 @@ async function createAssetFiles(directory, dryRun) {
         if (error.code === 'ENOENT') {
           if (!dryRun) {
             // Ensure directory exists
-            await fs.mkdir(path.dirname(assetPath), { recursive: true });
+            await makeDirectory(journal, path.dirname(assetPath));
+            await trackPath(journal, assetPath);
             await fs.writeFile(assetPath, asset.content, 'utf8');
           }
           changes.push(`Created asset file: ${asset.path}`);
@@ -1089,7 +1191,7 @@ async function createAssetFiles(directory, dryRun) {
 /**
  * Create required root files for Spec-Up-T
  */
-async function createRootFiles(directory, dryRun) {
+async function createRootFiles(directory, dryRun, journal = null) {
   const changes = [];
 
   try {
@@ -1101,6 +1203,7 @@ async function createRootFiles(directory, dryRun) {
       } catch (error) {
         if (error.code === 'ENOENT') {
           if (!dryRun) {
+            await trackPath(journal, rootPath);
             await fs.writeFile(rootPath, rootFile.content, 'utf8');
           }
           changes.push(`Created root file: ${rootFile.path}`);
@@ -1128,18 +1231,19 @@ async function createRootFiles(directory, dryRun) {
 /**
  * Create GitHub files (.github directory) for Spec-Up-T
  */
-async function createGitHubFiles(directory, dryRun) {
+async function createGitHubFiles(directory, dryRun, journal = null, source = createBoilerplateSource()) {
   const changes = [];
 
   try {
-    // Fetch GitHub files from remote boilerplate
-    const gitHubFiles = await fetchGitHubFiles();
+    // Fetch GitHub files from the boilerplate
+    const { files: gitHubFiles, skipped } = await fetchGitHubFiles(source);
+    const warnings = skipped.map(file => `Warning: ${file.path} was not created: ${file.reason}`);
 
     if (gitHubFiles.length === 0) {
       return {
         file: 'github-files',
         success: true,
-        changes: ['No GitHub files found in remote boilerplate (this is okay)'],
+        changes: [`No GitHub files found in the ${describeBoilerplateSource(source)}`, ...warnings],
         dryRun
       };
     }
@@ -1149,7 +1253,7 @@ async function createGitHubFiles(directory, dryRun) {
 
       // Ensure target directory exists before writing
       if (!dryRun) {
-        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await makeDirectory(journal, path.dirname(filePath));
       }
 
       let existed = false;
@@ -1162,6 +1266,7 @@ async function createGitHubFiles(directory, dryRun) {
       }
 
       if (!dryRun) {
+        await trackPath(journal, filePath);
         await fs.writeFile(filePath, githubFile.content, 'utf8');
       }
 
@@ -1171,7 +1276,7 @@ async function createGitHubFiles(directory, dryRun) {
     return {
       file: 'github-files',
       success: true,
-      changes,
+      changes: [...changes, ...warnings],
       dryRun
     };
 
@@ -1189,38 +1294,17 @@ async function createGitHubFiles(directory, dryRun) {
 /**
  * Create required specification files for Spec-Up-T
  */
-async function createSpecificationFiles(directory, dryRun) {
+async function createSpecificationFiles(directory, dryRun, journal = null) {
   const changes = [];
 
   try {
-    // Read spec_directory from specs.json
-    const specsPath = path.join(directory, 'specs.json');
-    let specDirectory = './spec'; // Default fallback
-
-    try {
-      const content = await fs.readFile(specsPath, 'utf8');
-      const specsData = safeJsonParse(content);
-
-      if (specsData.specs && specsData.specs[0] && specsData.specs[0].spec_directory) {
-        specDirectory = specsData.specs[0].spec_directory;
-
-        // Remove leading ./ if present for consistent path handling
-        if (specDirectory.startsWith('./')) {
-          specDirectory = specDirectory.substring(2);
-        }
-      }
-    } catch (error) {
-      // Use default if specs.json can't be read
-    }
-
-    // Create dynamic spec files based on the actual spec_directory
-    const dynamicSpecFiles = [
-      {
-        path: `${specDirectory}/terms-and-definitions-intro.md`,
-        content: `[//]: # (This file, named “terms-and-definitions-intro.md” is mandatory and should not be deleted.)
+    // Create dynamic spec files based on the spec_directory of every spec
+    const specDirectories = await readSpecDirectories(directory);
+    const dynamicSpecFiles = specDirectories.map(specDirectory => ({
+      path: `${specDirectory}/terms-and-definitions-intro.md`,
+      content: `[//]: # (This file, named “terms-and-definitions-intro.md” is mandatory and should not be deleted.)
         `
-      }
-    ];
+    }));
 
     for (const specFile of dynamicSpecFiles) {
       const specPath = path.join(directory, specFile.path);
@@ -1231,7 +1315,8 @@ async function createSpecificationFiles(directory, dryRun) {
         if (error.code === 'ENOENT') {
           if (!dryRun) {
             // Ensure directory exists
-            await fs.mkdir(path.dirname(specPath), { recursive: true });
+            await makeDirectory(journal, path.dirname(specPath));
+            await trackPath(journal, specPath);
             await fs.writeFile(specPath, specFile.content, 'utf8');
           }
           changes.push(`Created specification file: ${specFile.path}`);
@@ -1322,11 +1407,15 @@ module.exports = {
   fetchGitignoreEntries,
   fetchScriptsConfig,
   fetchGitHubFiles,
+  mergeScripts,
+  readBoilerplateFile,
+  resolveBoilerplateSource,
+  preloadBoilerplateFiles,
   convertSpecUpToSpecUpT,
   transformSpecToSpecUpT,
-  generateFallbackSpecConfig,
   BOILERPLATE_CONFIG,
   REPO_CONFIG,
+  SCRIPTS_STRATEGIES,
   generateGitHubRawUrl,
   generateGitHubRepoUrl,
   discoverMarkdownFiles
@@ -8,6 +8,13 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Directory, relative to the project root, where the migration tool keeps its own state
+ * (journal, backups, trash). Phases that walk or delete project files must leave it alone.
+ */
+const TOOL_DIRECTORY = '.spec-up-migrate';
 
 /**
  * Check if a file is a Spec-Up file based on its extension
@@ -55,6 +62,89 @@ async function processContent(content, format) {
   return processedContent;
 }
 
+/**
+ * `[[ref:]]`, `[[xref:]]` and `[[tref:]]` references, with their arguments
+ */
+const REFERENCE_PATTERN = /\[\[(ref|xref|tref):\s*([^\]]*?)\s*\]\]/g;
+
+/**
+ * Collect the terms, including aliases, that markdown content defines with `[[def: term, alias]]`
+ * @param {string} content - Markdown content
+ * @returns {Array<string>} Lowercase terms
+ * @example
+ * collectDefinedTerms('[[def: Key Event, KE]]'); // ['key event', 'ke']
+ */
+function collectDefinedTerms(content) {
+  return [...content.matchAll(/\[\[def:\s*([^\]]+?)\s*\]\]/g)]
+    .flatMap(match => match[1].split(','))
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Convert one Spec-Up reference to its Spec-Up-T form
+ * @param {string} kind - `ref`, `xref` or `tref`
+ * @param {Array<string>} args - Trimmed arguments
+ * @param {Object} context - See convertReferenceSyntax()
+ * @param {boolean} standalone - Whether the reference is the only thing on its line
+ * @returns {Object} `replacement` (null to keep the reference as written) and, when it cannot be resolved, `reason`
+ */
+function convertReference(kind, args, context, standalone) {
+  const findSpec = key => context.externalSpecs.find(name => name.toLowerCase() === key.toLowerCase());
+
+  if (kind === 'ref' && args.length === 1) {
+    const defined = !context.definedTerms || context.definedTerms.has(args[0].toLowerCase());
+    return defined ? { replacement: null } : { replacement: null, reason: `term "${args[0]}" is not defined in this spec` };
+  }
+  const [key, ...terms] = args;
+  const spec = findSpec(key);
+  if (!spec || terms.length === 0) {
+    const reason = terms.length === 0 ? `no term after external spec "${key}"` : `external spec "${key}" is not in external_specs`;
+    return { replacement: null, reason };
+  }
+  // Spec-Up wrote a reference into another spec as [[ref: spec, term]]; in Spec-Up-T a term of another
+  // spec that stands on its own line in a terms file is transcluded with [[tref:]]
+  const target = kind === 'tref' || (context.inTermsFile && standalone) ? 'tref' : 'xref';
+  return { replacement: `[[${target}: ${[spec, ...terms].join(', ')}]]` };
+}
+
+/**
+ * Rewrite Spec-Up `[[ref:]]` and `[[xref:]]` references to their Spec-Up-T forms
+ * - `[[ref: spec, term]]` into another spec becomes `[[xref: spec, term]]`
+ * - `[[xref: spec, term]]` on a line of its own in a terms file becomes `[[tref: spec, term]]`, which transcludes the
+ *   definition from the other spec
+ * - external spec keys are written as they appear in external_specs, with normalized spacing
+ * References to external spec keys that are not in external_specs, and `[[ref:]]` to terms the spec does not
+ * define, are left as written and reported.
+ * @param {string} content - Markdown content
+ * @param {Object} context - What the references may point to
+ * @param {Array<string>} context.externalSpecs - Keys of the spec's external_specs
+ * @param {Set<string>} [context.definedTerms] - Lowercase terms the spec defines; without it `[[ref: term]]` is not checked
+ * @param {boolean} [context.inTermsFile=false] - Whether the content is a file in the spec's terms directory
+ * @returns {Object} `content`, `conversions` (each with `original` and `replacement`) and `unresolved` (each with
+ * `reference` and `reason`)
+ * @example
+ * convertReferenceSyntax('See [[ref:kerisuite,AID]].', { externalSpecs: ['KERISuite'] }).content;
+ * // 'See [[xref: KERISuite, AID]].'
+ */
+function convertReferenceSyntax(content, context) {
+  const conversions = [];
+  const unresolved = [];
+  const converted = content.split('\n').map(line => line.replace(REFERENCE_PATTERN, (original, kind, argumentText) => {
+    const args = argumentText.split(',').map(arg => arg.trim());
+    const { replacement, reason } = convertReference(kind, args, { inTermsFile: false, ...context }, line.trim() === original);
+    if (reason) {
+      unresolved.push({ reference: original, reason });
+    }
+    if (replacement && replacement !== original) {
+      conversions.push({ original, replacement });
+      return replacement;
+    }
+    return original;
+  }));
+  return { content: converted.join('\n'), conversions, unresolved };
+}
+
 /**
  * Get the total size of a directory recursively in bytes
  * @param {string} dirPath - Directory path to analyze
@@ -126,6 +216,127 @@ async function fileExists(filePath) {
   }
 }
 
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ * @example
+ * const checksum = await hashFile('./specs.json');
+ */
+async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * List all files below a path recursively
+ * @param {string} rootPath - File or directory to walk
+ * @returns {Promise<Array<string>>} Paths relative to `rootPath`, using forward slashes; a file yields `['']`
+ * @example
+ * await listFilesRecursive('./assets'); // ['css/custom.css', 'logo.png']
+ */
+async function listFilesRecursive(rootPath) {
+  const stats = await fs.stat(rootPath);
+  if (!stats.isDirectory()) {
+    return [''];
+  }
+
+  const files = [];
+  const entries = await fs.readdir(rootPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const nested = await listFilesRecursive(path.join(rootPath, entry.name));
+    files.push(...nested.map(file => (file ? `${entry.name}/${file}` : entry.name)));
+  }
+  return files.sort();
+}
+
+/**
+ * Copy a file or directory recursively, keeping symbolic links as links
+ * Works on every supported Node version, unlike `fs.promises.cp` (Node 16.7+).
+ * @param {string} source - File, link or directory to copy
+ * @param {string} target - Destination path; parent directories must exist
+ * @returns {Promise<void>}
+ * @example
+ * await copyRecursive('./assets', './backup/assets');
+ */
+async function copyRecursive(source, target) {
+  const stats = await fs.lstat(source);
+  if (stats.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(source), target);
+  } else if (stats.isDirectory()) {
+    await fs.mkdir(target, { recursive: true });
+    for (const entry of await fs.readdir(source)) {
+      await copyRecursive(path.join(source, entry), path.join(target, entry));
+    }
+  } else {
+    await fs.copyFile(source, target);
+  }
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching project-relative paths
+ * Supports `*` (any characters within one path segment), `**` (any number of segments) and `?`.
+ * @param {string} pattern - Glob pattern such as `src/**` or `*.png`
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  let source = '';
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (normalized.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (normalized.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a project-relative path matches a glob pattern
+ * @param {string} relativePath - Path relative to the project root, using forward slashes
+ * @param {string} pattern - Glob pattern, see globToRegExp()
+ * @returns {boolean} True when the path matches
+ * @example
+ * matchesGlob('src/plugins/toc.js', 'src/**'); // returns true
+ * matchesGlob('docs/fonts', '*'); // returns false
+ */
+function matchesGlob(relativePath, pattern) {
+  return globToRegExp(pattern).test(relativePath);
+}
+
+/**
+ * Create a filesystem-safe name from the current time, sortable in creation order
+ * @returns {string} ISO timestamp with `:` and `.` replaced, e.g. `2026-10-19T08-30-00-000Z`
+ */
+function createTimestampName() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Resolve a path inside the tool's state directory of a project
+ * @param {string} projectDir - Project root directory
+ * @param {...string} segments - Path segments below the state directory
+ * @returns {string} Absolute path inside `.spec-up-migrate/`
+ * @example
+ * getToolPath('./my-project', 'journal', 'journal.json');
+ * // returns "/abs/my-project/.spec-up-migrate/journal/journal.json"
+ */
+function getToolPath(projectDir, ...segments) {
+  return path.join(path.resolve(projectDir), TOOL_DIRECTORY, ...segments);
+}
+
 /**
  * Safe JSON parse with fallback value for error handling
  * @param {string} content - JSON string to parse
@@ -143,11 +354,70 @@ function safeJsonParse(content, fallback = {}) {
   }
 }
 
+/**
+ * Read the spec directories of every spec in a project's specs.json
+ * @param {string} projectDir - Project root directory
+ * @returns {Promise<Array<string>>} Distinct `spec_directory` values without a leading `./`; `['spec']` when
+ * specs.json is missing, unreadable or names no spec directory
+ * @example
+ * await readSpecDirectories('./project'); // ['spec', 'spec-two']
+ */
+async function readSpecDirectories(projectDir) {
+  const directories = (await readSpecs(projectDir))
+    .filter(spec => typeof spec.spec_directory === 'string' && spec.spec_directory !== '')
+    .map(spec => spec.spec_directory.replace(/^\.\//, ''));
+  return directories.length > 0 ? [...new Set(directories)] : ['spec'];
+}
+
+/**
+ * Read the terms directory of every spec in a project's specs.json
+ * @param {string} projectDir - Project root directory
+ * @returns {Promise<Array<string>>} Distinct `<spec_directory>/<spec_terms_directory>` paths without a leading `./`;
+ * a spec without `spec_terms_directory` uses `terms-definitions`, and without `spec_directory` uses `spec`
+ * @example
+ * await readSpecTermsDirectories('./project'); // ['spec/terms-definitions', 'spec-two/glossary']
+ */
+async function readSpecTermsDirectories(projectDir) {
+  const specs = await readSpecs(projectDir);
+  const directories = (specs.length > 0 ? specs : [{}]).map((spec) => {
+    const specDirectory = typeof spec.spec_directory === 'string' && spec.spec_directory !== '' ? spec.spec_directory : 'spec';
+    const termsDirectory = typeof spec.spec_terms_directory === 'string' && spec.spec_terms_directory !== '' ? spec.spec_terms_directory : 'terms-definitions';
+    return path.posix.join(specDirectory, termsDirectory);
+  });
+  return [...new Set(directories)];
+}
+
+/**
+ * Read the specs of a project's specs.json
+ * @param {string} projectDir - Project root directory
+ * @returns {Promise<Array<Object>>} The spec objects; empty when specs.json is missing or unreadable
+ */
+async function readSpecs(projectDir) {
+  let specsData = {};
+  try {
+    specsData = safeJsonParse(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8'));
+  } catch {
+    // Use the default if specs.json can't be read
+  }
+  return (specsData && Array.isArray(specsData.specs) ? specsData.specs : []).filter(spec => spec && typeof spec === 'object');
+}
+
 module.exports = {
   isSpecUpFile,
   processContent,
+  convertReferenceSyntax,
+  collectDefinedTerms,
   getDirectorySize,
   formatFileSize,
   fileExists,
-  safeJsonParse
+  safeJsonParse,
+  readSpecDirectories,
+  readSpecTermsDirectories,
+  getToolPath,
+  hashFile,
+  listFilesRecursive,
+  copyRecursive,
+  matchesGlob,
+  createTimestampName,
+  TOOL_DIRECTORY
 };
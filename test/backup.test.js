@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { backup, restore, verifyBackup, listSnapshots } = require('../lib/backup');
+
+describe('Backup and restore', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-backup-'));
+    await fs.writeFile(path.join(projectDir, 'specs.json'), '{"specs":[{"title":"original"}]}');
+    await fs.writeFile(path.join(projectDir, 'package.json'), '{"name":"original"}');
+    await fs.mkdir(path.join(projectDir, 'assets'));
+    await fs.writeFile(path.join(projectDir, 'assets', 'custom.css'), 'body {}');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should write a new snapshot with a checksum manifest on every run', async () => {
+    const first = await backup(projectDir);
+    await fs.writeFile(path.join(projectDir, 'specs.json'), '{"specs":[{"title":"changed"}]}');
+    const second = await backup(projectDir);
+
+    expect(first.snapshot).not.toBe(second.snapshot);
+    expect(path.dirname(first.snapshot)).toBe(path.join(projectDir, '.spec-up-migrate', 'backups'));
+    expect(await fs.readFile(path.join(first.snapshot, 'specs.json'), 'utf8')).toContain('original');
+    expect(await listSnapshots(projectDir)).toHaveLength(2);
+
+    const manifest = JSON.parse(await fs.readFile(first.manifest, 'utf8'));
+    expect(manifest.items).toEqual(['assets', 'specs.json', 'package.json']);
+    expect(manifest.files.find(f => f.path === 'assets/custom.css')).toMatchObject({
+      item: 'assets',
+      size: 7,
+      sha256: expect.stringMatching(/^[0-9a-f]{64}$/)
+    });
+  });
+
+  test('should report missing, truncated and modified backup files', async () => {
+    const result = await backup(projectDir);
+    expect((await verifyBackup(projectDir)).valid).toBe(true);
+
+    await fs.rm(path.join(result.snapshot, 'package.json'));
+    await fs.writeFile(path.join(result.snapshot, 'assets', 'custom.css'), 'body');
+    await fs.writeFile(path.join(result.snapshot, 'specs.json'), '{"specs":[{"title":"tampered"}]}');
+
+    const verification = await verifyBackup(projectDir);
+
+    expect(verification.valid).toBe(false);
+    expect(verification.summary).toEqual({ total: 3, ok: 0, missing: 1, truncated: 1, modified: 1 });
+    expect(verification.files.find(f => f.path === 'assets/custom.css')).toMatchObject({ status: 'truncated', actualSize: 4 });
+  });
+
+  test('should fail verification when there is no snapshot', async () => {
+    await expect(verifyBackup(projectDir)).rejects.toThrow('No backup snapshot');
+  });
+
+  test('should honor a custom backup directory', async () => {
+    const backupDir = path.join(projectDir, 'elsewhere');
+    const result = await backup(projectDir, { backupDir });
+
+    expect(path.dirname(result.snapshot)).toBe(backupDir);
+    expect((await restore(projectDir, { dryRun: true, backupDir })).snapshot).toBe(result.snapshot);
+  });
+
+  test('should restore legacy sibling backup copies', async () => {
+    await fs.writeFile(path.join(projectDir, 'specs-backup.json'), '{"specs":[{"title":"legacy"}]}');
+
+    const result = await restore(projectDir);
+
+    expect(result.snapshot).toBeNull();
+    expect(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8')).toContain('legacy');
+  });
+
+  test('should restore backed up files over migrated ones', async () => {
+    await backup(projectDir);
+    await fs.writeFile(path.join(projectDir, 'specs.json'), '{"specs":[{"title":"migrated"}]}');
+    await fs.rm(path.join(projectDir, 'assets'), { recursive: true });
+
+    const result = await restore(projectDir);
+
+    expect(result.summary.restored).toBe(3);
+    expect(result.items.find(i => i.source === 'assets').overwrites).toBe(false);
+    expect(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8')).toContain('original');
+    expect(await fs.readFile(path.join(projectDir, 'assets', 'custom.css'), 'utf8')).toBe('body {}');
+  });
+
+  test('should only report in dry-run mode and honor item selection', async () => {
+    await backup(projectDir);
+    await fs.writeFile(path.join(projectDir, 'package.json'), '{"name":"migrated"}');
+
+    const preview = await restore(projectDir, { dryRun: true, only: ['package.json'] });
+
+    expect(preview.items).toHaveLength(1);
+    expect(preview.items[0]).toMatchObject({ source: 'package.json', overwrites: true, restored: false });
+    expect(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8')).toContain('migrated');
+  });
+
+  test('should reject unknown items', async () => {
+    await expect(restore(projectDir, { only: ['README.md'] })).rejects.toThrow('Unknown backup item(s): README.md');
+  });
+});
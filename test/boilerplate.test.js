@@ -0,0 +1,220 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { updateConfigurations, readBoilerplateFile, fetchScriptsConfig } = require('../lib/updater');
+const { createBoilerplateSource, readSnapshotFile, loadSnapshotInfo, parseScriptsConfig, BOILERPLATE_FILES } = require('../lib/boilerplate');
+const { generateReport } = require('../lib/report');
+const { completeMigration } = require('../lib/migrator');
+const { fetchText } = require('../lib/fetch');
+
+jest.mock('../lib/fetch', () => ({ ...jest.requireActual('../lib/fetch'), fetchText: jest.fn() }));
+
+/**
+ * Make upstream answer every request with the given status and body
+ */
+function mockUpstream(respond) {
+  return fetchText.mockImplementation(async (url) => {
+    const { statusCode, body } = respond(url);
+    if (statusCode >= 400) {
+      throw Object.assign(new Error(`HTTP ${statusCode} for ${url}`), { status: statusCode });
+    }
+    return body;
+  });
+}
+
+/**
+ * Install a spec-up-t package with every boilerplate file except fetch-and-push-xrefs.yml in the project
+ */
+async function writeInstalledPackage(projectDir) {
+  const packageDir = path.join(projectDir, 'node_modules', 'spec-up-t');
+  const write = async (filePath, content) => {
+    await fs.mkdir(path.dirname(path.join(packageDir, filePath)), { recursive: true });
+    await fs.writeFile(path.join(packageDir, filePath), content);
+  };
+  await write(BOILERPLATE_FILES.specs, await readSnapshotFile(BOILERPLATE_FILES.specs));
+  await write(BOILERPLATE_FILES.scriptsConfig, await readSnapshotFile(BOILERPLATE_FILES.scriptsConfig));
+  await write(BOILERPLATE_FILES.gitignore, 'node_modules\n/fork-output/\n');
+  await write(BOILERPLATE_FILES.workflows[0], 'name: render-specs\n');
+  return packageDir;
+}
+
+describe('Boilerplate snapshot', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-boilerplate-'));
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ title: 'My Spec', spec_directory: './spec' }] }));
+    await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'my-spec', dependencies: { 'spec-up': '^0.11.0' } }));
+    fetchText.mockReset();
+    fetchText.mockRejectedValue(new Error('No network in tests'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should record where the snapshot was taken from', async () => {
+    const info = await loadSnapshotInfo();
+
+    expect(info.repository).toBe('blockchainbird/spec-up-t');
+    expect(info).toHaveProperty('commit');
+    for (const file of info.files) {
+      expect(await readSnapshotFile(file)).not.toBeNull();
+    }
+  });
+
+  test('should be traceable to an upstream commit or release and include every workflow', async () => {
+    const info = await loadSnapshotInfo();
+
+    // Without a commit the snapshot must name the published package it was read from
+    if (info.commit === null) {
+      expect(info.package).toBe(`spec-up-t@${info.ref}`);
+      expect(info.ref).toMatch(/^\d+\.\d+\.\d+/);
+    } else {
+      expect(info.commit).toMatch(/^[0-9a-f]{40}$/);
+    }
+    expect(info.files).toEqual(expect.arrayContaining(BOILERPLATE_FILES.workflows));
+    for (const file of BOILERPLATE_FILES.workflows) {
+      expect(await readSnapshotFile(file)).toMatch(/^name: /m);
+    }
+  });
+
+  test('should use only the snapshot in offline mode', async () => {
+
+    const result = await updateConfigurations(projectDir, { dryRun: true, offline: true });
+
+    expect(fetchText).not.toHaveBeenCalled();
+    expect(result.boilerplate.offline).toBe(true);
+    expect(result.boilerplate.files.every(file => file.origin === 'snapshot')).toBe(true);
+    expect(result.boilerplate.drifted).toEqual([]);
+    const packageUpdate = result.updates.find(update => update.file === 'package.json');
+    expect(packageUpdate.changes).toContain('Read scripts configuration from the boilerplate snapshot (offline)');
+
+    // Workflows missing from the snapshot are reported instead of silently not created
+    const { files } = await loadSnapshotInfo();
+    const missing = BOILERPLATE_FILES.workflows.filter(file => !files.includes(file));
+    const githubChanges = result.updates.find(update => update.file === 'github-files').changes;
+    missing.forEach(file => expect(githubChanges).toContain(
+      `Warning: ${file.replace('src/install-from-boilerplate/boilerplate/', '')} was not created: ${file} is not part of the boilerplate snapshot`
+    ));
+  });
+
+  test('should report fetched files that differ from the snapshot', async () => {
+    const snapshotGitignore = await readSnapshotFile(BOILERPLATE_FILES.gitignore);
+    mockUpstream(url => (url.endsWith('/gitignore')
+      ? { statusCode: 200, body: `${snapshotGitignore.trimEnd()}\n.vscode\n` }
+      : { statusCode: 404, body: '404: Not Found' }));
+    const source = createBoilerplateSource();
+
+    const gitignore = await readBoilerplateFile(source, BOILERPLATE_FILES.gitignore);
+    const scripts = await fetchScriptsConfig(source);
+
+    expect(gitignore).toContain('.vscode');
+    expect(scripts.configScriptsKeys).toHaveProperty('render');
+    expect(source.files).toEqual([
+      expect.objectContaining({ path: BOILERPLATE_FILES.gitignore, origin: 'upstream', inSnapshot: true, differs: true }),
+      expect.objectContaining({ path: BOILERPLATE_FILES.scriptsConfig, origin: 'snapshot', reason: expect.stringMatching(/^HTTP 404/) })
+    ]);
+    expect(source.files[0].diff).toContain('+.vscode');
+  });
+
+  test('should read every file at the ref pinned in the project configuration', async () => {
+    await fs.writeFile(path.join(projectDir, '.spec-up-migrate.json'), JSON.stringify({ boilerplate: { ref: 'v1.2.7' } }));
+    const snapshot = {};
+    for (const file of [BOILERPLATE_FILES.specs, BOILERPLATE_FILES.gitignore, BOILERPLATE_FILES.scriptsConfig]) {
+      snapshot[file] = await readSnapshotFile(file);
+    }
+    mockUpstream((url) => {
+      const file = Object.keys(snapshot).find(key => url.endsWith(key));
+      return file ? { statusCode: 200, body: snapshot[file] } : { statusCode: 404, body: '404: Not Found' };
+    });
+
+    const result = await updateConfigurations(projectDir, { dryRun: true });
+
+    const urls = fetchText.mock.calls.map(([url]) => url);
+    expect(urls.length).toBeGreaterThan(0);
+    expect(urls.every(url => url.startsWith('https://raw.githubusercontent.com/blockchainbird/spec-up-t/v1.2.7/'))).toBe(true);
+    expect(result.summary.failed).toBe(0);
+    expect(result.boilerplate.ref).toBe('v1.2.7');
+
+    const report = generateReport({
+      directory: projectDir,
+      success: true,
+      summary: { total_phases: 1, successful_phases: 1, dry_run: true },
+      phases: [{ name: 'Update Configurations', result, success: true }]
+    });
+    expect(report).toContain('Boilerplate ref: pinned to v1.2.7.');
+  });
+
+  test('should not fall back to the snapshot for a pinned ref', async () => {
+    mockUpstream(() => ({ statusCode: 404, body: '404: Not Found' }));
+
+    const result = await updateConfigurations(projectDir, { dryRun: true, boilerplateRef: 'v0.0.1' });
+
+    const packageUpdate = result.updates.find(update => update.file === 'package.json');
+    expect(packageUpdate.success).toBe(false);
+    expect(packageUpdate.error).toMatch(/^HTTP 404 for .*\/v0\.0\.1\//);
+  });
+
+  test('should reject refs the snapshot cannot provide offline, and malformed refs', async () => {
+    await expect(updateConfigurations(projectDir, { dryRun: true, offline: true, boilerplateRef: 'v0.0.1' }))
+      .rejects.toThrow('cannot provide ref "v0.0.1" offline');
+    await expect(updateConfigurations(projectDir, { dryRun: true, boilerplateRef: '../evil' }))
+      .rejects.toThrow('Invalid boilerplate ref "../evil"');
+  });
+
+  test('should read the boilerplate from an installed spec-up-t package configured in the project', async () => {
+    const packageDir = await writeInstalledPackage(projectDir);
+    await fs.writeFile(path.join(projectDir, '.spec-up-migrate.json'), JSON.stringify({ boilerplate: { dir: 'node_modules/spec-up-t' } }));
+
+    const result = await updateConfigurations(projectDir, { dryRun: true });
+
+    expect(fetchText).not.toHaveBeenCalled();
+    expect(result.summary.failed).toBe(0);
+    expect(result.boilerplate.directory).toBe(packageDir);
+    expect(result.boilerplate.drifted).toEqual([BOILERPLATE_FILES.gitignore, BOILERPLATE_FILES.workflows[0]]);
+    expect(result.updates.find(update => update.file === '.gitignore').changes).toContain('Added /fork-output/ to .gitignore');
+    expect(result.updates.find(update => update.file === 'github-files').changes).toEqual([
+      'Created GitHub file: .github/workflows/render-specs.yml',
+      `Warning: .github/workflows/fetch-and-push-xrefs.yml was not created: ${BOILERPLATE_FILES.workflows[1]} not found in boilerplate directory ${packageDir}`
+    ]);
+  });
+
+  test('should read the boilerplate in node_modules before complete cleans it up', async () => {
+    const packageDir = await writeInstalledPackage(projectDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await completeMigration(projectDir, { skipDetection: true, skipBackup: true, skipInstall: true, boilerplateDir: packageDir });
+
+    expect(result.error).toBeUndefined();
+    await expect(fs.access(path.join(projectDir, 'node_modules'))).rejects.toThrow();
+    const update = result.phases.find(phase => phase.name === 'Update Configurations');
+    expect(update.success).toBe(true);
+    expect(update.result.boilerplate.directory).toBe(packageDir);
+    expect(await fs.readFile(path.join(projectDir, '.gitignore'), 'utf8')).toContain('/fork-output/');
+    expect(await fs.readFile(path.join(projectDir, '.github', 'workflows', 'render-specs.yml'), 'utf8')).toBe('name: render-specs\n');
+  });
+
+  test('should reject a boilerplate directory that is not a spec-up-t checkout', async () => {
+    await expect(updateConfigurations(projectDir, { dryRun: true, boilerplateDir: os.tmpdir() }))
+      .rejects.toThrow('does not contain src/install-from-boilerplate');
+    await expect(updateConfigurations(projectDir, { dryRun: true, offline: true, boilerplateDir: projectDir }))
+      .rejects.toThrow('cannot be combined');
+  });
+
+  test('should parse the scripts configuration without running it and validate its shape', async () => {
+    const config = parseScriptsConfig(await readSnapshotFile(BOILERPLATE_FILES.scriptsConfig));
+    expect(config.configScriptsKeys.render).toContain('spec-up-t');
+    expect(config.configOverwriteScriptsKeys.render).toBe(true);
+
+    global.scriptsConfigExecuted = false;
+    const hostile = 'const configScriptsKeys = (global.scriptsConfigExecuted = true, { render: "x" });\nconst configOverwriteScriptsKeys = {};';
+    expect(() => parseScriptsConfig(hostile)).toThrow(/^Unexpected shape of src\/install-from-boilerplate\/config-scripts-keys\.js: Unexpected "\("/);
+    expect(global.scriptsConfigExecuted).toBe(false);
+    delete global.scriptsConfigExecuted;
+
+    const wrongTypes = 'const configScriptsKeys = { render: 42 };\nconst configOverwriteScriptsKeys = { render: "yes" };';
+    expect(() => parseScriptsConfig(wrongTypes)).toThrow('configScriptsKeys.render must be a non-empty string; configOverwriteScriptsKeys.render must be true or false');
+  });
+});
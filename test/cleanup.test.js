@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { cleanup } = require('../lib/cleanup');
+const { emptyTrash, restoreTrash, listTrash } = require('../lib/trash');
+
+describe('Cleanup configuration', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-cleanup-'));
+    await fs.mkdir(path.join(projectDir, 'src', 'plugins'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'src', 'plugins', 'toc.js'), 'module.exports = {};');
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), '// gulp');
+    await fs.writeFile(path.join(projectDir, 'notes.bak'), 'old notes');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should honor exclude and add patterns from .spec-up-migrate.json', async () => {
+    await fs.writeFile(path.join(projectDir, '.spec-up-migrate.json'), JSON.stringify({
+      cleanup: {
+        exclude: [{ path: 'src/plugins/**', reason: 'Local plugins' }],
+        add: ['*.bak']
+      }
+    }));
+
+    const result = await cleanup(projectDir);
+
+    expect(result.config).toBe('.spec-up-migrate.json');
+    expect(result.skipped).toEqual([{
+      path: 'src',
+      type: 'directory',
+      reason: "Contains paths protected by pattern 'src/plugins/**' in .spec-up-migrate.json: Local plugins"
+    }]);
+    expect(result.items.find(i => i.path === 'notes.bak')).toMatchObject({ type: 'file', removed: true });
+    expect(result.items.find(i => i.path === 'gulpfile.js').removed).toBe(true);
+    await expect(fs.access(path.join(projectDir, 'src', 'plugins', 'toc.js'))).resolves.toBeUndefined();
+  });
+
+  test('should read the migrate section of specs.json and support override', async () => {
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({
+      specs: [{}],
+      migrate: { cleanup: { override: ['gulpfile.js'] } }
+    }));
+
+    const result = await cleanup(projectDir, { dryRun: true });
+
+    expect(result.config).toBe('specs.json (migrate section)');
+    expect(result.items.map(i => i.path)).toEqual(['gulpfile.js']);
+  });
+
+  test('should keep directories with files matching exclude patterns without a literal prefix', async () => {
+    await fs.mkdir(path.join(projectDir, 'assets', 'css'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'assets', 'css', 'theme.css'), 'body {}');
+    await fs.mkdir(path.join(projectDir, 'fonts'));
+    await fs.writeFile(path.join(projectDir, 'fonts', 'README.md'), '# Fonts');
+
+    const result = await cleanup(projectDir, { dryRun: true, config: { cleanup: { exclude: ['**/*.css', '*.md'] } } });
+
+    expect(result.skipped).toEqual([
+      { path: 'assets', type: 'directory', reason: "Contains 1 file(s) protected by pattern '**/*.css' in options" },
+      { path: 'fonts', type: 'directory', reason: "Contains 1 file(s) protected by pattern '*.md' in options" }
+    ]);
+    expect(result.items.map(i => i.path)).toContain('src');
+  });
+
+  test('should never clean up the tool directory', async () => {
+    await fs.mkdir(path.join(projectDir, '.spec-up-migrate', 'backups'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.spec-up-migrate', 'journal.json'), '{}');
+
+    const result = await cleanup(projectDir, { dryRun: true, config: { cleanup: { override: ['.*', '.spec-up-migrate/**'] } } });
+
+    expect(result.items).toEqual([]);
+    expect(result.skipped).toEqual([
+      { path: '.spec-up-migrate', type: 'directory', reason: 'Holds the migration journal, backups and trash of spec-up-migrate' }
+    ]);
+  });
+
+  test('should reject malformed cleanup sections', async () => {
+    await expect(cleanup(projectDir, { dryRun: true, config: { cleanup: { exclude: 'src' } } }))
+      .rejects.toThrow('cleanup.exclude in options must be an array of glob patterns');
+    await expect(cleanup(projectDir, { dryRun: true, config: { cleanup: null } }))
+      .rejects.toThrow('cleanup in options must be a JSON object');
+    await expect(cleanup(projectDir, { dryRun: true, config: { cleanup: { add: ['*.bak', { reason: 'Old notes' }] } } }))
+      .rejects.toThrow('cleanup.add[1] in options must be a glob pattern or an object with a "path" glob pattern');
+
+    await fs.writeFile(path.join(projectDir, 'specs.json'), 'null');
+    await expect(cleanup(projectDir, { dryRun: true })).rejects.toThrow('specs.json must contain a JSON object');
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{}], migrate: 'keep src' }));
+    await expect(cleanup(projectDir, { dryRun: true })).rejects.toThrow('The migrate section of specs.json must be a JSON object');
+  });
+});
+
+describe('Cleanup trash', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-trash-'));
+    await fs.mkdir(path.join(projectDir, 'assets', 'css'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'assets', 'css', 'brand.css'), 'body {}');
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), '// gulp');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should move removed items into a timestamped trash batch', async () => {
+    const result = await cleanup(projectDir);
+
+    expect(path.dirname(result.trash)).toBe(path.join(projectDir, '.spec-up-migrate', 'trash'));
+    expect(result.items.find(i => i.path === 'gulpfile.js')).toMatchObject({ removed: true, trashed: true });
+    expect(await fs.readFile(path.join(result.trash, 'assets', 'css', 'brand.css'), 'utf8')).toBe('body {}');
+    await expect(fs.access(path.join(projectDir, 'gulpfile.js'))).rejects.toThrow();
+  });
+
+  test('should delete permanently with force', async () => {
+    const result = await cleanup(projectDir, { force: true });
+
+    expect(result.trash).toBeNull();
+    expect(result.items.find(i => i.path === 'gulpfile.js').trashed).toBe(false);
+    expect(await listTrash(projectDir)).toEqual([]);
+  });
+
+  test('should restore the latest batch and keep conflicting items in the trash', async () => {
+    const { trash } = await cleanup(projectDir);
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), '// new gulp');
+
+    const result = await restoreTrash(projectDir);
+
+    expect(result.batch).toBe(path.basename(trash));
+    expect(result.summary).toEqual({ total: 2, restored: 1, conflicts: 1 });
+    expect(await fs.readFile(path.join(projectDir, 'assets', 'css', 'brand.css'), 'utf8')).toBe('body {}');
+    expect((await listTrash(projectDir))[0].items.map(i => i.path)).toEqual(['gulpfile.js']);
+  });
+
+  test('should empty the trash', async () => {
+    await cleanup(projectDir);
+
+    const preview = await emptyTrash(projectDir, { dryRun: true });
+    expect(preview.summary).toMatchObject({ batches: 1, items: 2, sizeFreed: 0 });
+
+    const result = await emptyTrash(projectDir);
+    expect(result.summary.sizeFreed).toBeGreaterThan(0);
+    expect(await listTrash(projectDir)).toEqual([]);
+    await expect(restoreTrash(projectDir)).rejects.toThrow('The trash is empty');
+  });
+});
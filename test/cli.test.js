@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawnSync, execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js');
+
+describe('Command line interface', () => {
+  let projectDir;
+
+  const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { cwd: projectDir, encoding: 'utf8', timeout: 60000 });
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-cli-'));
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ title: 'My Spec', spec_directory: './spec', markdown_paths: ['spec.md'] }] }));
+    await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'my-spec', dependencies: { 'spec-up': '^0.11.0' } }));
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), 'module.exports = {};');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('cleanup should create a verified backup before removing files', async () => {
+    const result = run('--json', 'cleanup', '.');
+
+    expect(result.status).toBe(0);
+    const output = JSON.parse(result.stdout);
+    expect(output.backup.verified).toBe(true);
+    expect(await fs.readFile(path.join(output.backup.snapshot, 'package.json'), 'utf8')).toContain('spec-up');
+    expect(output.items.find(item => item.path === 'gulpfile.js').removed).toBe(true);
+
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), 'module.exports = {};');
+    expect(JSON.parse(run('--json', 'cleanup', '.', '--no-backup').stdout).backup).toBeNull();
+  });
+
+  test('cleanup should refuse a dirty git working tree unless --allow-dirty is passed', async () => {
+    const git = (...args) => execFileSync('git', args, { cwd: projectDir, encoding: 'utf8' });
+    git('init', '--quiet', '--initial-branch=main');
+    git('-c', 'user.email=test@example.com', '-c', 'user.name=Test', 'commit', '--quiet', '--allow-empty', '-m', 'Initial');
+
+    const refused = run('cleanup', '.', '--no-backup');
+    expect(refused.status).toBe(1);
+    expect(refused.stderr).toContain('pass --allow-dirty');
+    await expect(fs.access(path.join(projectDir, 'gulpfile.js'))).resolves.toBeUndefined();
+
+    const allowed = run('cleanup', '.', '--no-backup', '--allow-dirty');
+    expect(allowed.status).toBe(0);
+    await expect(fs.access(path.join(projectDir, 'gulpfile.js'))).rejects.toThrow();
+  });
+
+  test('complete should exit with 1 in JSON mode when the migration fails', async () => {
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ title: 'My Spec', markdown_paths: 'spec.md' }] }));
+
+    const result = run('--json', 'complete', '.', '--dry-run', '--skip-detection', '--offline');
+
+    expect(result.status).toBe(1);
+    const output = JSON.parse(result.stdout);
+    expect(output.success).toBe(false);
+    expect(output.error).toContain('/specs/0/markdown_paths must be an array');
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { detectCustomizations, proposeLocation } = require('../lib/customizations');
+const { cleanup } = require('../lib/cleanup');
+
+describe('Customization detection', () => {
+  let projectDir;
+
+  const write = async (relativePath, content) => {
+    await fs.mkdir(path.dirname(path.join(projectDir, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(projectDir, relativePath), content);
+  };
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-custom-'));
+    await write('assets/css/index.css', 'body { color: red; }');
+    await write('assets/js/index.js', '// stock');
+    await write('custom-assets/fonts/brand.woff2', 'font');
+    await write('src/markdown-it-extensions.js', '// stock');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should compare with the installed spec-up package', async () => {
+    await write('node_modules/spec-up/assets/css/index.css', 'body {}');
+    await write('node_modules/spec-up/assets/js/index.js', '// stock');
+    await write('node_modules/spec-up/src/markdown-it-extensions.js', '// stock');
+
+    const result = await detectCustomizations(projectDir);
+
+    expect(result.reference).toBe(path.join(projectDir, 'node_modules', 'spec-up'));
+    expect(result.files).toEqual([
+      { path: 'assets/css/index.css', status: 'modified', suggestion: 'static/css/index.css' },
+      { path: 'custom-assets/fonts/brand.woff2', status: 'added', suggestion: 'static/fonts/brand.woff2' }
+    ]);
+    expect(result.unverified).toEqual([]);
+    expect(result.summary).toEqual({ scanned: 4, stock: 2, modified: 1, added: 1, unverified: 0 });
+  });
+
+  test('should mark files at known stock paths as unverified without a reference', async () => {
+    await write('src/plugins/abbr.js', 'module.exports = {};');
+
+    const result = await detectCustomizations(projectDir);
+
+    expect(result.reference).toBeNull();
+    expect(result.files.map(f => f.path)).toEqual(['custom-assets/fonts/brand.woff2', 'src/plugins/abbr.js']);
+    expect(result.unverified).toEqual(['assets/css/index.css', 'assets/js/index.js', 'src/markdown-it-extensions.js']);
+    expect(result.summary).toMatchObject({ stock: 0, added: 2, unverified: 3 });
+  });
+
+  test('should reject a missing reference directory', async () => {
+    await expect(detectCustomizations(projectDir, { reference: path.join(projectDir, 'nope') }))
+      .rejects.toThrow('Stock Spec-Up reference not found');
+  });
+
+  test('should report customizations from cleanup before removing them', async () => {
+    const result = await cleanup(projectDir, { dryRun: true });
+
+    expect(result.customizations.summary.added).toBe(1);
+    expect(result.customizations.files[0].path).toBe('custom-assets/fonts/brand.woff2');
+  });
+
+  test('should keep directories with unverified files unless forced', async () => {
+    const kept = await cleanup(projectDir, { dryRun: true });
+
+    expect(kept.items.map(item => item.path)).not.toContain('assets');
+    expect(kept.items.map(item => item.path)).not.toContain('src');
+    expect(kept.items.map(item => item.path)).toContain('custom-assets');
+    expect(kept.skipped.find(item => item.path === 'assets').reason).toMatch(/could not be checked/);
+
+    const forced = await cleanup(projectDir, { dryRun: true, force: true });
+
+    expect(forced.items.map(item => item.path)).toEqual(expect.arrayContaining(['assets', 'custom-assets', 'src']));
+    expect(forced.skipped).toEqual([]);
+  });
+
+  test('should propose Spec-Up-T locations by file type', () => {
+    expect(proposeLocation('custom-assets/logo.png')).toBe('static/images/logo.png');
+    expect(proposeLocation('assets/data/terms.json')).toBe('static/data/terms.json');
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { classifyDependencies, buildDependencies } = require('../lib/dependencies');
+const { updateConfigurations } = require('../lib/updater');
+const { generateReport } = require('../lib/report');
+
+describe('Dependency classification', () => {
+  const template = { dotenv: '^16.4.7', 'spec-up-t': '^1.2.7' };
+
+  test('should separate obsolete Spec-Up packages from the project\'s own', () => {
+    const classified = classifyDependencies({
+      dependencies: { 'spec-up': '^0.11.0', 'markdown-it-anchor': '^8.0.0', 'linkinator': '^6.0.0' },
+      devDependencies: { 'gulp-concat': '^2.6.1', 'markdownlint-cli': '^0.41.0', dotenv: '^10.0.0' }
+    }, template);
+
+    expect(classified.map(entry => `${entry.section}:${entry.name}:${entry.classification}`)).toEqual([
+      'dependencies:spec-up:obsolete',
+      'dependencies:markdown-it-anchor:obsolete',
+      'dependencies:linkinator:user',
+      'devDependencies:gulp-concat:obsolete',
+      'devDependencies:markdownlint-cli:user',
+      'devDependencies:dotenv:template'
+    ]);
+    expect(buildDependencies(classified, template)).toEqual({
+      dependencies: { linkinator: '^6.0.0', ...template },
+      devDependencies: { 'markdownlint-cli': '^0.41.0' }
+    });
+  });
+
+  describe('during the configuration update', () => {
+    let projectDir;
+
+    beforeEach(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-dependencies-'));
+      await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ title: 'My Spec', spec_directory: './spec' }] }));
+      await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({
+        name: 'my-spec',
+        dependencies: { 'spec-up': '^0.11.0' },
+        devDependencies: { gulp: '^4.0.2', 'markdown-link-check': '^3.12.0' }
+      }));
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectDir, { recursive: true, force: true });
+    });
+
+    test('should remove only obsolete dependencies and report the classification', async () => {
+      const result = await updateConfigurations(projectDir, { offline: true });
+
+      const written = JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8'));
+      expect(written.dependencies).toEqual(template);
+      expect(written.devDependencies).toEqual({ 'markdown-link-check': '^3.12.0' });
+
+      const packageUpdate = result.updates.find(update => update.file === 'package.json');
+      expect(packageUpdate.changes).toEqual(expect.arrayContaining([
+        'Removed obsolete dependency spec-up from dependencies (replaced by spec-up-t)',
+        'Removed obsolete dependency gulp from devDependencies (Spec-Up build system, replaced by the Spec-Up-T CLI)',
+        'Kept project devDependencies: markdown-link-check',
+        'Set Spec-Up-T dependencies: dotenv@^16.4.7, spec-up-t@^1.2.7'
+      ]));
+
+      const report = generateReport({
+        directory: projectDir,
+        success: true,
+        summary: { total_phases: 1, successful_phases: 1, dry_run: false },
+        phases: [{ name: 'Update Configurations', result, success: true }]
+      });
+      expect(report).toContain('| markdown-link-check@^3.12.0 | devDependencies | user | Kept |');
+    });
+  });
+});
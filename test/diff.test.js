@@ -0,0 +1,38 @@
+const { createUnifiedDiff } = require('../lib/diff');
+
+describe('Unified diff', () => {
+  test('should return an empty string for equal content', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb')).toBe('');
+  });
+
+  test('should show changed lines with context and hunk ranges', () => {
+    const oldText = ['{', '  "name": "spec",', '  "scripts": {', '    "build": "gulp"', '  }', '}'].join('\n');
+    const newText = ['{', '  "name": "spec",', '  "scripts": {', '    "render": "spec-up-t render"', '  }', '}'].join('\n');
+
+    expect(createUnifiedDiff(oldText, newText, { fromFile: 'a/package.json', toFile: 'b/package.json', context: 1 })).toBe([
+      '--- a/package.json',
+      '+++ b/package.json',
+      '@@ -3,3 +3,3 @@',
+      '   "scripts": {',
+      '-    "build": "gulp"',
+      '+    "render": "spec-up-t render"',
+      '   }',
+      ''
+    ].join('\n'));
+  });
+
+  test('should split distant changes into separate hunks', () => {
+    const oldLines = Array.from({ length: 20 }, (_, i) => `line ${i}`);
+    const newLines = [...oldLines];
+    newLines[1] = 'changed 1';
+    newLines[18] = 'changed 18';
+
+    const diff = createUnifiedDiff(oldLines.join('\n'), newLines.join('\n'));
+
+    expect(diff.match(/^@@ .* @@$/gm)).toEqual(['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+  });
+
+  test('should diff against an empty file for new files', () => {
+    expect(createUnifiedDiff('', 'node_modules\n')).toBe('--- a\n+++ b\n@@ -0,0 +1,1 @@\n+node_modules\n');
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { convertExternalSpecs, parseRepositoryUrl, describeRepository } = require('../lib/external-specs');
+const { updateConfigurations } = require('../lib/updater');
+const { generateReport } = require('../lib/report');
+const { fetchText, fetchJson } = require('../lib/fetch');
+
+jest.mock('../lib/fetch');
+
+describe('External specs conversion', () => {
+  let mirrorDir;
+
+  const writeMirror = async (repository, specs) => {
+    await fs.mkdir(path.join(mirrorDir, repository), { recursive: true });
+    await fs.writeFile(path.join(mirrorDir, repository, 'specs.json'), JSON.stringify(specs));
+  };
+
+  beforeEach(async () => {
+    mirrorDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-external-specs-'));
+    await writeMirror('acme/did-spec', { specs: [{ spec_directory: './docs/spec/', spec_terms_directory: 'glossary' }] });
+    fetchText.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    fetchJson.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+  });
+
+  afterEach(async () => {
+    jest.resetAllMocks();
+    await fs.rm(mirrorDir, { recursive: true, force: true });
+  });
+
+  test('should derive repositories from GitHub and GitLab Pages and repository URLs', () => {
+    expect(parseRepositoryUrl('https://weboftrust.github.io/kerisuite-glossary/')).toEqual({ host: 'github', account: 'weboftrust', repo: 'kerisuite-glossary' });
+    expect(parseRepositoryUrl('https://gitlab.com/acme/did-spec.git')).toEqual({ host: 'gitlab', account: 'acme', repo: 'did-spec' });
+    expect(parseRepositoryUrl('https://identity.foundation/presentation-exchange')).toBeNull();
+    expect(describeRepository({ host: 'gitlab', account: 'acme', repo: 'did-spec' }))
+      .toEqual({ gh_page: 'https://acme.gitlab.io/did-spec/', url: 'https://gitlab.com/acme/did-spec' });
+    expect(describeRepository(parseRepositoryUrl('https://henkvancann.github.io/')).gh_page).toBe('https://henkvancann.github.io/');
+  });
+
+  test('should read the terms directory from the remote specs.json and discover repositories of custom domains', async () => {
+    fetchText.mockResolvedValue('<a href="https://github.com/decentralized-identity/spec-up">Spec-Up</a> <a href="https://github.com/decentralized-identity/presentation-exchange">Source</a>');
+    fetchJson.mockImplementation(async url => {
+      if (url === 'https://raw.githubusercontent.com/weboftrust/kerisuite-glossary/HEAD/specs.json') {
+        return { specs: [{ spec_directory: './spec', spec_terms_directory: 'terms' }] };
+      }
+      if (url === 'https://raw.githubusercontent.com/decentralized-identity/presentation-exchange/HEAD/specs.json') {
+        return { specs: [{ spec_directory: './spec' }] };
+      }
+      throw Object.assign(new Error('HTTP 404'), { status: 404 });
+    });
+
+    const { externalSpecs, report } = await convertExternalSpecs([
+      { KERISuite: 'https://weboftrust.github.io/kerisuite-glossary/', PE: 'https://identity.foundation/presentation-exchange' },
+      { DID: 'https://acme.gitlab.io/did-spec/' }
+    ], { mirrorDirectory: mirrorDir });
+
+    expect(externalSpecs).toEqual([
+      { external_spec: 'KERISuite', gh_page: 'https://weboftrust.github.io/kerisuite-glossary/', url: 'https://github.com/weboftrust/kerisuite-glossary', terms_dir: 'spec/terms' },
+      { external_spec: 'PE', gh_page: 'https://identity.foundation/presentation-exchange', url: 'https://github.com/decentralized-identity/presentation-exchange', terms_dir: 'spec/terms-definitions' },
+      { external_spec: 'DID', gh_page: 'https://acme.gitlab.io/did-spec/', url: 'https://gitlab.com/acme/did-spec', terms_dir: 'docs/spec/glossary' }
+    ]);
+    expect(report.map(resolution => `${resolution.external_spec}:${resolution.repository}:${resolution.terms_dir_origin}`)).toEqual([
+      'KERISuite:github:weboftrust/kerisuite-glossary:remote',
+      'PE:github:decentralized-identity/presentation-exchange:remote',
+      'DID:gitlab:acme/did-spec:mirror'
+    ]);
+    expect(report.every(resolution => resolution.resolved)).toBe(true);
+  });
+
+  test('should flag entries it cannot resolve during the configuration update', async () => {
+    const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-external-specs-project-'));
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({
+      specs: [{
+        title: 'My Spec',
+        spec_directory: './spec',
+        external_specs: [{ DID: 'https://gitlab.com/acme/did-spec', VC: 'https://w3c.github.io/vc-data-model/', Local: 'glossary.md' }]
+      }]
+    }));
+
+    try {
+      const result = await updateConfigurations(projectDir, { offline: true, externalSpecsDir: mirrorDir });
+
+      const written = JSON.parse(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8')).specs[0].external_specs;
+      expect(written.map(entry => `${entry.external_spec} ${entry.gh_page} ${entry.terms_dir}`)).toEqual([
+        'DID https://acme.gitlab.io/did-spec/ docs/spec/glossary',
+        'VC https://w3c.github.io/vc-data-model/ spec/terms-definitions',
+        'Local glossary.md spec/terms-definitions'
+      ]);
+      expect(fetchJson).not.toHaveBeenCalled();
+
+      const specsUpdate = result.updates.find(update => update.file === 'specs.json');
+      expect(specsUpdate.externalSpecs.filter(resolution => !resolution.resolved).map(resolution => resolution.reason)).toEqual([
+        'specs.json of w3c/vc-data-model could not be read',
+        'not a URL'
+      ]);
+      expect(specsUpdate.changes).toContain('Could not resolve external spec Local (glossary.md): not a URL; terms_dir set to spec/terms-definitions');
+
+      const report = generateReport({
+        directory: projectDir,
+        success: true,
+        summary: { total_phases: 1, successful_phases: 1, dry_run: false },
+        phases: [{ name: 'Update Configurations', result, success: true }]
+      });
+      expect(report).toContain('| DID | https://gitlab.com/acme/did-spec | gitlab:acme/did-spec | from mirror specs.json | Resolved |');
+    } finally {
+      await fs.rm(projectDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { fetchText, fetchJson, getProxyUrl } = require('../lib/fetch');
+
+describe('HTTP fetching', () => {
+  let server;
+  let baseUrl;
+  let cacheDirectory;
+  let routes;
+  let requests;
+  const sockets = new Set();
+
+  // server.closeAllConnections() needs Node 18.2
+  const closeConnections = () => sockets.forEach(socket => socket.destroy());
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      requests.push(request);
+      const route = routes[request.url];
+      if (!route) {
+        response.writeHead(404);
+        response.end('404: Not Found');
+        return;
+      }
+      route(request, response);
+    });
+    // Acts as a proxy that refuses every tunnel
+    server.on('connect', (request, socket) => {
+      requests.push(request);
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    });
+    server.on('connection', (socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    closeConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    routes = {};
+    requests = [];
+    cacheDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-fetch-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(cacheDirectory, { recursive: true, force: true });
+  });
+
+  const options = () => ({ cacheDirectory, backoff: 1, timeout: 1000 });
+
+  test('should reject error statuses instead of returning the error page', async () => {
+    await expect(fetchText(`${baseUrl}/missing`, { ...options(), retries: 0 })).rejects.toMatchObject({
+      message: `HTTP 404 for ${baseUrl}/missing`,
+      status: 404
+    });
+  });
+
+  test('should follow redirects', async () => {
+    routes['/old'] = (request, response) => {
+      response.writeHead(301, { Location: '/new' });
+      response.end();
+    };
+    routes['/new'] = (request, response) => response.end('{"moved": true}');
+
+    await expect(fetchJson(`${baseUrl}/old`, options())).resolves.toEqual({ moved: true });
+  });
+
+  test('should retry temporary failures with backoff', async () => {
+    let attempts = 0;
+    routes['/flaky'] = (request, response) => {
+      attempts++;
+      response.writeHead(attempts < 3 ? 503 : 200);
+      response.end(attempts < 3 ? 'busy' : 'ok');
+    };
+
+    await expect(fetchText(`${baseUrl}/flaky`, options())).resolves.toBe('ok');
+    expect(attempts).toBe(3);
+  });
+
+  test('should not retry host names that do not resolve', async () => {
+    const started = Date.now();
+
+    await expect(fetchText('http://spec-up-migrate.invalid/specs.json', { ...options(), backoff: 1000 }))
+      .rejects.toMatchObject({ code: 'ENOTFOUND' });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should time out requests that do not answer', async () => {
+    routes['/hang'] = () => {};
+
+    await expect(fetchText(`${baseUrl}/hang`, { ...options(), timeout: 50, retries: 1 })).rejects.toThrow('timed out after 50 ms');
+    expect(requests).toHaveLength(2);
+    closeConnections();
+  });
+
+  test('should refuse redirects from HTTPS to plain HTTP', async () => {
+    routes['/plain'] = (request, response) => response.end('plaintext');
+    const secureRequest = jest.spyOn(https, 'request').mockImplementation((target, requestOptions, callback) => {
+      const request = new EventEmitter();
+      request.setTimeout = () => request;
+      request.end = () => callback(Object.assign(Readable.from([]), { statusCode: 302, headers: { location: `${baseUrl}/plain` } }));
+      return request;
+    });
+
+    await expect(fetchText('https://raw.githubusercontent.com/specs.json', { ...options(), env: {} }))
+      .rejects.toMatchObject({ code: 'ERR_REDIRECT_DOWNGRADE', message: expect.stringContaining('downgrades HTTPS') });
+    expect(secureRequest).toHaveBeenCalledTimes(1);
+    expect(requests).toEqual([]);
+  });
+
+  test('should revalidate cached responses with their ETag', async () => {
+    routes['/specs.json'] = (request, response) => {
+      if (request.headers['if-none-match'] === '"v1"') {
+        response.writeHead(304);
+        response.end();
+        return;
+      }
+      response.writeHead(200, { ETag: '"v1"' });
+      response.end('first body');
+    };
+
+    await expect(fetchText(`${baseUrl}/specs.json`, options())).resolves.toBe('first body');
+    await expect(fetchText(`${baseUrl}/specs.json`, options())).resolves.toBe('first body');
+    expect(requests.map(request => request.headers['if-none-match'])).toEqual([undefined, '"v1"']);
+    expect(requests.every(request => request.headers['user-agent'] === 'spec-up-migrate')).toBe(true);
+  });
+
+  test('should tunnel HTTPS requests through HTTPS_PROXY', async () => {
+    const env = { HTTPS_PROXY: baseUrl.replace('http://', 'http://user:secret@') };
+
+    await expect(fetchText('https://raw.githubusercontent.com/a/b', { ...options(), retries: 0, env }))
+      .rejects.toThrow('refused the tunnel to raw.githubusercontent.com:443: HTTP 403');
+    expect(requests[0].method).toBe('CONNECT');
+    expect(requests[0].headers['proxy-authorization']).toBe(`Basic ${Buffer.from('user:secret').toString('base64')}`);
+  });
+
+  test('should proxy HTTPS requests unless NO_PROXY lists the host', () => {
+    const env = { HTTPS_PROXY: 'http://proxy.example:3128', NO_PROXY: 'localhost,.internal.example' };
+
+    expect(getProxyUrl('https://raw.githubusercontent.com/a/b', env)).toBe('http://proxy.example:3128');
+    expect(getProxyUrl('https://git.internal.example/a/b', env)).toBeNull();
+    expect(getProxyUrl('http://example.com/a', env)).toBeNull();
+    expect(getProxyUrl('https://example.com/a', {})).toBeNull();
+  });
+});
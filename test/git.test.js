@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getGitStatus, assertCleanWorkingTree, createBranch, commitAll } = require('../lib/git');
+const { completeMigration } = require('../lib/migrator');
+const { install } = require('../lib/installer');
+
+jest.mock('../lib/installer');
+
+describe('Git safety checks', () => {
+  let projectDir;
+
+  const git = (...args) => execFileSync('git', args, { cwd: projectDir, encoding: 'utf8' }).trim();
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-git-'));
+    git('init', '--quiet', '--initial-branch=main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    await fs.writeFile(path.join(projectDir, 'specs.json'), '{"specs":[]}');
+    git('add', '-A');
+    git('commit', '--quiet', '-m', 'Initial');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should report projects outside git', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-nogit-'));
+    try {
+      expect(await getGitStatus(outside)).toEqual({ isRepository: false });
+      await expect(assertCleanWorkingTree(outside)).resolves.toEqual({ isRepository: false });
+    } finally {
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+  });
+
+  test('should refuse a dirty working tree unless allowed', async () => {
+    await fs.mkdir(path.join(projectDir, '.spec-up-migrate'));
+    await fs.writeFile(path.join(projectDir, '.spec-up-migrate', 'state.json'), '{}');
+    expect((await getGitStatus(projectDir)).dirty).toEqual([]);
+
+    await fs.writeFile(path.join(projectDir, 'specs.json'), '{"specs":[{}]}');
+
+    await expect(assertCleanWorkingTree(projectDir)).rejects.toThrow('uncommitted changes (specs.json)');
+    await expect(assertCleanWorkingTree(projectDir, { allowDirty: true })).resolves.toMatchObject({
+      isRepository: true,
+      branch: 'main',
+      dirty: ['specs.json']
+    });
+  });
+
+  test('should commit changes on a new branch without the tool directory', async () => {
+    expect(await createBranch(projectDir)).toBe('spec-up-t-migration');
+    await expect(createBranch(projectDir)).rejects.toThrow("Branch 'spec-up-t-migration' already exists");
+
+    await fs.mkdir(path.join(projectDir, '.spec-up-migrate'));
+    await fs.writeFile(path.join(projectDir, '.spec-up-migrate', 'state.json'), '{}');
+    expect(await commitAll(projectDir, 'Nothing')).toEqual({ committed: false });
+    expect((await commitAll(projectDir, 'Back up', { allowEmpty: true })).committed).toBe(true);
+
+    await fs.writeFile(path.join(projectDir, 'package.json'), '{}');
+    const commit = await commitAll(projectDir, 'Add package.json');
+
+    expect(commit).toMatchObject({ committed: true, message: 'Add package.json' });
+    expect(git('show', '--name-only', '--format=', commit.sha)).toBe('package.json');
+  });
+
+  test('should reset the phase commits and the migration branch when a later phase fails', async () => {
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ title: 'My Spec', spec_directory: './spec' }] }));
+    await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'my-spec', dependencies: { 'spec-up': '^0.11.0' } }));
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), '// gulp');
+    git('add', '-A');
+    git('commit', '--quiet', '-m', 'Spec-Up project');
+    const start = git('rev-parse', 'HEAD');
+    install.mockRejectedValue(new Error('npm install failed'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const result = await completeMigration(projectDir, { skipDetection: true, offline: true, branch: true });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('npm install failed');
+      expect(result.git.commits.length).toBeGreaterThan(0);
+      expect(result.gitRollback).toEqual({ commit: start, branch: 'main', deletedBranch: 'spec-up-t-migration' });
+      expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+      expect(git('rev-parse', 'HEAD')).toBe(start);
+      expect(git('branch', '--list', 'spec-up-t-migration')).toBe('');
+      expect((await getGitStatus(projectDir)).dirty).toEqual([]);
+    } finally {
+      console.log.mockRestore();
+    }
+  });
+});
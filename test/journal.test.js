@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createJournal, loadJournal, trackPath, makeDirectory, removePath, rollback } = require('../lib/journal');
+const { cleanup } = require('../lib/cleanup');
+
+describe('Migration journal', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-journal-'));
+    await fs.writeFile(path.join(projectDir, 'package.json'), '{"name":"original"}');
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.writeFile(path.join(projectDir, 'src', 'plugin.js'), 'module.exports = {};');
+    await fs.writeFile(path.join(projectDir, 'gulpfile.js'), '// gulp');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should restore removed, overwritten and created paths', async () => {
+    const journal = await createJournal(projectDir);
+
+    await cleanup(projectDir, { journal });
+    await trackPath(journal, path.join(projectDir, 'package.json'));
+    await fs.writeFile(path.join(projectDir, 'package.json'), '{"name":"migrated"}');
+    await makeDirectory(journal, path.join(projectDir, 'spec', 'terms-definitions'));
+
+    const result = await rollback(projectDir);
+
+    expect(result.summary.failed).toBe(0);
+    expect(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8')).toBe('{"name":"original"}');
+    expect(await fs.readFile(path.join(projectDir, 'src', 'plugin.js'), 'utf8')).toBe('module.exports = {};');
+    expect(await fs.readFile(path.join(projectDir, 'gulpfile.js'), 'utf8')).toBe('// gulp');
+    await expect(fs.access(path.join(projectDir, 'spec'))).rejects.toThrow();
+    expect(await loadJournal(projectDir)).toBeNull();
+  });
+
+  test('should keep the first recorded state of a path', async () => {
+    const journal = await createJournal(projectDir);
+    const gulpfile = path.join(projectDir, 'gulpfile.js');
+
+    await trackPath(journal, gulpfile);
+    await fs.writeFile(gulpfile, '// changed once');
+    await trackPath(journal, gulpfile);
+    await removePath(journal, gulpfile);
+
+    expect(journal.entries).toHaveLength(1);
+
+    const dryRun = await rollback(projectDir, { dryRun: true });
+    expect(dryRun.entries[0]).toMatchObject({ path: 'gulpfile.js', action: 'restore', dryRun: true });
+    await expect(fs.access(gulpfile)).rejects.toThrow();
+
+    await rollback(projectDir);
+    expect(await fs.readFile(gulpfile, 'utf8')).toBe('// gulp');
+  });
+
+  test('should fail when there is no journal to roll back', async () => {
+    await expect(rollback(projectDir)).rejects.toThrow('No migration journal found');
+  });
+});
@@ -0,0 +1,39 @@
+const { parseLiteral, readDeclaredLiteral } = require('../lib/literal');
+
+describe('Literal parser', () => {
+  test('should parse the data subset of JavaScript', () => {
+    const source = `{
+      // comment
+      edit: 'node -e "require(\\'spec-up-t\\')()"',
+      "render": "spec-up-t render", /* block comment */
+      list: [1, -2.5e3, true, false, null,],
+    }`;
+
+    expect(parseLiteral(source).value).toEqual({
+      edit: 'node -e "require(\'spec-up-t\')()"',
+      render: 'spec-up-t render',
+      list: [1, -2500, true, false, null]
+    });
+  });
+
+  test('should keep __proto__ as a plain key', () => {
+    const value = parseLiteral('{ "__proto__": { "polluted": true } }').value;
+
+    expect(Object.keys(value)).toEqual(['__proto__']);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('should reject code with the position of the offending token', () => {
+    expect(() => parseLiteral('{ render: require("child_process") }')).toThrow('Unexpected "r"; only literal values are supported at line 1, column 11');
+    expect(() => parseLiteral('{ render: `spec-up-t ${cmd}` }')).toThrow(SyntaxError);
+    expect(() => parseLiteral('{ a: "1" b: "2" }')).toThrow('Expected "," or "}" but found "b" at line 1, column 10');
+  });
+
+  test('should read the literal assigned by a declaration', () => {
+    const source = 'const keys = { render: "a" };\nconst other = { render: "b" } + extra;\n';
+
+    expect(readDeclaredLiteral(source, 'keys')).toEqual({ render: 'a' });
+    expect(() => readDeclaredLiteral(source, 'other')).toThrow('Unexpected "+" after the value of other at line 2, column 31');
+    expect(() => readDeclaredLiteral(source, 'missing')).toThrow('No declaration of missing found');
+  });
+});
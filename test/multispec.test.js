@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { updateConfigurations } = require('../lib/updater');
+const { applyMultiSpecMode } = require('../lib/split-project');
+const { extractAllDefinitions } = require('../lib/splitter');
+const { generateReport } = require('../lib/report');
+const { completeMigration } = require('../lib/migrator');
+
+describe('Multi-spec migration', () => {
+  let projectDir;
+
+  const write = async (filePath, content) => {
+    await fs.mkdir(path.dirname(path.join(projectDir, filePath)), { recursive: true });
+    await fs.writeFile(path.join(projectDir, filePath), content);
+  };
+  const readJson = async filePath => JSON.parse(await fs.readFile(path.join(projectDir, filePath), 'utf8'));
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-multispec-'));
+    await write('specs.json', JSON.stringify({
+      specs: [
+        { title: 'Main Spec', spec_directory: './spec', markdown_paths: ['main.md'] },
+        { title: 'KERI Spec', spec_directory: './keri', markdown_paths: ['keri.md'] }
+      ]
+    }));
+    await write('package.json', JSON.stringify({ name: 'my-specs', dependencies: { 'spec-up': '^0.11.0' } }));
+    await write('spec/main.md', '# Main\n\n[[def: main term]]\n~ Defined in the main spec.\n');
+    await write('keri/keri.md', '# KERI\n\n[[def: key event]]\n~ Defined in the KERI spec.\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should transform every spec in place and prepare each spec directory', async () => {
+    const result = await updateConfigurations(projectDir, { offline: true });
+
+    const specs = (await readJson('specs.json')).specs;
+    expect(specs.map(spec => spec.title)).toEqual(['Main Spec', 'KERI Spec']);
+    expect(specs.every(spec => spec.spec_terms_directory === 'terms-definitions')).toBe(true);
+    expect(result.updates.find(update => update.file === 'specs.json').specs.map(spec => spec.outcome)).toEqual(['in-place', 'in-place']);
+    await expect(fs.access(path.join(projectDir, 'keri/terms-and-definitions-intro.md'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(projectDir, 'keri/terms-definitions'))).resolves.toBeUndefined();
+
+    const extraction = await extractAllDefinitions({ directory: projectDir });
+    expect(extraction.definitionsFound.map(definition => definition.term)).toEqual(['main-term', 'key-event']);
+    await expect(fs.access(path.join(projectDir, 'keri/terms-definitions/key-event.md'))).resolves.toBeUndefined();
+  });
+
+  test('should split every spec after the first into a project of its own', async () => {
+    await write('keri/keri.md', '# KERI\n\n[[def: key event]]\n~ Signed by a [[ref: main term]].\n');
+
+    const split = await applyMultiSpecMode(projectDir, 'split', { offline: true });
+    const result = await updateConfigurations(projectDir, { offline: true, split });
+
+    expect(split.kept).toMatchObject({ index: 0, title: 'Main Spec' });
+    expect((await readJson('specs.json')).specs.map(spec => spec.title)).toEqual(['Main Spec']);
+    const projectSpecs = await readJson('projects/keri-spec/specs.json');
+    expect(projectSpecs.specs).toHaveLength(1);
+    expect(projectSpecs.specs[0]).toMatchObject({ title: 'KERI Spec', spec_directory: './spec', output_path: './docs' });
+    expect(projectSpecs.specs[0].external_specs.map(entry => entry.external_spec)).toEqual([path.basename(projectDir)]);
+    expect((await readJson('projects/keri-spec/package.json')).name).toBe('my-specs-keri-spec');
+    await expect(fs.readFile(path.join(projectDir, 'projects/keri-spec/spec/keri.md'), 'utf8'))
+      .resolves.toContain(`~ Signed by a [[xref: ${path.basename(projectDir)}, main term]].`);
+    await expect(fs.access(path.join(projectDir, 'projects/keri-spec/spec/terms-and-definitions-intro.md'))).resolves.toBeUndefined();
+
+    const specsUpdate = result.updates.find(update => update.file === 'specs.json');
+    expect(specsUpdate.specs[1]).toMatchObject({ outcome: 'split', project: 'projects/keri-spec' });
+    const report = generateReport({
+      directory: projectDir,
+      success: true,
+      summary: { total_phases: 1, successful_phases: 1, dry_run: false },
+      phases: [{ name: 'Update Configurations', result, success: true }]
+    });
+    expect(report).toContain('| KERI Spec | ./keri | Split into projects/keri-spec |');
+  });
+
+  test('should split before cleanup and process the definitions of every project in a complete migration', async () => {
+    await write('assets/css/brand.css', '.brand { color: teal; }');
+
+    const result = await completeMigration(projectDir, {
+      skipDetection: true,
+      skipBackup: true,
+      skipInstall: true,
+      offline: true,
+      multiSpec: 'split'
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.phases.map(phase => phase.name).indexOf('Split Specs'))
+      .toBeLessThan(result.phases.map(phase => phase.name).indexOf('Cleanup'));
+    await expect(fs.readFile(path.join(projectDir, 'projects/keri-spec/assets/css/brand.css'), 'utf8'))
+      .resolves.toBe('.brand { color: teal; }');
+    await expect(fs.access(path.join(projectDir, 'assets/css/brand.css'))).rejects.toThrow();
+    await expect(fs.access(path.join(projectDir, 'keri'))).rejects.toThrow();
+    expect(result.phases.find(phase => phase.name === 'Split Specs').result.removed).toEqual(['keri']);
+
+    await expect(fs.access(path.join(projectDir, 'spec/terms-definitions/main-term.md'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(projectDir, 'projects/keri-spec/spec/terms-definitions/key-event.md'))).resolves.toBeUndefined();
+    await expect(fs.readFile(path.join(projectDir, 'projects/keri-spec/spec/keri.md'), 'utf8'))
+      .resolves.not.toContain('[[def:');
+    const definitions = result.phases.find(phase => phase.name === 'Definition Processing');
+    expect(definitions.success).toBe(true);
+    expect(definitions.result.projects.map(project => project.name)).toEqual(['keri-spec']);
+  });
+
+  test('should only describe the split in dry-run mode', async () => {
+    const split = await applyMultiSpecMode(projectDir, 'split', { dryRun: true, offline: true });
+    const result = await updateConfigurations(projectDir, { dryRun: true, offline: true, split });
+
+    expect(result.updates.find(update => update.file === 'specs.json').changes)
+      .toContain('Would split spec "KERI Spec" into projects/keri-spec (1 markdown file(s))');
+    await expect(fs.access(path.join(projectDir, 'projects'))).rejects.toThrow();
+    expect(split.removed).toEqual(['keri']);
+    await expect(fs.access(path.join(projectDir, 'keri/keri.md'))).resolves.toBeUndefined();
+    await expect(applyMultiSpecMode(projectDir, 'in-place')).resolves.toBeNull();
+    await expect(applyMultiSpecMode(projectDir, 'first')).rejects.toThrow('Invalid multi-spec mode "first"');
+  });
+});
@@ -0,0 +1,51 @@
+const { describePhaseChanges, formatPhaseCommitMessage } = require('../lib/phases');
+
+describe('Phase change descriptions', () => {
+  test('should list the removed and kept items of the cleanup phase', () => {
+    const changes = describePhaseChanges({
+      name: 'Cleanup',
+      result: {
+        items: [
+          { path: 'gulpfile.js', reason: 'Gulp build system replaced by Spec-Up-T', removed: true },
+          { path: 'index.js', reason: 'Entry point replaced by Spec-Up-T CLI', removed: false }
+        ],
+        skipped: [{ path: 'src', reason: 'Local plugins' }]
+      }
+    });
+
+    expect(changes).toEqual([
+      'Removed gulpfile.js (Gulp build system replaced by Spec-Up-T)',
+      'Kept src: Local plugins'
+    ]);
+  });
+
+  test('should collect update changes and converted files', () => {
+    expect(describePhaseChanges({
+      name: 'Update Configurations',
+      result: { updates: [{ changes: ['Added katex configuration for Spec'] }, { file: 'assets' }] }
+    })).toEqual(['Added katex configuration for Spec']);
+
+    expect(describePhaseChanges({
+      name: 'Definition Processing',
+      result: {
+        extraction: { filesCreated: ['term-a.md'] },
+        conversion: { conversions: [{ file: 'spec/a.md' }, { file: 'spec/a.md' }] }
+      }
+    })).toEqual(['Created term file term-a.md', 'Converted [[def:]] to [[iref:]] in spec/a.md']);
+  });
+
+  test('should tolerate incomplete results and unknown phases', () => {
+    expect(describePhaseChanges({ name: 'Definition Processing', result: { success: false, messages: [] } })).toEqual([]);
+    expect(describePhaseChanges({ name: 'Detection', result: { confidence: 100 } })).toEqual([]);
+  });
+
+  test('should build commit messages from the changes list', () => {
+    expect(formatPhaseCommitMessage({ name: 'Cleanup', changes: ['Removed gulpfile.js (Gulp)'] }))
+      .toBe('Remove obsolete Spec-Up files\n\n- Removed gulpfile.js (Gulp)');
+    expect(formatPhaseCommitMessage({ name: 'Installation', changes: [] })).toBe('Install Spec-Up-T');
+    expect(formatPhaseCommitMessage({ name: 'Detection', changes: [] })).toBeNull();
+
+    const many = Array.from({ length: 45 }, (_, i) => `Change ${i}`);
+    expect(formatPhaseCommitMessage({ name: 'Backup', changes: many }).split('\n').pop()).toBe('- ...and 5 more');
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { convertReferenceSyntax } = require('../lib/utils');
+const { processDefinitions } = require('../lib/splitter');
+const { generateReport } = require('../lib/report');
+
+describe('Reference conversion', () => {
+  test('should rewrite Spec-Up references to their Spec-Up-T forms', () => {
+    const content = [
+      'See [[ref:kerisuite,AID]] and [[ref: Local Term]].',
+      '[[xref: KERISuite , KEL, key event log]]',
+      'Inline [[xref: KERISuite, KEL]] stays an xref.',
+      '[[tref: kerisuite, SAID]]'
+    ].join('\n');
+
+    const result = convertReferenceSyntax(content, { externalSpecs: ['KERISuite'], definedTerms: new Set(['local term']), inTermsFile: true });
+
+    expect(result.content.split('\n')).toEqual([
+      'See [[xref: KERISuite, AID]] and [[ref: Local Term]].',
+      '[[tref: KERISuite, KEL, key event log]]',
+      'Inline [[xref: KERISuite, KEL]] stays an xref.',
+      '[[tref: KERISuite, SAID]]'
+    ]);
+    expect(result.conversions.map(conversion => conversion.original)).toEqual([
+      '[[ref:kerisuite,AID]]',
+      '[[xref: KERISuite , KEL, key event log]]',
+      '[[tref: kerisuite, SAID]]'
+    ]);
+    expect(result.unresolved).toEqual([]);
+    expect(convertReferenceSyntax('[[xref: KERISuite, KEL]]', { externalSpecs: ['KERISuite'] }).conversions).toEqual([]);
+  });
+
+  test('should leave references it cannot resolve as written and report them', () => {
+    const content = 'Uses [[ref: Missing]], [[xref: PE, presentation definition]] and [[xref: KERISuite]].';
+
+    const result = convertReferenceSyntax(content, { externalSpecs: ['KERISuite'], definedTerms: new Set() });
+
+    expect(result.content).toBe(content);
+    expect(result.unresolved).toEqual([
+      { reference: '[[ref: Missing]]', reason: 'term "Missing" is not defined in this spec' },
+      { reference: '[[xref: PE, presentation definition]]', reason: 'external spec "PE" is not in external_specs' },
+      { reference: '[[xref: KERISuite]]', reason: 'no term after external spec "KERISuite"' }
+    ]);
+  });
+
+  describe('during definition processing', () => {
+    let projectDir;
+
+    beforeEach(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-references-'));
+      await fs.mkdir(path.join(projectDir, 'spec'));
+      await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({
+        specs: [{
+          spec_directory: './spec',
+          spec_terms_directory: 'terms-definitions',
+          markdown_paths: ['spec.md'],
+          external_specs: [{ external_spec: 'KERISuite', gh_page: 'https://weboftrust.github.io/kerisuite-glossary/', url: 'https://github.com/weboftrust/kerisuite-glossary', terms_dir: 'spec/terms' }]
+        }]
+      }));
+      await fs.writeFile(path.join(projectDir, 'spec', 'spec.md'), [
+        '[[def: Controller]]',
+        '~ Controls an [[ref: KERISuite, AID]].',
+        '',
+        'A [[ref: controller]] signs with keys of a [[ref: PE, holder]].'
+      ].join('\n'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(projectDir, { recursive: true, force: true });
+    });
+
+    test('should convert the references of the spec and its term files', async () => {
+      const result = await processDefinitions({ directory: projectDir });
+
+      expect(result.success).toBe(true);
+      expect(await fs.readFile(path.join(projectDir, 'spec', 'terms-definitions', 'controller.md'), 'utf8'))
+        .toContain('~ Controls an [[xref: KERISuite, AID]].');
+      expect(await fs.readFile(path.join(projectDir, 'spec', 'spec.md'), 'utf8'))
+        .toContain('A [[ref: controller]] signs with keys of a [[ref: PE, holder]].');
+      expect(result.references.unresolved).toEqual([
+        { file: path.join('spec', 'spec.md'), reference: '[[ref: PE, holder]]', reason: 'external spec "PE" is not in external_specs' }
+      ]);
+
+      const report = generateReport({
+        directory: projectDir,
+        success: true,
+        summary: { total_phases: 1, successful_phases: 1, dry_run: false },
+        phases: [{ name: 'Definition Processing', result, success: true }]
+      });
+      expect(report).toContain('| [[ref: KERISuite, AID]] | [[xref: KERISuite, AID]] | spec/terms-definitions/controller.md |');
+      expect(report).toContain('| [[ref: PE, holder]] | external spec "PE" is not in external_specs | spec/spec.md |');
+    });
+  });
+});
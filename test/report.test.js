@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { generateReport, writeReport } = require('../lib/report');
+
+const migrationResult = {
+  directory: '/projects/my-spec',
+  success: true,
+  summary: { total_phases: 6, successful_phases: 6, dry_run: false },
+  phases: [
+    { name: 'Find Project Root', result: { found: true }, success: true },
+    {
+      name: 'Detection',
+      success: true,
+      result: {
+        confidence: 90,
+        verdict: 'Spec-Up installation detected',
+        checks: [{ description: 'specs.json configuration file', found: true, details: 'Found 1 spec(s)' }]
+      }
+    },
+    {
+      name: 'Backup',
+      success: true,
+      result: {
+        snapshot: '/projects/my-spec/.spec-up-migrate/backups/2026-10-19T10-00-00-000Z',
+        files: [],
+        verification: { files: [{ path: 'specs.json', expectedSize: 2048, status: 'ok' }] }
+      }
+    },
+    {
+      name: 'Cleanup',
+      success: true,
+      result: {
+        items: [
+          { path: 'gulpfile.js', type: 'file', size: 512, reason: 'Gulp | build system', exists: true, removed: true },
+          { path: 'fonts', type: 'directory', size: 0, reason: 'Fonts', exists: false, removed: false },
+          { path: 'src', type: 'directory', size: 4096, reason: 'Replaced', exists: true, removed: false, error: 'EACCES: permission denied' }
+        ],
+        skipped: [],
+        customizations: { files: [{ path: 'custom-assets/theme.css', status: 'added', suggestion: 'static/css/theme.css' }] }
+      }
+    },
+    {
+      name: 'Update Configurations',
+      success: true,
+      result: { updates: [{ file: 'specs.json', changes: ['Added katex configuration for <My Spec>'] }] }
+    },
+    {
+      name: 'Definition Processing',
+      success: true,
+      result: {
+        extraction: { definitionsFound: [{ term: 'agent', sourceFile: 'spec/terms.md', filename: 'agent.md' }] },
+        conversion: { conversions: [{ term: 'agent', file: 'spec/terms.md' }] }
+      }
+    },
+    {
+      name: 'Installation',
+      success: true,
+      result: { steps: [{ step: 'Install dependencies', success: true, skipped: true, message: 'Skipped dependency installation' }] }
+    }
+  ]
+};
+
+describe('Migration report', () => {
+  test('should describe every phase in Markdown', () => {
+    const markdown = generateReport(migrationResult);
+
+    expect(markdown).toContain('# Spec-Up-T Migration Report');
+    expect(markdown).toContain('Verdict: Spec-Up installation detected (confidence 90%)');
+    expect(markdown).toContain('| specs.json | 2 KB | ok |');
+    expect(markdown).toContain('| gulpfile.js | file | 512 B | Gulp \\| build system |');
+    expect(markdown).not.toContain('| fonts |');
+    expect(markdown).not.toContain('| src | directory | 4 KB |');
+    expect(markdown).toContain('| Not deleted | Type | Error |');
+    expect(markdown).toContain('| src | directory | EACCES: permission denied |');
+    expect(markdown).toContain('| custom-assets/theme.css | added | static/css/theme.css |');
+    expect(markdown).toContain('- Added katex configuration for <My Spec>');
+    expect(markdown).toContain('| agent | spec/terms.md | agent.md |');
+    expect(markdown).toContain('| Install dependencies | Skipped | Skipped dependency installation |');
+  });
+
+  test('should note phases that did not run or came from an interrupted run', () => {
+    const markdown = generateReport({
+      ...migrationResult,
+      resumed: true,
+      phases: [{ name: 'Cleanup', result: null, success: true, resumed: true }]
+    });
+
+    expect(markdown).toContain('| Resumed | Yes, continued an interrupted migration |');
+    expect(markdown).toMatch(/## Cleanup\n\nCompleted in an earlier, interrupted run\./);
+    expect(markdown).toMatch(/## Installation\n\nThis phase did not run\./);
+  });
+
+  test('should write escaped HTML for .html files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-report-'));
+    try {
+      const report = await writeReport(migrationResult, path.join(dir, 'reports', 'migration.html'));
+      const html = await fs.readFile(report.path, 'utf8');
+
+      expect(report.format).toBe('html');
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<li>Added katex configuration for &lt;My Spec&gt;</li>');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { validateSpecsJson, formatSchemaError } = require('../lib/schema');
+const { updateConfigurations } = require('../lib/updater');
+const { completeMigration } = require('../lib/migrator');
+const { checkSpecsJson } = require('../lib/detector');
+
+describe('specs.json schema validation', () => {
+  const migratedSpec = {
+    title: 'My Spec',
+    spec_directory: './spec',
+    spec_terms_directory: 'terms-definitions',
+    output_path: './docs',
+    markdown_paths: ['spec.md'],
+    external_specs: [
+      { external_spec: 'PE', gh_page: 'https://identity.foundation/presentation-exchange/', url: 'https://github.com/decentralized-identity/presentation-exchange', terms_dir: 'spec/terms-definitions' },
+      { external_spec: 'KERI', gh_page: 'keri.md', url: 'https://github.com/WebOfTrust/keri', terms_dir: 'spec/terms-definitions' }
+    ]
+  };
+
+  test('should report every error with the JSON pointer of the offending value', () => {
+    const { output_path, ...withoutOutputPath } = migratedSpec;
+    const result = validateSpecsJson({ specs: [{ ...withoutOutputPath, katex: 'no' }] }, 'spec-up-t');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(formatSchemaError)).toEqual([
+      '/specs/0/output_path is required',
+      '/specs/0/external_specs/1/gh_page must be a URL',
+      '/specs/0/katex must be a boolean'
+    ]);
+    expect(validateSpecsJson({ specs: [] }, 'spec-up-t').errors.map(formatSchemaError)).toEqual(['/specs must have at least 1 item(s)']);
+    expect(validateSpecsJson({ specs: [{ title: 'Legacy', external_specs: [{ PE: 'https://identity.foundation/presentation-exchange' }] }] }, 'spec-up').valid).toBe(true);
+    expect(validateSpecsJson({ title: 'No specs' }, 'spec-up').errors.map(formatSchemaError)).toEqual(['/specs is required']);
+    expect(validateSpecsJson({ specs: [] }, 'spec-up').errors.map(formatSchemaError)).toEqual(['/specs must have at least 1 item(s)']);
+    expect(() => validateSpecsJson({}, 'spec-up-x')).toThrow('Unknown specs.json format "spec-up-x"');
+  });
+
+  describe('during migration', () => {
+    let projectDir;
+
+    beforeEach(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-schema-'));
+      await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'my-spec', dependencies: { 'spec-up': '^0.11.0' } }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(projectDir, { recursive: true, force: true });
+    });
+
+    test('should refuse a specs.json that does not match the Spec-Up schema', async () => {
+      const specs = { specs: [{ title: 'My Spec', markdown_paths: 'spec.md', external_specs: [{ PE: 42 }] }] };
+      await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify(specs));
+
+      const check = await checkSpecsJson(projectDir);
+      expect(check.valid).toBe(false);
+      expect(check.details).toBe('Does not match the Spec-Up schema: /specs/0/markdown_paths must be an array; /specs/0/external_specs/0/PE must be a string');
+
+      const result = await updateConfigurations(projectDir, { offline: true });
+      expect(result.updates.find(update => update.file === 'specs.json').error)
+        .toContain('specs.json does not match the Spec-Up schema: /specs/0/markdown_paths must be an array');
+      expect(JSON.parse(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8'))).toEqual(specs);
+
+      const migration = await completeMigration(projectDir, { dryRun: true, skipDetection: true, offline: true });
+      expect(migration.success).toBe(false);
+      expect(migration.error).toContain('/specs/0/external_specs/0/PE must be a string');
+    });
+
+    test('should refuse a specs.json with a missing or empty specs array', async () => {
+      for (const [specs, error] of [[{ title: 'No specs' }, '/specs is required'], [{ specs: [] }, '/specs must have at least 1 item(s)']]) {
+        await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify(specs));
+
+        expect((await checkSpecsJson(projectDir)).details).toBe(`Does not match the Spec-Up schema: ${error}`);
+        const result = await updateConfigurations(projectDir, { offline: true });
+        expect(result.updates.find(update => update.file === 'specs.json').error).toContain(error);
+        expect(JSON.parse(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8'))).toEqual(specs);
+
+        const migration = await completeMigration(projectDir, { dryRun: true, skipDetection: true, offline: true });
+        expect(migration.success).toBe(false);
+        expect(migration.error).toContain(error);
+      }
+    });
+
+    test('should report where the migrated specs.json does not match the Spec-Up-T schema', async () => {
+      await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({
+        specs: [{ title: 'My Spec', spec_directory: './spec', external_specs: [{ PE: 'https://identity.foundation/pe' }, { KERI: 'keri.md' }] }]
+      }));
+
+      const result = await updateConfigurations(projectDir, { offline: true });
+
+      const specsUpdate = result.updates.find(update => update.file === 'specs.json');
+      expect(specsUpdate.success).toBe(true);
+      expect(specsUpdate.schemaErrors).toEqual([
+        '/specs/0/external_specs/1/gh_page must be a URL',
+        '/specs/0/external_specs/1/url must be a URL'
+      ]);
+    });
+  });
+});
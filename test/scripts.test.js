@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { updateConfigurations, mergeScripts } = require('../lib/updater');
+const { generateReport } = require('../lib/report');
+
+describe('package.json scripts strategy', () => {
+  const scriptsConfig = {
+    configScriptsKeys: { edit: 'spec-up-t edit', render: 'spec-up-t render', menu: 'spec-up-t menu' },
+    configOverwriteScriptsKeys: { edit: true, render: true }
+  };
+  const existing = { edit: 'spec-up edit', menu: 'my menu', lint: 'eslint .', deploy: './deploy.sh' };
+
+  test('should overwrite only flagged scripts and keep user scripts when merging', () => {
+    const { scripts, conflicts } = mergeScripts(existing, scriptsConfig);
+
+    expect(scripts).toEqual({ edit: 'spec-up-t edit', render: 'spec-up-t render', menu: 'my menu', lint: 'eslint .', deploy: './deploy.sh' });
+    expect(conflicts).toEqual([
+      { script: 'edit', existing: 'spec-up edit', boilerplate: 'spec-up-t edit', resolution: 'overwritten' },
+      { script: 'menu', existing: 'my menu', boilerplate: 'spec-up-t menu', resolution: 'kept' }
+    ]);
+  });
+
+  test('should only add missing scripts with keep and report removed scripts with replace', () => {
+    const kept = mergeScripts(existing, scriptsConfig, 'keep');
+    expect(kept.scripts).toEqual({ ...existing, render: 'spec-up-t render' });
+    expect(kept.conflicts.map(conflict => conflict.resolution)).toEqual(['kept', 'kept']);
+
+    const replaced = mergeScripts(existing, scriptsConfig, 'replace');
+    expect(replaced.scripts).toEqual(scriptsConfig.configScriptsKeys);
+    expect(replaced.conflicts.map(conflict => `${conflict.script}:${conflict.resolution}`))
+      .toEqual(['edit:overwritten', 'menu:overwritten', 'lint:removed', 'deploy:removed']);
+  });
+
+  describe('during the configuration update', () => {
+    let projectDir;
+
+    beforeEach(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-scripts-'));
+      await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ title: 'My Spec', spec_directory: './spec' }] }));
+      await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({
+        name: 'my-spec',
+        scripts: { render: 'node -e "require(\'spec-up\')({ nowatch: true })"', lint: 'eslint .', test: 'jest' }
+      }));
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectDir, { recursive: true, force: true });
+    });
+
+    test('should keep custom scripts and list conflicts in the change report', async () => {
+      const result = await updateConfigurations(projectDir, { offline: true });
+
+      const written = JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8'));
+      expect(written.scripts.lint).toBe('eslint .');
+      expect(written.scripts.test).toBe('jest');
+      expect(written.scripts.render).toContain('spec-up-t');
+
+      const packageUpdate = result.updates.find(update => update.file === 'package.json');
+      expect(packageUpdate.scripts.strategy).toBe('merge');
+      expect(packageUpdate.changes).toContain('Kept existing scripts: lint, test');
+      expect(packageUpdate.changes.some(change => change.startsWith('Script conflict: overwrote "render"'))).toBe(true);
+
+      const report = generateReport({
+        directory: projectDir,
+        success: true,
+        summary: { total_phases: 1, successful_phases: 1, dry_run: false },
+        phases: [{ name: 'Update Configurations', result, success: true }]
+      });
+      expect(report).toContain('Script conflict (strategy: merge)');
+    });
+
+    test('should reject unknown strategies', async () => {
+      await expect(updateConfigurations(projectDir, { dryRun: true, offline: true, scriptsStrategy: 'union' }))
+        .rejects.toThrow('Invalid scripts strategy "union"; expected replace, merge, keep');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { splitProject, rewriteCrossReferences } = require('../lib/split-project');
+
+describe('Split project', () => {
+  let workDir;
+  let projectDir;
+
+  const write = async (filePath, content) => {
+    await fs.mkdir(path.dirname(path.join(projectDir, filePath)), { recursive: true });
+    await fs.writeFile(path.join(projectDir, filePath), content);
+  };
+  const readJson = async filePath => JSON.parse(await fs.readFile(path.join(workDir, filePath), 'utf8'));
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-split-project-'));
+    projectDir = path.join(workDir, 'specs-repo');
+    await write('specs.json', JSON.stringify({
+      specs: [
+        {
+          title: 'Main Spec',
+          spec_directory: './spec',
+          markdown_paths: ['main.md', 'gone.md'],
+          source: { host: 'github', account: 'trustoverip', repo: 'specs-repo' }
+        },
+        {
+          title: 'KERI Spec',
+          spec_directory: './keri',
+          markdown_paths: ['keri.md'],
+          source: { host: 'github', account: 'trustoverip', repo: 'specs-repo' }
+        }
+      ]
+    }));
+    await write('package.json', JSON.stringify({ name: 'my-specs', dependencies: { 'spec-up': '^0.11.0', linkinator: '^6.0.0' } }));
+    await write('spec/main.md', '# Main\n\n[[def: main term]]\n~ Uses a [[ref: key event]] and a [[ref: main term]].\n');
+    await write('spec/notes.md', '# Not listed in markdown_paths\n');
+    await write('keri/keri.md', '# KERI\n\n[[def: key event, KE]]\n~ Defined in the KERI spec.\n');
+    await write('assets/css/custom.css', 'body { color: navy; }\n');
+    await write('assets/css/index.css', '/* stock Spec-Up */\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('should rewrite references to terms defined only in another spec', () => {
+    const result = rewriteCrossReferences('[[ref: KE]] and [[ref: own]] and [[ref: unknown]]', new Set(['own']), new Map([['ke', 'keri-spec'], ['own', 'main-spec']]));
+
+    expect(result.content).toBe('[[xref: keri-spec, KE]] and [[ref: own]] and [[ref: unknown]]');
+    expect(result.references).toEqual([{ term: 'KE', external_spec: 'keri-spec' }]);
+  });
+
+  test('should create one sibling Spec-Up-T project per spec', async () => {
+    const result = await splitProject(projectDir, { offline: true });
+
+    expect(result.projects.map(project => project.directory)).toEqual([path.join(workDir, 'main-spec'), path.join(workDir, 'keri-spec')]);
+    expect(result.summary).toMatchObject({ specs: 2, files: 2, crossReferences: 1, unresolved: 0 });
+
+    const main = (await readJson('main-spec/specs.json')).specs;
+    expect(main).toHaveLength(1);
+    expect(main[0]).toMatchObject({
+      title: 'Main Spec',
+      spec_directory: './spec',
+      output_path: './docs',
+      source: { account: 'trustoverip', repo: 'main-spec' }
+    });
+    expect(main[0].external_specs).toEqual([{
+      external_spec: 'keri-spec',
+      gh_page: 'https://trustoverip.github.io/keri-spec/',
+      url: 'https://github.com/trustoverip/keri-spec',
+      terms_dir: 'spec/terms-definitions'
+    }]);
+    await expect(fs.readFile(path.join(workDir, 'main-spec/spec/main.md'), 'utf8'))
+      .resolves.toContain('Uses a [[xref: keri-spec, key event]] and a [[ref: main term]].');
+    await expect(fs.access(path.join(workDir, 'main-spec/spec/notes.md'))).rejects.toThrow();
+    expect(result.projects[0].missing).toEqual(['gone.md']);
+
+    const keriPackage = await readJson('keri-spec/package.json');
+    expect(keriPackage.name).toBe('my-specs-keri-spec');
+    expect(keriPackage.dependencies).toHaveProperty('linkinator');
+    expect(keriPackage.dependencies).not.toHaveProperty('spec-up');
+    await expect(fs.readFile(path.join(workDir, 'keri-spec/assets/css/custom.css'), 'utf8')).resolves.toContain('navy');
+    await expect(fs.access(path.join(workDir, 'keri-spec/assets/css/index.css'))).rejects.toThrow();
+
+    expect((await readJson('specs-repo/specs.json')).specs).toHaveLength(2);
+  });
+
+  test('should point terms_dir at the terms directory of the referenced spec', async () => {
+    const specs = JSON.parse(await fs.readFile(path.join(projectDir, 'specs.json'), 'utf8'));
+    specs.specs[1].spec_terms_directory = 'glossary';
+    await write('specs.json', JSON.stringify(specs));
+
+    await splitProject(projectDir, { offline: true });
+
+    expect((await readJson('main-spec/specs.json')).specs[0].external_specs).toEqual([
+      expect.objectContaining({ external_spec: 'keri-spec', terms_dir: 'spec/glossary' })
+    ]);
+    await expect(fs.access(path.join(workDir, 'keri-spec/spec/glossary'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(workDir, 'keri-spec/spec/terms-definitions'))).rejects.toThrow();
+  });
+
+  test('should only report the projects in dry-run mode and refuse a single spec', async () => {
+    const output = path.join(workDir, 'out');
+    const result = await splitProject(projectDir, { output, dryRun: true, offline: true });
+
+    expect(result.projects.map(project => project.name)).toEqual(['main-spec', 'keri-spec']);
+    expect(result.projects[1].update).toBeNull();
+    await expect(fs.access(output)).rejects.toThrow();
+
+    await write('specs.json', JSON.stringify({ specs: [{ title: 'Only Spec' }] }));
+    await expect(splitProject(projectDir, { offline: true })).rejects.toThrow('fewer than two specs');
+  });
+});
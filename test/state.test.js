@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { completeMigration } = require('../lib/migrator');
+const { createState, saveState, loadState, findCompletedPhase } = require('../lib/state');
+const { createJournal, trackPath, loadJournal } = require('../lib/journal');
+
+describe('Resumable migrations', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-up-state-'));
+    await fs.writeFile(path.join(projectDir, 'specs.json'), JSON.stringify({ specs: [{ spec_directory: './spec' }] }));
+    await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({ dependencies: { 'spec-up': '^0.11.0' } }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('should persist only the options a resumed run needs', async () => {
+    const state = createState(projectDir, { dryRun: false, skipInstall: true, allowDirty: true });
+    state.phases.push({ name: 'Cleanup', success: true }, { name: 'Installation', success: false });
+    await saveState(state);
+
+    const loaded = await loadState(projectDir);
+
+    expect(loaded.options).toEqual({ skipInstall: true });
+    expect(findCompletedPhase(loaded, 'Cleanup')).toMatchObject({ name: 'Cleanup' });
+    expect(findCompletedPhase(loaded, 'Installation')).toBeUndefined();
+  });
+
+  test('should skip completed phases and continue the journal', async () => {
+    const journal = await createJournal(projectDir);
+    await trackPath(journal, path.join(projectDir, 'gulpfile.js'));
+
+    const state = createState(projectDir, { skipInstall: true });
+    const done = ['Detection', 'Backup', 'Cleanup', 'Update Configurations', 'Definition Processing'];
+    state.phases = done.map(name => ({ name, result: null, success: true, changes: [] }));
+    state.phases.push({ name: 'Installation', result: null, success: false, changes: [] });
+    await saveState(state);
+
+    const result = await completeMigration(projectDir, { resume: true });
+
+    expect(result.success).toBe(true);
+    expect(result.resumed).toBe(true);
+    expect(result.phases.filter(p => p.resumed).map(p => p.name)).toEqual(done);
+    expect(result.phases.find(p => p.name === 'Installation').resumed).toBeUndefined();
+    expect((await loadState(projectDir)).status).toBe('completed');
+
+    const continued = await loadJournal(projectDir);
+    expect(continued.startedAt).toBe(journal.startedAt);
+    expect(continued.entries[0].path).toBe('gulpfile.js');
+    expect(continued.entries.length).toBeGreaterThan(1);
+
+    const again = await completeMigration(projectDir, { resume: true });
+    expect(again.error).toBe('The last migration completed successfully; there is nothing to resume');
+  });
+
+  test('should refuse to resume without a state file', async () => {
+    const result = await completeMigration(projectDir, { resume: true });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^No interrupted migration to resume in /);
+  });
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Refresh the vendored Spec-Up-T boilerplate snapshot from upstream
+ * @module update-boilerplate-snapshot
+ * @author Kor Dwarshuis
+ * @version 1.7.1
+ * @since 2026-10-19
+ * @description Resolves the current commit of the boilerplate branch, downloads every file the updater
+ * reads at exactly that commit into `boilerplate/`, and records the commit in `boilerplate/snapshot.json`.
+ * Run with `npm run snapshot:update`; review and commit the result like any other change.
+ * Without access to GitHub, `npm run snapshot:update -- --from <spec-up-t checkout>` copies the files from a
+ * local clone instead and records the commit it has checked out; the files must be committed there. `--from` also
+ * accepts an installed or unpacked spec-up-t package (`npm pack spec-up-t`); its version is recorded, and its
+ * commit only when npm stored one as `gitHead`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { REPO_CONFIG } = require('./lib/updater');
+const { fetchText, fetchJson } = require('./lib/fetch');
+const { BOILERPLATE_FILES, SNAPSHOT_DIRECTORY, SNAPSHOT_INFO_FILE } = require('./lib/boilerplate');
+const { fileExists, safeJsonParse } = require('./lib/utils');
+
+/**
+ * Download a boilerplate file, treating a missing file as null
+ * @param {string} url - Raw file URL
+ * @returns {Promise<string|null>} File content, or null for a 404
+ */
+async function download(url) {
+  try {
+    return await fetchText(url, { cache: false });
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a boilerplate file from a local checkout, treating a missing file as null
+ * @param {string} checkout - spec-up-t checkout
+ * @param {string} filePath - Path relative to the root of the checkout
+ * @returns {Promise<string|null>} File content, or null when the checkout does not have the file
+ */
+async function readCheckoutFile(checkout, filePath) {
+  return fs.readFile(path.join(checkout, filePath), 'utf8').catch(() => null);
+}
+
+/**
+ * Work out where the files are read from and at which commit
+ * @param {string|null} checkout - Local spec-up-t checkout or package passed with `--from`, or null for GitHub
+ * @param {Array<string>} filePaths - Files that will be snapshotted
+ * @returns {Promise<Object>} `commit`, `ref`, the `package` for a package and `read`, a function returning the
+ * content of a file or null
+ * @throws {Error} When the checkout has uncommitted changes to the files, so the commit would not describe them,
+ * or when `--from` is neither a git checkout nor a spec-up-t package
+ */
+async function resolveOrigin(checkout, filePaths) {
+  const { owner, name, branch } = REPO_CONFIG.SPEC_UP_T_REPO;
+  if (!checkout) {
+    const commitInfo = await fetchJson(`https://api.github.com/repos/${owner}/${name}/commits/${branch}`, { cache: false });
+    const commit = commitInfo.sha;
+    return { commit, ref: branch, read: filePath => download(`https://raw.githubusercontent.com/${owner}/${name}/${commit}/${filePath}`) };
+  }
+
+  if (!await fileExists(path.join(checkout, '.git'))) {
+    const packageData = safeJsonParse(await readCheckoutFile(checkout, 'package.json'), null);
+    if (!packageData || packageData.name !== name) {
+      throw new Error(`${checkout} is neither a git checkout nor a ${name} package`);
+    }
+    // Packages published from a git checkout carry its commit as gitHead; the snapshot never guesses one
+    return {
+      commit: packageData.gitHead || null,
+      ref: packageData.version,
+      package: `${packageData.name}@${packageData.version}`,
+      read: filePath => readCheckoutFile(checkout, filePath)
+    };
+  }
+
+  const git = (...args) => execFileSync('git', ['-C', checkout, ...args], { encoding: 'utf8' }).trim();
+  if (git('status', '--porcelain', '--', ...filePaths)) {
+    throw new Error(`${checkout} has uncommitted changes to the boilerplate files; commit or stash them first`);
+  }
+  const ref = git('rev-parse', '--abbrev-ref', 'HEAD');
+  return { commit: git('rev-parse', 'HEAD'), ref: ref === 'HEAD' ? branch : ref, read: filePath => readCheckoutFile(checkout, filePath) };
+}
+
+async function updateSnapshot() {
+  const { owner, name } = REPO_CONFIG.SPEC_UP_T_REPO;
+  const fromIndex = process.argv.indexOf('--from');
+  const checkout = fromIndex === -1 ? null : path.resolve(process.argv[fromIndex + 1] || '.');
+  const filePaths = [BOILERPLATE_FILES.specs, BOILERPLATE_FILES.gitignore, BOILERPLATE_FILES.scriptsConfig, ...BOILERPLATE_FILES.workflows];
+
+  const { commit, ref, package: packageName, read } = await resolveOrigin(checkout, filePaths);
+  console.log(`Snapshotting ${owner}/${name}@${ref} at ${commit || 'an unrecorded commit'}${checkout ? ` from ${checkout}` : ''}`);
+
+  const files = [];
+  for (const filePath of filePaths) {
+    const content = await read(filePath);
+    const target = path.join(SNAPSHOT_DIRECTORY, filePath);
+    if (content === null) {
+      console.log(`- ${filePath} (not in upstream, removed from snapshot)`);
+      await fs.rm(target, { force: true });
+      continue;
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+    files.push(filePath);
+    console.log(`- ${filePath}`);
+  }
+
+  const info = {
+    repository: `${owner}/${name}`,
+    ref,
+    commit,
+    ...(packageName ? { package: packageName } : {}),
+    capturedAt: new Date().toISOString().slice(0, 10),
+    files
+  };
+  await fs.writeFile(path.join(SNAPSHOT_DIRECTORY, SNAPSHOT_INFO_FILE), `${JSON.stringify(info, null, 2)}\n`);
+}
+
+updateSnapshot().catch((error) => {
+  console.error(`Snapshot update failed: ${error.message}`);
+  process.exit(1);
+});
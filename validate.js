@@ -10,6 +10,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { validateSpecsJson, formatSchemaError } = require('./lib/schema');
 
 /**
  * Check if a file exists
@@ -99,25 +100,12 @@ async function validateMigratedProject(projectPath) {
       const specsJson = safeJsonParse(specsContent);
       
       results.checkedFiles.push('specs.json');
-      
-      if (!specsJson.specs || !Array.isArray(specsJson.specs)) {
-        results.errors.push('specs.json missing specs array');
+
+      // Covers the specs array, spec_terms_directory and the Spec-Up-T external_specs format
+      validateSpecsJson(specsJson, 'spec-up-t').errors.forEach(error => {
+        results.errors.push(`specs.json ${formatSchemaError(error)}`);
         results.valid = false;
-      } else if (specsJson.specs.length > 0) {
-        const spec = specsJson.specs[0];
-        
-        // Check for Spec-Up-T specific fields
-        if (!spec.spec_terms_directory) {
-          results.warnings.push('Missing spec_terms_directory in specs.json');
-        }
-        
-        if (spec.external_specs && Array.isArray(spec.external_specs) && spec.external_specs.length > 0) {
-          const firstExternal = spec.external_specs[0];
-          if (!firstExternal.external_spec) {
-            results.warnings.push('external_specs may not be in Spec-Up-T format');
-          }
-        }
-      }
+      });
     } else {
       results.errors.push('specs.json not found');
       results.valid = false;